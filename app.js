@@ -1,23 +1,89 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const bodyParser = require('body-parser');
+const { ethers } = require('ethers');
 require('dotenv').config();
 
 // Import services and models
-const BlockchainService = require('./services/blockchainService');
-const { ContactRepository } = require('./models/Contact');
+const WalletRegistry = require('./services/walletRegistry');
+const KeystoreService = require('./services/keystoreService');
+const TransactionTracker = require('./services/transactionTracker');
+const PaymentScheduler = require('./services/scheduler');
+const PaymentRequestMatcher = require('./services/paymentRequestMatcher');
+const TransferWatcher = require('./services/transferWatcher');
+const EnsResolver = require('./services/ensResolver');
+const { WebhookDispatcher } = require('./services/webhookDispatcher');
+const { StatementBuilder, statementCsv } = require('./services/statementBuilder');
+const { createPriceSource } = require('./services/priceSource');
+const PortfolioBuilder = require('./services/portfolioBuilder');
+const { HealthMonitor, HEALTH_STATUS } = require('./services/healthMonitor');
+const { BALANCE_STATUS } = require('./services/balanceCache');
+const { FEE_SPEEDS, DEFAULT_SPEED } = require('./services/feeOracle');
+const { TokenRegistry, NATIVE_ADDRESS } = require('./services/tokenRegistry');
+const { Contact, ContactRepository } = require('./models/Contact');
+const { UserRepository } = require('./models/User');
+const { WalletAccountRepository } = require('./models/WalletAccount');
+const { PolicyRepository } = require('./models/Policy');
+const { NetworkRepository } = require('./models/Network');
+const { TokenRepository } = require('./models/Token');
+const { PolicyEngine, PolicyViolationError } = require('./services/policyEngine');
+const { ApiKeyRepository, SCOPES } = require('./models/ApiKey');
+const { authenticate, requireScope, hasScope, issueToken, isScopeList, extractCredential, verifyApiKey } = require('./middleware/auth');
+const { sendError, errorEnvelope, errorHandler } = require('./middleware/errors');
+const { TransactionRepository, TRANSACTION_STATUS } = require('./models/Transaction');
+const { IntentRepository, INTENT_STATUS } = require('./models/Intent');
+const { SessionRepository, SESSION_IDLE_MINUTES } = require('./models/Session');
+const { ScheduleRepository, SCHEDULE_STATUS } = require('./models/Schedule');
+const { PaymentRequestRepository, PAYMENT_REQUEST_STATUS } = require('./models/PaymentRequest');
+const { IncomingTransferRepository } = require('./models/IncomingTransfer');
+const { WebhookRepository, WEBHOOK_EVENTS } = require('./models/Webhook');
+const { WebhookDeliveryRepository } = require('./models/WebhookDelivery');
+const commandParser = require('./utlis/commandParser');
+const { parseFollowUp, applyFollowUp, resolvePronouns, AMEND } = require('./utlis/followUp');
+const { firstRun, followingRun, describeSchedule, FREQUENCIES } = require('./utlis/schedule');
+const { buildPaymentUri } = require('./utlis/paymentUri');
+const { isEnsName } = require('./utlis/address');
+const { CONTACT_FORMATS, detectContactFormat, parseCsv, toCsv, parseVcard, toVcard } = require('./utlis/contactFormats');
+const { ERROR_CODES, RpcError, describeError } = require('./utlis/errors');
+const { checkAmountPrecision, normalizeAmount, splitAmount, toUnits, fromUnits } = require('./utlis/amountParser');
+
+const { COMMAND_TYPES } = commandParser;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// How long payment requests stay open unless the request says otherwise (at most 30 days)
+const PAYMENT_REQUEST_EXPIRY_HOURS = parseInt(process.env.PAYMENT_REQUEST_EXPIRY_HOURS, 10) || 72;
+const MAX_PAYMENT_REQUEST_EXPIRY_HOURS = 30 * 24;
+
+// Most contacts one import may hold
+const MAX_CONTACT_IMPORT_ROWS = 1000;
+
+// How an import treats a contact whose name is already taken
+const DUPLICATE_ACTIONS = ['skip', 'merge'];
+
+// Most entries one statement export may hold
+const MAX_STATEMENT_ROWS = parseInt(process.env.STATEMENT_MAX_ROWS, 10) || 10000;
+
+// Currency portfolios are valued in when the request doesn't name one
+const PORTFOLIO_CURRENCY = process.env.PORTFOLIO_CURRENCY || 'usd';
+
+// Session IDs are chosen by clients, e.g. one per voice device or chat
+const SESSION_ID = /^[\w.:-]{1,128}$/;
+
 // Middleware
+// Every error response carries a code, whichever route sends it
+app.use(errorEnvelope);
 app.use(bodyParser.json());
 app.use(express.json());
 
+// Contact files can also be uploaded as-is
+app.use(express.text({ type: ['text/csv', 'text/vcard', 'text/x-vcard', 'text/directory'], limit: '1mb' }));
+
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
   if (req.method === 'OPTIONS') {
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
     return res.status(200).json({});
@@ -25,190 +91,2468 @@ app.use((req, res, next) => {
   next();
 });
 
+// Every query parameter takes a single value. Express parses a repeated one
+// (?token=a&token=b) into an array, which routes would otherwise choke on.
+app.use((req, res, next) => {
+  const repeated = Object.keys(req.query).find(name => typeof req.query[name] !== 'string');
+  if (repeated) {
+    return res.status(400).json({ error: `Query parameter "${repeated}" must be given once` });
+  }
+  next();
+});
+
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
-}).then(() => {
+}).then(async () => {
   console.log('Connected to MongoDB');
+  
+  // Hand contacts from the single-user era to the default user and replace the
+  // old globally-unique name index with the per-owner one
+  const defaultUser = await UserRepository.findOrCreateDefault();
+  const assigned = await ContactRepository.assignUnowned(defaultUser._id);
+  if (assigned > 0) {
+    console.log(`Assigned ${assigned} existing contacts to user "${defaultUser.username}"`);
+  }
+  await Contact.syncIndexes();
+  
+  // Networks and tokens live in MongoDB; the built-in defaults are used until they load
+  await tokenRegistry.seed();
+  await tokenRegistry.load();
+  
+  // Follow up on sends that were broadcast but not yet settled, including any from before a restart
+  transactionTracker.start();
+  
+  // Run scheduled payments; a run claimed before a restart is never sent twice
+  paymentScheduler.start();
+  
+  // Watch for money arriving, mark payment requests paid and notify webhooks
+  webhookDispatcher.start();
+  paymentRequestMatcher.start();
+  transferWatcher.start();
+  
+  // Keep contacts saved from ENS names pointing where the name does
+  ensResolver.start();
 }).catch(err => {
   console.error('MongoDB connection error:', err);
 });
 
-// Initialize Blockchain Service
-const blockchainService = new BlockchainService(
-  process.env.RPC_URL,
-  process.env.PRIVATE_KEY
-);
+// Signing wallets are resolved per user, account and network on each request
+const tokenRegistry = new TokenRegistry();
+const keystoreService = new KeystoreService(process.env.KEYSTORE_PASSWORD);
+const walletRegistry = new WalletRegistry(tokenRegistry, keystoreService);
+const transactionTracker = new TransactionTracker(tokenRegistry, walletRegistry);
+const paymentScheduler = new PaymentScheduler(walletRegistry, executeSend);
+const webhookDispatcher = new WebhookDispatcher();
+const paymentRequestMatcher = new PaymentRequestMatcher(webhookDispatcher);
+const transferWatcher = new TransferWatcher(tokenRegistry, walletRegistry);
+const healthMonitor = new HealthMonitor(tokenRegistry, walletRegistry);
+transferWatcher.onTransfer(transfer => webhookDispatcher.dispatch(transfer.owner, WEBHOOK_EVENTS.TRANSFER_INCOMING, transfer.toJSON()));
+transferWatcher.onTransfer(transfer => paymentRequestMatcher.handleTransfer(transfer));
+const ensResolver = new EnsResolver(tokenRegistry, walletRegistry);
+const priceSource = createPriceSource();
+const statementBuilder = new StatementBuilder(tokenRegistry, walletRegistry, priceSource);
+const portfolioBuilder = new PortfolioBuilder(priceSource);
 
-// Command parsing helper function
-function parseCommand(command) {
-  console.log('Parsing command:', command);
-  
-  // Basic regex to extract amount, token, and recipient
-  const regex = /send\s+(\d+(?:\.\d+)?)\s+([a-zA-Z]+)\s+to\s+(.+)/i;
-  const match = command.match(regex);
+/**
+ * Get the BlockchainService for the account a request signs with. The account can
+ * be named with an "account" body field or query parameter, and the network with a
+ * "network" field or parameter when the command itself doesn't name one.
+ * @param {Object} req - Express request
+ * @param {string|number} [network] - Network named in the command
+ * @returns {Promise<BlockchainService>} - Service bound to the chosen wallet and network
+ */
+function getService(req, network) {
+  const account = (req.body && req.body.account) || req.query.account;
+  return walletRegistry.getServiceForUser(req.user, account, network || requestedNetwork(req));
+}
+
+/**
+ * Get the network named by a request's "network" body field or query parameter
+ * @param {Object} req - Express request
+ * @returns {string|undefined} - Network name, alias or chain ID
+ */
+function requestedNetwork(req) {
+  return (req.body && req.body.network) || req.query.network;
+}
+
+/**
+ * Get the fee tier a request asks for with its "speed" body field or query parameter
+ * @param {Object} req - Express request
+ * @returns {Object} - { speed } or { error } if the tier is unknown
+ */
+function requestedSpeed(req) {
+  const requested = (req.body && req.body.speed) || req.query.speed || DEFAULT_SPEED;
+  if (typeof requested !== 'string') {
+    return { error: `speed must be one of: ${FEE_SPEEDS.join(', ')}` };
+  }
   
-  if (!match) {
-    console.log('Command does not match pattern');
-    return null;
+  const speed = requested.toLowerCase();
+  if (!FEE_SPEEDS.includes(speed)) {
+    return { error: `Unknown speed "${speed}". Use one of: ${FEE_SPEEDS.join(', ')}` };
   }
   
-  let token = match[2].toUpperCase();
-  // Handle token aliases/variations for MTK
-  if (token === 'MYTOKEN' || token === 'MY-TOKEN' || token === 'MY_TOKEN') {
-    token = 'MTK';
+  return { speed };
+}
+
+/**
+ * Check a "limit" query parameter for pages of results
+ * @param {string} [limit] - Requested page size
+ * @returns {boolean} - Whether it is absent or a positive whole number
+ */
+function isValidPageSize(limit) {
+  return limit === undefined || /^[1-9]\d*$/.test(limit);
+}
+
+/**
+ * Get the conversation a command belongs to, from a "sessionId" body field or an X-Session-Id header
+ * @param {Object} req - Express request
+ * @returns {Object} - { sessionId }, null outside of a session, or { error } if the ID is malformed
+ */
+function requestedSession(req) {
+  const sessionId = (req.body && req.body.sessionId) || req.get('X-Session-Id');
+  
+  if (!sessionId) {
+    return { sessionId: null };
+  }
+  if (typeof sessionId !== 'string' || !SESSION_ID.test(sessionId)) {
+    return { error: 'sessionId must be 1 to 128 letters, digits, dots, colons, dashes or underscores' };
   }
   
-  const result = {
-    amount: match[1],
-    token: token,
-    recipient: match[3].trim().toLowerCase() // Lowercase recipient for case-insensitive matching
+  return { sessionId };
+}
+
+/**
+ * Build the 400 response body for a network that isn't in the registry
+ * @param {string|number} network - Network as named by the user
+ * @returns {Object} - Error body listing the known networks
+ */
+function unknownNetworkError(network) {
+  return {
+    error: `Unknown network "${network}"`,
+    suggestion: `Known networks: ${tokenRegistry.listNetworks().map(n => n.name).join(', ')}`
   };
+}
+
+/**
+ * Check a contact's address and preferences from request fields. An ENS name, given as
+ * "ensName" or in place of the address, is resolved and the result stored as the address.
+ * @param {Object} input - address, ensName, preferredToken and preferredNetwork, each optional
+ * @returns {Promise<Object>} - { fields } to store, or { status, error, suggestion }
+ */
+async function prepareContactFields({ address, ensName, preferredToken, preferredNetwork }) {
+  const fields = {};
+  
+  if (address && isEnsName(address)) {
+    ensName = address;
+    address = undefined;
+  }
+  
+  if (ensName) {
+    if (!isEnsName(ensName)) {
+      return { status: 400, error: `"${ensName}" is not an ENS name` };
+    }
+    try {
+      fields.address = await ensResolver.resolve(ensName);
+    } catch (error) {
+      return { status: 400, error: error.message };
+    }
+    fields.ensName = ensName.toLowerCase();
+    fields.ensResolvedAt = new Date();
+    fields.ensCheckedAt = fields.ensResolvedAt;
+  } else if (address) {
+    // A typed address replaces any ENS name, so the next refresh doesn't overwrite it
+    fields.address = address;
+    fields.ensName = null;
+  }
+  
+  // Empty values clear a preference
+  let network = null;
+  if (preferredNetwork === null || preferredNetwork === '') {
+    fields.preferredNetwork = null;
+  } else if (preferredNetwork !== undefined) {
+    network = tokenRegistry.resolveNetwork(preferredNetwork);
+    if (!network) return { status: 400, ...unknownNetworkError(preferredNetwork) };
+    fields.preferredNetwork = network.name;
+  }
+  
+  if (preferredToken === null || preferredToken === '') {
+    fields.preferredToken = null;
+  } else if (preferredToken !== undefined) {
+    const tokenNetwork = network || tokenRegistry.getDefaultNetwork();
+    const token = tokenRegistry.getToken(tokenNetwork.chainId, preferredToken);
+    if (!token) {
+      return { status: 400, error: `Unknown token "${preferredToken}" on ${tokenNetwork.name}` };
+    }
+    fields.preferredToken = token.symbol;
+  }
+  
+  return { fields };
+}
+
+/**
+ * Import one contact read from a contact file. A name already in the contact book is
+ * skipped, or merged: fields from the file replace the stored ones and aliases and tags
+ * are combined. A dry run makes every check but saves nothing.
+ * @param {Object} user - User importing the contacts
+ * @param {Object} entry - Contact fields parsed from the file, with its row number
+ * @param {Object} options - existing (name -> contact), seen (name -> row), onDuplicate and dryRun
+ * @returns {Promise<Object>} - { row, name, status, contactId, reason, errors } for the import report
+ */
+async function importContact(user, entry, { existing, seen, onDuplicate, dryRun }) {
+  const report = { row: entry.row, name: entry.name || null };
+  const invalid = (errors) => ({ ...report, status: 'invalid', errors });
+  
+  if (!entry.name) return invalid(['Name is required']);
+  if (!entry.address && !entry.ensName) return invalid(['An address or ENS name is required']);
+  
+  const key = entry.name.toLowerCase().trim();
+  if (seen.has(key)) return invalid([`Same name as row ${seen.get(key)}`]);
+  seen.set(key, entry.row);
+  
+  // An ENS name is only resolved when there is no address; otherwise the address is
+  // kept until the next ENS refresh
+  const { fields, ...problem } = await prepareContactFields({
+    address: entry.address,
+    ensName: entry.address ? undefined : entry.ensName,
+    preferredToken: entry.preferredToken,
+    preferredNetwork: entry.preferredNetwork
+  });
+  if (problem.error) return invalid([problem.error]);
+  
+  if (entry.ensName && !fields.ensName) {
+    if (!isEnsName(entry.ensName)) return invalid([`"${entry.ensName}" is not an ENS name`]);
+    fields.ensName = entry.ensName.toLowerCase();
+  }
+  
+  const current = existing.get(key);
+  if (current && onDuplicate === 'skip') {
+    return { ...report, status: 'skipped', contactId: current._id, reason: 'A contact with this name already exists' };
+  }
+  
+  if (current) {
+    const combine = (stored, added) => [...new Set([...stored, ...added.map(item => item.toLowerCase().trim())])];
+    const update = {
+      ...fields,
+      aliases: combine(current.aliases, entry.aliases),
+      tags: combine(current.tags, entry.tags),
+      ...(entry.notes !== undefined && { notes: entry.notes })
+    };
+    
+    const errors = ContactRepository.validate(user._id, { ...current.toObject(), ...update });
+    if (errors.length > 0) return invalid(errors);
+    
+    if (!dryRun) await ContactRepository.update(user._id, current._id, update);
+    return { ...report, status: 'merged', contactId: current._id };
+  }
+  
+  const contactData = { name: entry.name, aliases: entry.aliases, tags: entry.tags, notes: entry.notes, ...fields };
+  const errors = ContactRepository.validate(user._id, contactData);
+  if (errors.length > 0) return invalid(errors);
+  if (dryRun) return { ...report, status: 'created' };
+  
+  try {
+    const contact = await ContactRepository.create(user._id, contactData);
+    return { ...report, status: 'created', contactId: contact._id };
+  } catch (error) {
+    return invalid([error.message]);
+  }
+}
+
+// Every /api route needs an API key or JWT; routes add the scope they require
+app.use('/api', (req, res, next) => {
+  // Exchanging a key for a token authenticates itself
+  if (req.path === '/auth/token') return next();
+  authenticate(req, res, next);
+});
+
+/**
+ * Send tokens to a contact and record the attempt in the transaction ledger. Returns once
+ * the transaction is broadcast; the transaction tracker follows it from there.
+ * Throws PolicyViolationError, before anything is signed, if the send breaks the user's policy.
+ * @param {Object} params - user, blockchain service, command, token, amount, resolved contact, fee speed
+ *   and, for scheduled payments, the schedule's ID
+ * @returns {Promise<Object>} - Submitted transaction with ledger id, status and status URL
+ */
+async function executeSend({ user, service, command, token, amount, contact, speed, schedule }) {
+  const decimals = await service.getTokenDecimals(token);
+  
+  // Record the attempt before anything is signed so failures are kept too. Recording it before
+  // the policy check also reserves the amount, so concurrent sends can't all fit under a limit.
+  const record = await TransactionRepository.create({
+    owner: user._id,
+    command,
+    token,
+    amount,
+    amountRaw: toUnits(amount, decimals).toString(),
+    contact: contact._id,
+    contactName: contact.name,
+    to: contact.address,
+    chainId: service.chainId,
+    schedule
+  });
+  
+  try {
+    await PolicyEngine.enforce({ user, token, amount, decimals, contact, reservation: record._id });
+  } catch (error) {
+    await TransactionRepository.release(record._id);
+    throw error;
+  }
+  
+  let submission;
+  try {
+    submission = await service.sendTokens(
+      token,
+      contact.address,
+      amount,
+      { speed }
+    );
+  } catch (error) {
+    await TransactionRepository.markFailed(record._id, error.message);
+    throw error;
+  }
   
-  console.log('Parsed command:', result);
-  return result;
+  const transaction = await TransactionRepository.markSubmitted(record._id, submission);
+  
+  return {
+    ...submission,
+    id: record._id,
+    status: transaction.status,
+    statusUrl: `/api/transactions/${record._id}/status`
+  };
 }
 
 // Routes
 
-// 1. Contacts API
-app.post('/api/contacts', async (req, res) => {
+// 0. Auth and users API
+
+// Exchange an API key for a short-lived JWT, optionally narrowed to fewer scopes
+app.post('/api/auth/token', async (req, res) => {
   try {
-    const { name, address } = req.body;
+    const credential = extractCredential(req);
     
-    if (!name || !address) {
-      return res.status(400).json({ error: 'Name and address are required' });
+    if (!credential) {
+      return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
     }
     
-    // No need for ethers validation here - the model will validate with the regex
+    const { apiKey, code, message } = await verifyApiKey(credential);
     
-    const contact = await ContactRepository.create({ name, address });
+    if (!apiKey) {
+      return res.status(401).json({ error: message, code });
+    }
     
-    res.status(201).json(contact);
+    const { scopes } = req.body || {};
+    if (scopes !== undefined && !isScopeList(scopes)) {
+      return res.status(400).json({ error: 'scopes must be a list of scope names' });
+    }
+    
+    res.json(issueToken(apiKey, scopes));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.get('/api/contacts', async (req, res) => {
+app.get('/api/keys', requireScope(SCOPES.ADMIN), async (req, res) => {
   try {
-    const contacts = await ContactRepository.findAll();
-    res.json(contacts);
+    const keys = await ApiKeyRepository.findAll(req.user._id);
+    res.json(keys);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.put('/api/contacts/:id', async (req, res) => {
+app.post('/api/keys', requireScope(SCOPES.ADMIN), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, address } = req.body;
+    const { name, scopes, expiresAt } = req.body;
     
-    const updatedContact = await ContactRepository.update(id, { name, address });
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
     
-    if (!updatedContact) {
-      return res.status(404).json({ error: 'Contact not found' });
+    const { apiKey, key } = await ApiKeyRepository.create(req.user._id, { name, scopes, expiresAt });
+    
+    // The plaintext key is only ever shown once
+    res.status(201).json({ ...apiKey.toJSON(), key });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/keys/:id/rotate', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const rotated = await ApiKeyRepository.rotate(req.user._id, req.params.id);
+    
+    if (!rotated) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
     }
     
-    res.json(updatedContact);
+    res.status(201).json({ ...rotated.apiKey.toJSON(), key: rotated.key });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.delete('/api/contacts/:id', async (req, res) => {
+app.delete('/api/keys/:id', requireScope(SCOPES.ADMIN), async (req, res) => {
   try {
-    const { id } = req.params;
+    const revoked = await ApiKeyRepository.revoke(req.user._id, req.params.id);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/users', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { username, displayName, walletKeyEnv } = req.body;
+    
+    if (!username) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+    
+    const user = await UserRepository.create({ username, displayName, walletKeyEnv });
+    
+    res.status(201).json(user);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/users', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const users = await UserRepository.findAll();
+    res.json(users);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/users/me', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const service = await getService(req);
+    res.json({ ...req.user.toObject(), walletAddress: service.wallet.address });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Wallet accounts API. Responses only ever include names and addresses;
+// keystores, private keys and mnemonics are never returned or logged.
+app.get('/api/wallets', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const accounts = await WalletAccountRepository.findAll(req.user._id);
+    res.json(accounts);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/wallets', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    
+    const account = await keystoreService.createAccount(req.user._id, name);
+    res.status(201).json(account);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/wallets/import', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { name, keystore, password } = req.body;
+    
+    if (!name || !keystore || !password) {
+      return res.status(400).json({ error: 'Name, keystore and password are required' });
+    }
+    
+    const account = await keystoreService.importKeystore(req.user._id, name, keystore, password);
+    res.status(201).json(account);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/wallets/hd', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { name, mnemonic, startIndex, count } = req.body;
+    
+    if (!name || !mnemonic) {
+      return res.status(400).json({ error: 'Name and mnemonic are required' });
+    }
+    
+    const accounts = await keystoreService.deriveHdAccounts(req.user._id, name, mnemonic, { startIndex, count });
+    res.status(201).json(accounts);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Export as a keystore encrypted with a password the caller chooses
+app.post('/api/wallets/:name/export', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const account = await WalletAccountRepository.findByName(req.user._id, req.params.name);
+    
+    if (!account) {
+      return res.status(404).json({ error: 'Wallet account not found' });
+    }
+    
+    if (!req.body.password || req.body.password.length < 8) {
+      return res.status(400).json({ error: 'Export password must be at least 8 characters' });
+    }
+    
+    const keystore = await keystoreService.exportKeystore(account, req.body.password);
+    res.json({ name: account.name, address: account.address, keystore: JSON.parse(keystore) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/wallets/default', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (name && !(await WalletAccountRepository.findByName(req.user._id, name))) {
+      return res.status(404).json({ error: 'Wallet account not found' });
+    }
     
-    const deleted = await ContactRepository.delete(id);
+    const user = await UserRepository.setDefaultAccount(req.user._id, name || null);
+    res.json({ defaultAccount: user.defaultAccount || null });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/wallets/:name', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const deleted = await WalletAccountRepository.delete(req.user._id, req.params.name);
     
     if (!deleted) {
-      return res.status(404).json({ error: 'Contact not found' });
+      return res.status(404).json({ error: 'Wallet account not found' });
+    }
+    
+    walletRegistry.evict(req.user, req.params.name);
+    if (req.user.defaultAccount === req.params.name.toLowerCase()) {
+      await UserRepository.setDefaultAccount(req.user._id, null);
     }
     
     res.status(204).send();
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// 2. Command execution API
-app.post('/api/execute', async (req, res) => {
+// 1. Contacts API
+app.post('/api/contacts', requireScope(SCOPES.WRITE), async (req, res) => {
   try {
-    const { command } = req.body;
-    console.log('Received execute command:', command);
+    const { name, address, ensName, aliases, notes, tags } = req.body;
     
-    if (!command) {
-      return res.status(400).json({ error: 'Command is required' });
+    if (!name || !(address || ensName)) {
+      return res.status(400).json({ error: 'Name and an address or ENS name are required' });
     }
     
-    // Parse the command
-    const parsedCommand = parseCommand(command);
+    // The model checks the address format and EIP-55 checksum
+    const { fields, ...problem } = await prepareContactFields(req.body);
+    if (problem.error) {
+      return res.status(problem.status).json({ error: problem.error, suggestion: problem.suggestion });
+    }
     
-    if (!parsedCommand) {
-      return res.status(400).json({ 
-        error: 'Invalid command format',
-        suggestion: 'Try something like "Send 5 USDC to Alice"'
-      });
+    const contact = await ContactRepository.create(req.user._id, { name, aliases, notes, tags, ...fields });
+    
+    res.status(201).json(contact);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/contacts', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const contacts = await ContactRepository.findAll(req.user._id, req.query.tag);
+    res.json(contacts);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Import a CSV or vCard file, sent as the body (text/csv or text/vcard) or as "data" in
+// JSON. format, onDuplicate (skip or merge) and dryRun come from the query or JSON body.
+app.post('/api/contacts/import', requireScope(SCOPES.WRITE), async (req, res) => {
+  try {
+    const raw = typeof req.body === 'string';
+    const options = raw ? req.query : { ...req.query, ...req.body };
+    const data = raw ? req.body : options.data;
+    
+    if (typeof data !== 'string' || data.trim() === '') {
+      return res.status(400).json({ error: 'Send the file as a text/csv or text/vcard body, or as "data" in JSON' });
     }
     
-    const { amount, token, recipient } = parsedCommand;
-    console.log('Looking for recipient:', recipient);
+    const format = options.format ? String(options.format).toLowerCase() : detectContactFormat(data, req.get('Content-Type'));
+    if (!Object.values(CONTACT_FORMATS).includes(format)) {
+      return res.status(400).json({ error: `Unknown format "${options.format}"; use csv or vcard` });
+    }
     
-    // Look up the recipient in the contacts
-    const contact = await ContactRepository.findByName(recipient);
-    console.log('Found contact:', contact);
+    const onDuplicate = options.onDuplicate || 'skip';
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return res.status(400).json({ error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+    }
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
     
-    if (!contact) {
-      return res.status(404).json({ 
-        error: `Contact "${recipient}" not found`,
-        suggestion: `Make sure you've added ${recipient} to your contacts first`
+    let entries;
+    try {
+      entries = format === CONTACT_FORMATS.VCARD ? parseVcard(data) : parseCsv(data);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (entries.length > MAX_CONTACT_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `At most ${MAX_CONTACT_IMPORT_ROWS} contacts can be imported at once; this file has ${entries.length}`
       });
     }
     
-    // Use the blockchain service to send tokens
-    const transaction = await blockchainService.sendTokens(
-      token,
-      contact.address,
-      amount
-    );
+    const contacts = await ContactRepository.findAll(req.user._id);
+    const existing = new Map(contacts.map(contact => [contact.name, contact]));
+    const seen = new Map();
     
-    res.json({
-      success: true,
-      message: `Successfully sent ${amount} ${token} to ${recipient}`,
-      transaction
-    });
+    const rows = [];
+    for (const entry of entries) {
+      rows.push(await importContact(req.user, entry, { existing, seen, onDuplicate, dryRun }));
+    }
+    
+    const summary = { created: 0, merged: 0, skipped: 0, invalid: 0 };
+    rows.forEach(row => summary[row.status]++);
     
+    res.json({ format, dryRun, summary, rows });
   } catch (error) {
-    console.error('Transaction error:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// 3. Balance check API
-app.get('/api/balance', async (req, res) => {
+// Download the contact book, optionally only contacts with a tag
+app.get('/api/contacts/export', requireScope(SCOPES.READ), async (req, res) => {
   try {
-    const { token } = req.query;
+    const format = String(req.query.format || CONTACT_FORMATS.CSV).toLowerCase();
+    if (!Object.values(CONTACT_FORMATS).includes(format)) {
+      return res.status(400).json({ error: `Unknown format "${req.query.format}"; use csv or vcard` });
+    }
     
-    if (token) {
-      // Get specific token balance
-      const balance = await blockchainService.getTokenBalance(token.toUpperCase());
-      res.json(balance);
-    } else {
-      // Get all balances
-      const balances = await blockchainService.getBalances();
-      res.json(balances);
+    const contacts = await ContactRepository.findAll(req.user._id, req.query.tag);
+    
+    if (format === CONTACT_FORMATS.VCARD) {
+      return res.attachment('contacts.vcf').type('text/vcard; charset=utf-8').send(toVcard(contacts));
+    }
+    res.attachment('contacts.csv').type('text/csv; charset=utf-8').send(toCsv(contacts));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/contacts/:id', requireScope(SCOPES.WRITE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, aliases, notes, tags } = req.body;
+    
+    const { fields, ...problem } = await prepareContactFields(req.body);
+    if (problem.error) {
+      return res.status(problem.status).json({ error: problem.error, suggestion: problem.suggestion });
+    }
+    
+    const updatedContact = await ContactRepository.update(req.user._id, id, { name, aliases, notes, tags, ...fields });
+    
+    if (!updatedContact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    
+    res.json(updatedContact);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/contacts/:id', requireScope(SCOPES.WRITE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deleted = await ContactRepository.delete(req.user._id, id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Contact not found' });
     }
+    
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Send the 403 response for a transfer rejected by the spending policy
+ * @param {Object} res - Express response
+ * @param {Object[]} violations - Violations from PolicyEngine
+ * @param {Object} [extra] - Extra fields for the response body
+ */
+function sendPolicyViolation(res, violations, extra = {}) {
+  return res.status(403).json({
+    ...extra,
+    success: false,
+    error: 'Transfer rejected by spending policy',
+    code: ERROR_CODES.POLICY_VIOLATION,
+    violations
+  });
+}
+
+/**
+ * Check that a parsed amount can be sent in the given token before touching the chain
+ * @param {BlockchainService} service - Service for the sending user's wallet
+ * @param {string} token - Token symbol
+ * @param {string} amount - Normalized decimal amount
+ * @returns {Promise<string|null>} - Error message or null if the amount is sendable
+ */
+async function checkSendAmount(service, token, amount) {
+  if (!service.getTokenAddress(token)) {
+    return `Unsupported token: ${token}`;
+  }
+  
+  const decimals = await service.getTokenDecimals(token);
+  return checkAmountPrecision(amount, decimals, token);
+}
+
+/**
+ * Resolve a contact by name, or describe why it could not be resolved
+ * @param {Object} user - User whose contact book is searched
+ * @param {string} recipient - Contact name as spoken/typed
+ * @param {string} [contactId] - Contact picked by the user from an earlier candidates list
+ * @param {Object} [options] - Resolution options
+ * @param {boolean} [options.exact] - Require an exact name or alias; for commands that spend
+ * @returns {Promise<Object>} - { contact } or { status, error, suggestion, candidates }
+ */
+async function resolveRecipient(user, recipient, contactId, options = {}) {
+  if (contactId) {
+    const picked = await ContactRepository.findById(user._id, contactId);
+    if (!picked) {
+      return { status: 404, error: 'Contact not found' };
+    }
+    return { contact: picked };
+  }
+  
+  const { contact, candidates } = await ContactRepository.resolve(user._id, recipient, options);
+  
+  if (contact) {
+    return { contact };
+  }
+  
+  // Only an exact resolution leaves a single candidate: a close name that may have been misheard
+  if (candidates.length === 1) {
+    return {
+      status: 409,
+      error: `No contact is called "${recipient}". Did you mean ${candidates[0].name}?`,
+      suggestion: 'Say the exact name, or send the candidate\'s id as contactId',
+      candidates
+    };
+  }
+  
+  if (candidates.length > 0) {
+    return {
+      status: 409,
+      error: `More than one contact matches "${recipient}"`,
+      suggestion: 'Pick one of the candidates and send its id as contactId',
+      candidates
+    };
+  }
+  
+  return {
+    status: 404,
+    error: `Contact "${recipient}" not found`,
+    suggestion: `Make sure you've added ${recipient} to your contacts first`
+  };
+}
+
+// Commands that replace a send waiting for confirmation. Anything else ("check my balance")
+// leaves it pending, and the command that "yes" confirms and follow-ups amend.
+const REPLACES_PENDING = new Set([COMMAND_TYPES.SEND, COMMAND_TYPES.BATCH_SEND, COMMAND_TYPES.SCHEDULE_SEND]);
+
+/**
+ * Understand a command in the light of its conversation: follow-ups ("make it 10 instead")
+ * amend the session's last command, and pronouns ("to her") stand for its last contact
+ * @param {string} command - Command as spoken/typed
+ * @param {Object|null} session - Active session, or null outside of one
+ * @returns {Object} - { parsedCommand, contactId } where contactId is the contact already
+ * settled for the command, if any; or { status, code, error, suggestion }
+ */
+function interpretCommand(command, session) {
+  let parsedCommand = commandParser.parseCommand(command);
+  
+  // "and check my balance" is a command of its own, not a follow-up
+  const rest = command.replace(/^\s*and\s+/i, '');
+  if (parsedCommand && parsedCommand.type === COMMAND_TYPES.UNKNOWN && rest !== command) {
+    const own = commandParser.parseCommand(rest);
+    if (own && own.type !== COMMAND_TYPES.UNKNOWN) parsedCommand = own;
+  }
+  
+  const lastContact = session && session.contact ? { id: session.contact, name: session.contactName } : null;
+  
+  if (!parsedCommand || parsedCommand.type !== COMMAND_TYPES.UNKNOWN) {
+    const resolved = resolvePronouns(parsedCommand, lastContact);
+    if (resolved.error) {
+      return { status: 400, code: ERROR_CODES.NO_SESSION_CONTEXT, error: resolved.error, suggestion: 'Say the contact\'s name instead' };
+    }
+    return resolved;
+  }
+  
+  const followUp = parseFollowUp(command);
+  if (!followUp) {
+    return { parsedCommand };
+  }
+  
+  if (!session) {
+    return {
+      status: 400,
+      code: ERROR_CODES.NO_SESSION_CONTEXT,
+      error: `"${command}" follows up on an earlier command, but there is no conversation to follow`,
+      suggestion: `Send the same sessionId with every command of a conversation. Sessions end after ${SESSION_IDLE_MINUTES} minutes without a command.`
+    };
+  }
+  if (followUp.type !== AMEND) {
+    return { parsedCommand: followUp };
+  }
+  if (followUp.error) {
+    return { status: 400, code: ERROR_CODES.INVALID_AMOUNT, error: followUp.error };
+  }
+  
+  if (!session.parsedCommand) {
+    return { status: 400, code: ERROR_CODES.NO_SESSION_CONTEXT, error: 'There is no earlier command in this conversation to change' };
+  }
+  
+  // A schedule is saved as soon as it's said, so amending it would start a second one
+  if (session.parsedCommand.type === COMMAND_TYPES.SCHEDULE_SEND) {
+    return {
+      status: 400,
+      error: 'A scheduled payment can\'t be changed with a follow-up',
+      suggestion: 'Pause or delete it under /api/schedules, then say the new schedule in full'
+    };
+  }
+  
+  const amended = applyFollowUp(session.parsedCommand, followUp.changes);
+  if (amended.error) {
+    return { status: 400, error: amended.error };
+  }
+  
+  // "and her too"
+  const resolved = resolvePronouns(amended.parsedCommand, lastContact);
+  if (resolved.error) {
+    return { status: 400, code: ERROR_CODES.NO_SESSION_CONTEXT, error: resolved.error, suggestion: 'Say the contact\'s name instead' };
+  }
+  
+  // Changing anything but the recipient keeps the contact the command went to
+  return {
+    parsedCommand: resolved.parsedCommand,
+    contactId: followUp.changes.recipient ? resolved.contactId : session.commandContact
+  };
+}
+
+/**
+ * Make a command the one its session's follow-ups amend, cancelling any send it replaces
+ * (see REPLACES_PENDING). It's remembered before it is carried out, so a command that
+ * fails ("not enough USDC") can still be amended.
+ * @param {Object} user - User the session belongs to
+ * @param {string} sessionId - Session ID
+ * @param {Object|null} session - Session as it was before the command
+ * @param {string} command - Command as spoken/typed
+ * @param {Object} parsedCommand - Command as understood
+ * @returns {Promise<Object>} - Updated session
+ */
+async function rememberCommand(user, sessionId, session, command, parsedCommand) {
+  if (session && session.pendingIntent) {
+    await IntentRepository.cancel(user._id, session.pendingIntent);
+  }
+  
+  return SessionRepository.record(user._id, sessionId, {
+    command,
+    parsedCommand: { type: parsedCommand.type, payload: parsedCommand.payload },
+    commandContact: null,
+    pendingIntent: null
+  });
+}
+
+/**
+ * Remember the contact a command resolved, for pronouns and for amending the command
+ * @param {Object} user - User the session belongs to
+ * @param {string} sessionId - Session ID
+ * @param {Object} contact - Resolved contact
+ * @param {Object} [fields] - Anything else to remember
+ * @param {boolean} [ofCommand] - False when the command isn't the one follow-ups amend, so
+ * the contact only stands in for pronouns
+ * @returns {Promise<Object>} - Updated session
+ */
+async function rememberContact(user, sessionId, contact, fields = {}, ofCommand = true) {
+  return SessionRepository.record(user._id, sessionId, {
+    ...fields,
+    ...(ofCommand ? { commandContact: contact._id } : {}),
+    contact: contact._id,
+    contactName: contact.name
+  });
+}
+
+/**
+ * Hold a send for confirmation instead of broadcasting it: check it against the spending
+ * policy now, quote its fee, and save it as an intent to confirm
+ * @param {Object} params - Send parameters
+ * @param {Object} params.user - Sending user
+ * @param {BlockchainService} params.service - Service for the sending wallet and network
+ * @param {string} params.command - Original command text
+ * @param {string} params.description - What the command will do, for the confirmation
+ * @param {string} params.token - Token symbol
+ * @param {string} params.amount - Normalized amount
+ * @param {Object} params.contact - Resolved recipient
+ * @param {string} [params.account] - Wallet account to sign with on confirmation
+ * @param {string} params.speed - Fee tier
+ * @returns {Promise<Object>} - { status: 201, message, data, contact, intent } or { status, error, code, violations }
+ */
+async function holdSend({ user, service, command, description, token, amount, contact, account, speed }) {
+  // Surface policy problems now rather than after the user confirms
+  const violations = await PolicyEngine.evaluate({
+    user,
+    token,
+    amount,
+    decimals: await service.getTokenDecimals(token),
+    contact
+  });
+  if (violations.length > 0) {
+    return { status: 403, error: 'Transfer rejected by spending policy', code: ERROR_CODES.POLICY_VIOLATION, violations };
+  }
+  
+  const estimate = await service.estimateTransferCost(token, contact.address, amount, speed);
+  
+  const intent = await IntentRepository.create({
+    owner: user._id,
+    command,
+    type: COMMAND_TYPES.SEND,
+    payload: { amount, token, recipient: contact.name },
+    description,
+    contact: contact._id,
+    contactName: contact.name,
+    address: contact.address,
+    account,
+    chainId: service.chainId,
+    speed,
+    estimate
+  });
+  
+  return {
+    status: 201,
+    message: `Confirm to send ${amount} ${token} to ${contact.name}`,
+    data: {
+      intentId: intent._id,
+      description: intent.description,
+      recipient: contact.name,
+      address: contact.address,
+      amount,
+      token,
+      ...(await service.describeNetwork()),
+      estimatedGas: estimate,
+      expiresAt: intent.expiresAt
+    },
+    contact,
+    intent
+  };
+}
+
+/**
+ * Send a previewed intent. Claiming is atomic, so two confirms racing for the same
+ * intent can't both send. If nothing could be sent, the intent is released so it can
+ * be confirmed again.
+ * @param {Object} user - User who previewed the intent
+ * @param {string} intentId - Intent ID
+ * @returns {Promise<Object>} - { status, message, data } with the transaction (or the batch
+ * results), or { status, error, suggestion, retryable } where retryable is set when the
+ * intent was released
+ */
+async function confirmIntent(user, intentId) {
+  const intent = await IntentRepository.claim(user._id, intentId);
+  
+  if (!intent) {
+    const existing = await IntentRepository.findById(user._id, intentId);
+    
+    if (!existing) {
+      return { status: 404, error: 'Intent not found' };
+    }
+    if (existing.status === INTENT_STATUS.CONFIRMED) {
+      return { status: 409, error: 'Intent has already been confirmed' };
+    }
+    if (existing.status === INTENT_STATUS.CANCELLED) {
+      return {
+        status: 409,
+        error: 'Intent was cancelled',
+        suggestion: 'Preview the command again to get a new intent'
+      };
+    }
+    return {
+      status: 410,
+      error: 'Intent has expired',
+      suggestion: 'Preview the command again to get a new intent'
+    };
+  }
+  
+  const { amount, token } = intent.payload;
+  let transaction;
+  try {
+    const service = await walletRegistry.getServiceForUser(user, intent.account, intent.chainId);
+    
+    // Batches are checked again in full and sent to the contacts they were previewed with.
+    // A batch only fails as a whole when none of its payments went out.
+    if (intent.type === COMMAND_TYPES.BATCH_SEND) {
+      const result = await commandHandlers[COMMAND_TYPES.BATCH_SEND](intent.payload, {
+        command: intent.command,
+        user,
+        speed: intent.speed,
+        confirmed: true,
+        getService: async () => service
+      });
+      if (!result.error) return result;
+      
+      await IntentRepository.release(intent._id);
+      return { ...result, retryable: true };
+    }
+    
+    // Policies are checked again against the live contact; fall back to the snapshot if it was deleted
+    const contact = await ContactRepository.findById(user._id, intent.contact) || {
+      _id: intent.contact,
+      name: intent.contactName,
+      address: intent.address
+    };
+    
+    transaction = await executeSend({
+      user,
+      service,
+      command: intent.command,
+      token,
+      amount,
+      contact,
+      speed: intent.speed
+    });
+  } catch (error) {
+    // Nothing was broadcast, e.g. the node was unreachable or a policy now blocks it
+    await IntentRepository.release(intent._id);
+    throw error;
+  }
+  await IntentRepository.attachTransaction(intent._id, transaction.id);
+  
+  return {
+    status: 202,
+    message: `Submitted ${amount} ${token} to ${intent.contactName}`,
+    data: transaction
+  };
+}
+
+// Answer to "yes" or "cancel that" when no previewed command is waiting
+const NOTHING_PENDING = {
+  status: 409,
+  error: 'Nothing is waiting for confirmation',
+  suggestion: 'Preview a command first. A payment that was already submitted can be cancelled while pending with POST /api/transactions/:hash/cancel'
+};
+
+// Handlers for each parsed command type. Each receives the payload and a context of
+// { command, description, contactId, user, account, speed, expiresInHours, confirmed, session, getService } and returns
+// { message, data } on success (with a status if it isn't 200, the contact it resolved and the intent it saved, if any)
+// or { status, error, suggestion } when the command can't be carried out. Sends are only broadcast when confirmed;
+// otherwise they're saved as intents to confirm.
+const commandHandlers = {
+  [COMMAND_TYPES.SEND]: async ({ amount, token: spokenToken, recipient, network }, { command, description, contactId, user, account, speed, confirmed, getService }) => {
+    const service = await getService(network);
+    const token = service.resolveTokenSymbol(spokenToken);
+    const amountError = await checkSendAmount(service, token, amount);
+    if (amountError) return { status: 400, error: amountError };
+    
+    const resolved = await resolveRecipient(user, recipient, contactId, { exact: true });
+    if (!resolved.contact) return resolved;
+    
+    const { contact } = resolved;
+    if (!confirmed) {
+      return holdSend({ user, service, command, description, token, amount, contact, account, speed });
+    }
+    
+    const transaction = await executeSend({ user, service, command, token, amount, contact, speed });
+    
+    // Accepted: the transaction is broadcast but not yet confirmed
+    return {
+      status: 202,
+      message: `Submitted ${amount} ${token} to ${contact.name}`,
+      data: transaction,
+      contact
+    };
+  },
+  
+  [COMMAND_TYPES.BATCH_SEND]: async ({ mode, amount, token: spokenToken, recipients, weights, network, contactIds }, { command, description, user, account, speed, confirmed, getService }) => {
+    const service = await getService(network);
+    const token = service.resolveTokenSymbol(spokenToken);
+    const amountError = await checkSendAmount(service, token, amount);
+    if (amountError) return { status: 400, error: amountError };
+    
+    const decimals = await service.getTokenDecimals(token);
+    const amounts = mode === 'each'
+      ? recipients.map(() => amount)
+      : splitAmount(amount, weights, decimals);
+    if (amounts.includes('0')) {
+      return { status: 400, error: `${amount} ${token} is too small to split ${recipients.length} ways` };
+    }
+    
+    // Resolve every recipient before anything is sent; a confirmed batch pays the contacts it was previewed with
+    const resolved = await Promise.all(recipients.map((recipient, i) => resolveRecipient(user, recipient, contactIds && contactIds[i], { exact: true })));
+    const unresolved = resolved
+      .map((result, i) => ({ recipient: recipients[i], ...result }))
+      .filter(result => !result.contact);
+    if (unresolved.length > 0) {
+      return {
+        status: unresolved.some(result => result.status === 409) ? 409 : 404,
+        error: 'Some recipients could not be resolved',
+        results: unresolved.map(({ recipient, error, suggestion, candidates }) => ({ recipient, error, suggestion, candidates }))
+      };
+    }
+    
+    const payments = resolved.map(({ contact }, i) => ({ contact, amount: amounts[i] }));
+    if (new Set(payments.map(({ contact }) => contact._id.toString())).size < payments.length) {
+      return { status: 400, error: 'Two of the recipients are the same contact' };
+    }
+    
+    // The whole batch must be affordable and allowed before the first payment is broadcast
+    const total = payments.reduce((sum, payment) => sum + toUnits(payment.amount, decimals), 0n);
+    const balance = await service.getTokenBalance(token, null, { fresh: true });
+    if (balance.status !== BALANCE_STATUS.OK) {
+      throw new RpcError(`Could not check ${token} balance: ${balance.error}`);
+    }
+    
+    // Native-currency payments pay their gas from the same balance
+    let fees = 0n;
+    if (service.isNativeToken(token)) {
+      const quote = await service.estimateTransferCost(token, payments[0].contact.address, payments[0].amount, speed);
+      fees = toUnits(quote.maxCost, decimals) * BigInt(payments.length);
+    }
+    if (BigInt(balance.balanceRaw) < total + fees) {
+      const needs = fees > 0n
+        ? `${fromUnits(total + fees, decimals)} ${token} including up to ${fromUnits(fees, decimals)} ${token} in fees`
+        : `${fromUnits(total, decimals)} ${token}`;
+      return {
+        status: 402,
+        code: ERROR_CODES.INSUFFICIENT_FUNDS,
+        error: `Insufficient ${token} balance: the batch needs ${needs} but the wallet holds ${balance.balance}`
+      };
+    }
+    
+    const violations = await PolicyEngine.evaluateBatch({ user, token, decimals, payments });
+    if (violations.length > 0) {
+      return { status: 403, error: 'Transfer rejected by spending policy', code: ERROR_CODES.POLICY_VIOLATION, violations };
+    }
+    
+    if (!confirmed) {
+      const intent = await IntentRepository.create({
+        owner: user._id,
+        command,
+        type: COMMAND_TYPES.BATCH_SEND,
+        payload: { mode, amount, token, recipients, weights, network, contactIds: payments.map(({ contact }) => contact._id.toString()) },
+        description,
+        account,
+        chainId: service.chainId,
+        speed
+      });
+      return {
+        status: 201,
+        message: `${description}? Confirm to send`,
+        data: {
+          intentId: intent._id,
+          description,
+          token,
+          total: fromUnits(total, decimals),
+          payments: payments.map(({ contact, amount: share }) => ({ recipient: contact.name, address: contact.address, amount: share })),
+          ...(await service.describeNetwork()),
+          expiresAt: intent.expiresAt
+        },
+        intent
+      };
+    }
+    
+    // Sent one by one (the nonce manager pipelines them); one failure doesn't stop the rest
+    const results = [];
+    for (const payment of payments) {
+      try {
+        const transaction = await executeSend({ user, service, command, token, amount: payment.amount, contact: payment.contact, speed });
+        results.push({ recipient: payment.contact.name, amount: payment.amount, status: 'submitted', transaction });
+      } catch (error) {
+        const { body } = describeError(error);
+        results.push({ recipient: payment.contact.name, amount: payment.amount, status: 'failed', error: body.error, code: body.code, violations: error.violations });
+      }
+    }
+    
+    const sent = results.filter(result => result.status === 'submitted');
+    const submitted = sent.length;
+    if (submitted === 0) {
+      return { status: 500, error: 'None of the payments could be sent', results };
+    }
+    
+    // Multi-status when only some of the payments went out
+    const submittedTotal = fromUnits(sent.reduce((sum, result) => sum + toUnits(result.amount, decimals), 0n), decimals);
+    return {
+      status: submitted === results.length ? 202 : 207,
+      message: `Submitted ${submitted} of ${results.length} payments totalling ${submittedTotal} ${token}`,
+      data: {
+        token,
+        total: fromUnits(total, decimals),
+        submittedTotal,
+        submitted,
+        failed: results.length - submitted,
+        results
+      }
+    };
+  },
+  
+  [COMMAND_TYPES.SCHEDULE_SEND]: async ({ amount, token: spokenToken, recipient, network, recurrence }, { command, contactId, user, account, speed, getService }) => {
+    const service = await getService(network);
+    const token = service.resolveTokenSymbol(spokenToken);
+    const amountError = await checkSendAmount(service, token, amount);
+    if (amountError) return { status: 400, error: amountError };
+    
+    const resolved = await resolveRecipient(user, recipient, contactId, { exact: true });
+    if (!resolved.contact) return resolved;
+    
+    const nextRunAt = firstRun(recurrence);
+    if (!nextRunAt) {
+      return { status: 400, error: `${recurrence.date} ${recurrence.time} UTC is in the past` };
+    }
+    
+    // Monthly payments stay on the day they started, even after a shorter month
+    if (recurrence.frequency === FREQUENCIES.MONTHLY) {
+      recurrence.dayOfMonth = nextRunAt.getUTCDate();
+    }
+    
+    const { contact } = resolved;
+    const schedule = await ScheduleRepository.create({
+      owner: user._id,
+      command,
+      description: describeSchedule(recurrence),
+      token,
+      amount,
+      contact: contact._id,
+      contactName: contact.name,
+      account,
+      chainId: service.chainId,
+      speed,
+      recurrence,
+      nextRunAt
+    });
+    
+    return {
+      status: 201,
+      message: `Scheduled ${amount} ${token} to ${contact.name} ${schedule.description}; first payment at ${nextRunAt.toISOString()}`,
+      data: schedule,
+      contact
+    };
+  },
+  
+  [COMMAND_TYPES.REQUEST_PAYMENT]: async ({ amount, token: spokenToken, payer, memo, network }, { command, contactId, user, expiresInHours, getService }) => {
+    const service = await getService(network);
+    const token = service.resolveTokenSymbol(spokenToken);
+    const amountError = await checkSendAmount(service, token, amount);
+    if (amountError) return { status: 400, error: amountError };
+    
+    const hours = expiresInHours === undefined ? PAYMENT_REQUEST_EXPIRY_HOURS : Number(expiresInHours);
+    if (!(hours > 0) || hours > MAX_PAYMENT_REQUEST_EXPIRY_HOURS) {
+      return { status: 400, error: `expiresInHours must be more than 0 and at most ${MAX_PAYMENT_REQUEST_EXPIRY_HOURS}` };
+    }
+    
+    // Without a payer anyone may pay the request
+    let contact = null;
+    if (payer) {
+      const resolved = await resolveRecipient(user, payer, contactId);
+      if (!resolved.contact) return resolved;
+      contact = resolved.contact;
+    }
+    
+    const decimals = await service.getTokenDecimals(token);
+    const amountRaw = toUnits(amount, decimals).toString();
+    const tokenAddress = service.isNativeToken(token) ? null : service.getTokenAddress(token);
+    const to = service.wallet.address;
+    
+    const request = await PaymentRequestRepository.create({
+      owner: user._id,
+      command,
+      token,
+      tokenAddress,
+      amount,
+      amountRaw,
+      memo,
+      payer: contact ? contact._id : undefined,
+      payerName: contact ? contact.name : undefined,
+      payerAddress: contact ? contact.address : undefined,
+      to,
+      chainId: service.chainId,
+      network: tokenRegistry.resolveNetwork(service.chainId).name,
+      uri: buildPaymentUri({ to, chainId: service.chainId, tokenAddress, amountRaw }),
+      // Only transfers mined from here on can pay it
+      startBlock: await service.provider.getBlockNumber(),
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+    
+    return {
+      status: 201,
+      message: `Requested ${amount} ${token}${contact ? ` from ${contact.name}` : ''}`,
+      data: request,
+      contact
+    };
+  },
+  
+  [COMMAND_TYPES.CHECK_BALANCE]: async ({ token, network }, { getService }) => {
+    const service = await getService(network);
+    const balances = token === 'ALL'
+      ? await service.getBalances()
+      : [await service.getTokenBalance(token)];
+    
+    return {
+      message: balances.map(b => {
+        if (b.status === BALANCE_STATUS.ERROR) return `${b.token} unavailable`;
+        return `${b.balance} ${b.token}${b.status === BALANCE_STATUS.STALE ? ' (may be out of date)' : ''}`;
+      }).join(', '),
+      data: balances
+    };
+  },
+  
+  [COMMAND_TYPES.ADD_CONTACT]: async ({ name, address, ensName }, { user }) => {
+    const { fields, ...problem } = await prepareContactFields({ address, ensName });
+    if (problem.error) return problem;
+    
+    try {
+      const contact = await ContactRepository.create(user._id, { name, ...fields });
+      return {
+        message: contact.ensName
+          ? `Added contact ${contact.name} (${contact.ensName}, ${contact.address})`
+          : `Added contact ${contact.name}`,
+        data: contact,
+        contact
+      };
+    } catch (error) {
+      if (error.code === ERROR_CODES.DUPLICATE_CONTACT || error.name === 'ValidationError') {
+        const { status, body } = describeError(error);
+        return { status, ...body };
+      }
+      throw error;
+    }
+  },
+  
+  [COMMAND_TYPES.LIST_CONTACTS]: async (payload, { user }) => {
+    const contacts = await ContactRepository.findAll(user._id);
+    return {
+      message: `You have ${contacts.length} contact${contacts.length === 1 ? '' : 's'}`,
+      data: contacts
+    };
+  },
+  
+  // Follow-ups to a previewed command; interpretCommand only lets these through within a session
+  [COMMAND_TYPES.CONFIRM]: async (payload, { user, session }) => {
+    if (!session.pendingIntent) return NOTHING_PENDING;
+    return confirmIntent(user, session.pendingIntent);
+  },
+  
+  [COMMAND_TYPES.CANCEL]: async (payload, { user, session }) => {
+    if (!session.pendingIntent) return NOTHING_PENDING;
+    
+    const intent = await IntentRepository.cancel(user._id, session.pendingIntent);
+    if (!intent) {
+      return { status: 410, error: 'The previewed command has already been confirmed or has expired' };
+    }
+    return {
+      message: `Cancelled: ${intent.description}`,
+      data: intent
+    };
+  }
+};
+
+// Scope each command type needs on top of "read"
+const COMMAND_SCOPES = {
+  [COMMAND_TYPES.SEND]: SCOPES.SPEND,
+  [COMMAND_TYPES.SCHEDULE_SEND]: SCOPES.SPEND,
+  [COMMAND_TYPES.BATCH_SEND]: SCOPES.SPEND,
+  [COMMAND_TYPES.REQUEST_PAYMENT]: SCOPES.WRITE,
+  [COMMAND_TYPES.ADD_CONTACT]: SCOPES.WRITE,
+  [COMMAND_TYPES.CONFIRM]: SCOPES.SPEND
+};
+
+// 2. Command execution API
+app.post('/api/execute', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { command, contactId } = req.body;
+    
+    if (!command) {
+      return res.status(400).json({ error: 'Command is required' });
+    }
+    
+    const { sessionId, error: sessionError } = requestedSession(req);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+    const session = sessionId ? await SessionRepository.findActive(req.user._id, sessionId) : null;
+    
+    const interpreted = interpretCommand(command, session);
+    if (interpreted.error) {
+      return res.status(interpreted.status).json({
+        success: false,
+        error: interpreted.error,
+        code: interpreted.code,
+        suggestion: interpreted.suggestion
+      });
+    }
+    
+    const { parsedCommand } = interpreted;
+    
+    const handler = commandHandlers[parsedCommand.type];
+    
+    if (!handler) {
+      return res.status(400).json({
+        success: false,
+        type: COMMAND_TYPES.UNKNOWN,
+        error: 'Invalid command format',
+        suggestion: 'Try something like "Send 5 USDC to Alice"',
+        help: commandParser.getSupportedCommands()
+      });
+    }
+    
+    const requiredScope = COMMAND_SCOPES[parsedCommand.type];
+    if (requiredScope && !hasScope(req, requiredScope)) {
+      return res.status(403).json({
+        success: false,
+        type: parsedCommand.type,
+        error: `This command requires the "${requiredScope}" scope`,
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScope
+      });
+    }
+    
+    if (parsedCommand.error) {
+      return res.status(400).json({
+        success: false,
+        type: parsedCommand.type,
+        error: parsedCommand.error
+      });
+    }
+    
+    const network = parsedCommand.payload.network || requestedNetwork(req);
+    if (network && !tokenRegistry.resolveNetwork(network)) {
+      return res.status(400).json({
+        success: false,
+        type: parsedCommand.type,
+        ...unknownNetworkError(network)
+      });
+    }
+    
+    const { speed, error: speedError } = requestedSpeed(req);
+    if (speedError) {
+      return res.status(400).json({ success: false, type: parsedCommand.type, error: speedError });
+    }
+    
+    // Confirming or cancelling leaves the command they answer as the one to amend, and so
+    // does a command said while a send waits for confirmation, unless it replaces the send
+    const answersPreview = parsedCommand.type === COMMAND_TYPES.CONFIRM || parsedCommand.type === COMMAND_TYPES.CANCEL;
+    const replacesCommand = !answersPreview &&
+      (!session || !session.pendingIntent || REPLACES_PENDING.has(parsedCommand.type));
+    if (sessionId && replacesCommand) {
+      await rememberCommand(req.user, sessionId, session, command, parsedCommand);
+    }
+    
+    const result = await handler(parsedCommand.payload, {
+      command,
+      description: commandParser.getCommandDescription(parsedCommand),
+      // A contact picked from candidates wins over the one the conversation settled on
+      contactId: contactId || interpreted.contactId,
+      user: req.user,
+      account: (req.body && req.body.account) || req.query.account,
+      speed,
+      expiresInHours: req.body.expiresInHours,
+      // Sends are always held as intents; they're only sent by confirming the intent
+      session,
+      // Only resolve the wallet for commands that need the chain
+      getService: (commandNetwork) => getService(req, commandNetwork)
+    });
+    
+    if (sessionId) {
+      // "yes" and "cancel that" now refer to a held send, and to nothing once answered,
+      // unless the send failed and can be confirmed again
+      const fields = answersPreview && !result.retryable ? { pendingIntent: null } : {};
+      if (result.intent) fields.pendingIntent = result.intent._id;
+      
+      if (result.contact) {
+        await rememberContact(req.user, sessionId, result.contact, fields, answersPreview || replacesCommand);
+      } else if (Object.keys(fields).length > 0) {
+        await SessionRepository.record(req.user._id, sessionId, fields);
+      }
+    }
+    
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        type: parsedCommand.type,
+        error: result.error,
+        code: result.code,
+        suggestion: result.suggestion,
+        candidates: result.candidates,
+        violations: result.violations,
+        results: result.results
+      });
+    }
+    
+    res.status(result.status || 200).json({
+      success: true,
+      type: parsedCommand.type,
+      description: commandParser.getCommandDescription(parsedCommand),
+      message: result.message,
+      data: result.data
+    });
+    
+  } catch (error) {
+    if (error instanceof PolicyViolationError) {
+      return sendPolicyViolation(res, error.violations, { type: COMMAND_TYPES.SEND });
+    }
+    sendError(res, error);
+  }
+});
+
+// Preview a command without sending anything; returns an intent to confirm
+app.post('/api/execute/preview', requireScope(SCOPES.SPEND), async (req, res) => {
+  try {
+    const { command, contactId } = req.body;
+    
+    if (!command) {
+      return res.status(400).json({ error: 'Command is required' });
+    }
+    
+    const { sessionId, error: sessionError } = requestedSession(req);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+    const session = sessionId ? await SessionRepository.findActive(req.user._id, sessionId) : null;
+    
+    const interpreted = interpretCommand(command, session);
+    if (interpreted.error) {
+      return res.status(interpreted.status).json({
+        error: interpreted.error,
+        code: interpreted.code,
+        suggestion: interpreted.suggestion
+      });
+    }
+    
+    const { parsedCommand } = interpreted;
+    
+    if (!parsedCommand || parsedCommand.type !== COMMAND_TYPES.SEND) {
+      return res.status(400).json({ 
+        error: 'Invalid command format',
+        suggestion: 'Try something like "Send 5 USDC to Alice"'
+      });
+    }
+    
+    if (parsedCommand.error) {
+      return res.status(400).json({ error: parsedCommand.error });
+    }
+    
+    if (sessionId) {
+      await rememberCommand(req.user, sessionId, session, command, parsedCommand);
+    }
+    
+    const { amount, recipient } = parsedCommand.payload;
+    const network = parsedCommand.payload.network || requestedNetwork(req);
+    
+    if (network && !tokenRegistry.resolveNetwork(network)) {
+      return res.status(400).json(unknownNetworkError(network));
+    }
+    
+    const { speed, error: speedError } = requestedSpeed(req);
+    if (speedError) {
+      return res.status(400).json({ error: speedError });
+    }
+    
+    const service = await getService(req, network);
+    const token = service.resolveTokenSymbol(parsedCommand.payload.token);
+    
+    const amountError = await checkSendAmount(service, token, amount);
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
+    }
+    
+    const { contact, status, error, suggestion, candidates } = await resolveRecipient(req.user, recipient, contactId || interpreted.contactId, { exact: true });
+    
+    if (!contact) {
+      return res.status(status).json({ error, suggestion, candidates });
+    }
+    
+    const result = await holdSend({
+      user: req.user,
+      service,
+      command,
+      description: commandParser.getCommandDescription(parsedCommand),
+      token,
+      amount,
+      contact,
+      account: req.body.account,
+      speed
+    });
+    if (result.error) {
+      return sendPolicyViolation(res, result.violations);
+    }
+    
+    // "yes" and "cancel that" in the session now refer to this intent
+    if (sessionId) {
+      await rememberContact(req.user, sessionId, contact, { pendingIntent: result.intent._id });
+    }
+    
+    res.status(201).json(result.data);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Confirm a previewed intent and actually send the funds
+app.post('/api/execute/confirm/:intentId', requireScope(SCOPES.SPEND), async (req, res) => {
+  try {
+    const result = await confirmIntent(req.user, req.params.intentId);
+    
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code,
+        suggestion: result.suggestion,
+        violations: result.violations,
+        results: result.results
+      });
+    }
+    
+    // Batches report each payment; single sends return their transaction
+    res.status(result.status).json({
+      success: true,
+      message: result.message,
+      ...(result.data.results ? { data: result.data } : { transaction: result.data })
+    });
+  } catch (error) {
+    if (error instanceof PolicyViolationError) {
+      return sendPolicyViolation(res, error.violations);
+    }
+    sendError(res, error);
+  }
+});
+
+// Conversation sessions: what follow-ups in a session will refer to
+app.get('/api/sessions/:sessionId', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const session = await SessionRepository.findActive(req.user._id, req.params.sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found or expired' });
+    }
+    
+    res.json(session);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// End a session early, e.g. when the user says goodbye; a pending preview is cancelled
+app.delete('/api/sessions/:sessionId', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const session = await SessionRepository.findActive(req.user._id, req.params.sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found or expired' });
+    }
+    
+    if (session.pendingIntent) {
+      await IntentRepository.cancel(req.user._id, session.pendingIntent);
+    }
+    await SessionRepository.end(req.user._id, req.params.sessionId);
+    
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Check that spending limits fit their token's decimals on every network that lists the token
+ * @param {Object} body - Policy fields as sent
+ * @returns {string|null} - Error message, or null if every limit fits
+ */
+function checkPolicyPrecision(body) {
+  for (const field of ['perTransactionCaps', 'dailyLimits', 'weeklyLimits']) {
+    const limits = body[field];
+    if (!limits || typeof limits !== 'object') continue;
+    
+    for (const [symbol, amount] of Object.entries(limits)) {
+      for (const network of tokenRegistry.listNetworks()) {
+        const token = tokenRegistry.getToken(network.chainId, symbol);
+        const error = token && checkAmountPrecision(String(amount), token.decimals, token.symbol);
+        if (error) {
+          return `${field}.${symbol}: ${error} on ${network.name}`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Spending policy API
+app.get('/api/policy', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const policy = await PolicyRepository.findForOwner(req.user._id);
+    res.json(policy);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/policy', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const precisionError = checkPolicyPrecision(req.body || {});
+    if (precisionError) {
+      return res.status(400).json({ error: precisionError, code: ERROR_CODES.INVALID_AMOUNT });
+    }
+    
+    const policy = await PolicyRepository.upsert(req.user._id, req.body || {});
+    res.json(policy);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Reload the registry after an edit and drop providers built from the old network settings
+ * @returns {Promise<void>}
+ */
+async function reloadRegistry() {
+  await tokenRegistry.load();
+  walletRegistry.resetNetworks();
+}
+
+// Network and token registry API. Changes take effect immediately for all users.
+app.get('/api/networks', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const networks = await NetworkRepository.findAll();
+    res.json(networks);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/networks', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { chainId, name, aliases, rpcUrl, rpcUrls, rpcQuorum, nativeSymbol } = req.body;
+    
+    if (!chainId || !name || !rpcUrl) {
+      return res.status(400).json({ error: 'chainId, name and rpcUrl are required' });
+    }
+    
+    const network = await NetworkRepository.create({ chainId, name, aliases, rpcUrl, rpcUrls, rpcQuorum, nativeSymbol });
+    
+    // Every network can at least move its native currency
+    await TokenRepository.seed(network.chainId, [
+      { symbol: network.nativeSymbol, address: NATIVE_ADDRESS, decimals: 18, aliases: [] }
+    ]);
+    await reloadRegistry();
+    
+    res.status(201).json(network);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/networks/:chainId', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { name, aliases, rpcUrl, rpcUrls, rpcQuorum, nativeSymbol } = req.body;
+    
+    const network = await NetworkRepository.update(Number(req.params.chainId), { name, aliases, rpcUrl, rpcUrls, rpcQuorum, nativeSymbol });
+    
+    if (!network) {
+      return res.status(404).json({ error: 'Network not found' });
+    }
+    
+    await reloadRegistry();
+    res.json(network);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/networks/:chainId', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const deleted = await NetworkRepository.delete(Number(req.params.chainId));
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Network not found or is the default network' });
+    }
+    
+    await reloadRegistry();
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/tokens', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { chainId } = req.query;
+    
+    if (chainId && !Number.isInteger(Number(chainId))) {
+      return res.status(400).json({ error: 'chainId must be an integer' });
+    }
+    
+    const tokens = await TokenRepository.findAll(chainId ? Number(chainId) : undefined);
+    res.json(tokens);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/tokens', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { chainId, symbol, address, decimals, aliases } = req.body;
+    
+    if (!chainId || !symbol || !address || decimals === undefined) {
+      return res.status(400).json({ error: 'chainId, symbol, address and decimals are required' });
+    }
+    
+    if (!tokenRegistry.resolveNetwork(Number(chainId))) {
+      return res.status(400).json({ error: `Unknown network with chain id ${chainId}` });
+    }
+    
+    const token = await TokenRepository.create({ chainId, symbol, address, decimals, aliases });
+    await reloadRegistry();
+    
+    res.status(201).json(token);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/tokens/:id', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { symbol, address, decimals, aliases } = req.body;
+    
+    const token = await TokenRepository.update(req.params.id, { symbol, address, decimals, aliases });
+    
+    if (!token) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    await reloadRegistry();
+    res.json(token);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/tokens/:id', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const deleted = await TokenRepository.delete(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    await reloadRegistry();
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Quote the network fee for a transfer at each speed tier before committing to it.
+// "to" is an address or a contact name.
+app.get('/api/fees/quote', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { token, amount, to } = req.query;
+    
+    if (!token || !amount || !to) {
+      return res.status(400).json({ error: 'token, amount and to are required' });
+    }
+    
+    const network = requestedNetwork(req);
+    if (network && !tokenRegistry.resolveNetwork(network)) {
+      return res.status(400).json(unknownNetworkError(network));
+    }
+    
+    const { amount: normalizedAmount, error: amountInputError } = normalizeAmount(amount);
+    if (amountInputError) {
+      return res.status(400).json({ error: amountInputError });
+    }
+    
+    const service = await getService(req);
+    const symbol = service.resolveTokenSymbol(token);
+    
+    const amountError = await checkSendAmount(service, symbol, normalizedAmount);
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
+    }
+    
+    let address = to;
+    if (!ethers.utils.isAddress(to)) {
+      const { contact, status, error, suggestion, candidates } = await resolveRecipient(req.user, to);
+      if (!contact) {
+        return res.status(status).json({ error, suggestion, candidates });
+      }
+      address = contact.address;
+    }
+    
+    const quote = await service.quoteTransferCost(symbol, address, normalizedAmount);
+    
+    res.json({
+      token: symbol,
+      amount: normalizedAmount,
+      to: address,
+      ...(await service.describeNetwork()),
+      ...quote
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 3. Balance check API
+app.get('/api/balance', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { token } = req.query;
+    const network = requestedNetwork(req);
+    
+    if (network && !tokenRegistry.resolveNetwork(network)) {
+      return res.status(400).json(unknownNetworkError(network));
+    }
+    
+    const service = await getService(req);
+    
+    if (token) {
+      // Get specific token balance
+      const balance = await service.getTokenBalance(token.toUpperCase());
+      res.json(balance);
+    } else {
+      // Get all balances
+      const balances = await service.getBalances();
+      res.json(balances);
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Holdings of any address, a contact or the user's own wallet across every token on a
+// network, valued in a fiat currency (PORTFOLIO_CURRENCY unless currency= is given)
+app.get('/api/portfolio', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { address, contact: contactName } = req.query;
+    const network = requestedNetwork(req);
+    
+    if (address && contactName) {
+      return res.status(400).json({ error: 'Give either address or contact, not both' });
+    }
+    
+    if (network && !tokenRegistry.resolveNetwork(network)) {
+      return res.status(400).json(unknownNetworkError(network));
+    }
+    
+    if (req.query.currency && !/^[a-z]{3,5}$/i.test(req.query.currency)) {
+      return res.status(400).json({ error: 'currency must be a currency code such as usd or eur' });
+    }
+    if (req.query.currency && !priceSource) {
+      return res.status(400).json({
+        error: 'No price source is configured',
+        suggestion: 'Set PRICE_SOURCE to coingecko, or to fixture with PRICE_FIXTURE_FILE'
+      });
+    }
+    const currency = priceSource ? (req.query.currency || PORTFOLIO_CURRENCY).toLowerCase() : null;
+    
+    const service = await getService(req);
+    let target = { address: service.wallet.address, contact: null, ensName: null };
+    
+    if (contactName) {
+      const { contact, status, error, suggestion, candidates } = await resolveRecipient(req.user, contactName, req.query.contactId);
+      if (!contact) {
+        return res.status(status).json({ error, suggestion, candidates });
+      }
+      target = { address: contact.address, contact: contact.name, ensName: contact.ensName || null };
+    } else if (address && isEnsName(address)) {
+      try {
+        target = { address: await ensResolver.resolve(address), contact: null, ensName: address.toLowerCase() };
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    } else if (address) {
+      if (!ethers.utils.isAddress(address)) {
+        return res.status(400).json({ error: 'address must be an Ethereum address or ENS name', code: ERROR_CODES.INVALID_ADDRESS });
+      }
+      target = { address: ethers.utils.getAddress(address), contact: null, ensName: null };
+    }
+    
+    const { balances, total } = await portfolioBuilder.build(service, target.address, currency);
+    
+    res.json({
+      ...target,
+      ...(await service.describeNetwork()),
+      currency,
+      priceSource: currency ? priceSource.name : null,
+      balances,
+      total
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 4. Transaction history API
+app.get('/api/transactions', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { contact, token, from, to, cursor, limit } = req.query;
+    
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    if (!isValidPageSize(limit)) {
+      return res.status(400).json({ error: 'limit must be a positive whole number' });
+    }
+    
+    const page = await TransactionRepository.find(req.user._id, { contact, token, from, to, cursor, limit });
+    res.json(page);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Statement of what the user's wallets sent and received, for accounting. Add
+// currency=usd (or another code) for fiat values from the configured price source.
+app.get('/api/transactions/export', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { from, to, currency } = req.query;
+    const format = String(req.query.format || 'csv').toLowerCase();
+    
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: `Unknown format "${req.query.format}"; use csv or json` });
+    }
+    
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    
+    if (currency && !/^[a-z]{3,5}$/i.test(currency)) {
+      return res.status(400).json({ error: 'currency must be a currency code such as usd or eur' });
+    }
+    
+    if (currency && !priceSource) {
+      return res.status(400).json({
+        error: 'No price source is configured',
+        suggestion: 'Set PRICE_SOURCE to coingecko, or to fixture with PRICE_FIXTURE_FILE'
+      });
+    }
+    
+    const { rows, truncated } = await statementBuilder.build(req.user, { from, to, currency, limit: MAX_STATEMENT_ROWS });
+    if (truncated) {
+      return res.status(400).json({
+        error: `This period has more than ${MAX_STATEMENT_ROWS} entries`,
+        suggestion: 'Export a shorter period with from and to'
+      });
+    }
+    
+    if (format === 'json') {
+      return res.json({
+        from: from ? new Date(from) : null,
+        to: to ? new Date(to) : null,
+        currency: currency ? currency.toLowerCase() : null,
+        priceSource: currency ? priceSource.name : null,
+        rows
+      });
+    }
+    res.attachment('statement.csv').type('text/csv; charset=utf-8').send(statementCsv(rows));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Poll the progress of a send by its ledger id
+app.get('/api/transactions/:id/status', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const transaction = await TransactionRepository.findById(req.user._id, req.params.id);
+    
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    
+    res.json({
+      id: transaction._id,
+      status: transaction.status,
+      txHash: transaction.txHash || null,
+      blockNumber: transaction.blockNumber || null,
+      confirmations: transaction.confirmations,
+      requiredConfirmations: transactionTracker.requiredConfirmations,
+      replacedBy: transaction.replacedBy || null,
+      error: transaction.error || null,
+      network: transaction.network,
+      chainId: transaction.chainId,
+      submittedAt: transaction.submittedAt,
+      confirmedAt: transaction.confirmedAt,
+      updatedAt: transaction.updatedAt
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Speed up or cancel one of the user's pending transactions and record the replacement
+ * in the ledger; the tracker marks the original as replaced once the replacement is mined
+ * @param {Object} req - Express request with the original's hash in req.params.hash
+ * @param {Object} res - Express response
+ * @param {string} action - "speedup" or "cancel"
+ */
+async function replacePending(req, res, action) {
+  try {
+    const original = await TransactionRepository.findByHash(req.user._id, req.params.hash);
+    
+    if (!original) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    
+    if (original.status !== TRANSACTION_STATUS.PENDING || !original.txHash) {
+      return res.status(409).json({ error: `Only pending transactions can be replaced (this one is ${original.status})` });
+    }
+    
+    const service = await walletRegistry.getServiceForAddress(req.user, original.from, original.chainId);
+    const submission = action === 'cancel'
+      ? await service.cancel(original.txHash)
+      : await service.speedUp(original.txHash);
+    
+    // A speed-up still pays the contact; a cancellation sends nothing to ourselves
+    const record = await TransactionRepository.create(action === 'cancel'
+      ? {
+        owner: req.user._id,
+        command: `cancel ${original.txHash}`,
+        token: service.nativeSymbol,
+        amount: '0',
+        amountRaw: '0',
+        to: original.from,
+        chainId: original.chainId,
+        replaces: original._id
+      }
+      : {
+        owner: req.user._id,
+        command: original.command,
+        token: original.token,
+        amount: original.amount,
+        amountRaw: original.amountRaw,
+        contact: original.contact,
+        contactName: original.contactName,
+        to: original.to,
+        chainId: original.chainId,
+        replaces: original._id
+      });
+    const transaction = await TransactionRepository.markSubmitted(record._id, submission);
+    
+    res.status(202).json({
+      ...submission,
+      id: record._id,
+      status: transaction.status,
+      statusUrl: `/api/transactions/${record._id}/status`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+// Rebroadcast a stuck transaction with higher fees
+app.post('/api/transactions/:hash/speedup', requireScope(SCOPES.SPEND), (req, res) => replacePending(req, res, 'speedup'));
+
+// Replace a stuck transaction with an empty transfer to ourselves
+app.post('/api/transactions/:hash/cancel', requireScope(SCOPES.SPEND), (req, res) => replacePending(req, res, 'cancel'));
+
+app.get('/api/transactions/:hash', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const transaction = await TransactionRepository.findByHash(req.user._id, req.params.hash);
+    
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    
+    res.json(transaction);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 5. Scheduled payments API
+app.get('/api/schedules', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    if (status && !Object.values(SCHEDULE_STATUS).includes(status)) {
+      return res.status(400).json({ error: `Unknown status "${status}". Use one of: ${Object.values(SCHEDULE_STATUS).join(', ')}` });
+    }
+    
+    const schedules = await ScheduleRepository.findAll(req.user._id, status);
+    res.json(schedules);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/schedules/:id/pause', requireScope(SCOPES.SPEND), async (req, res) => {
+  try {
+    const schedule = await ScheduleRepository.findById(req.user._id, req.params.id);
+    
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    const paused = await ScheduleRepository.pause(req.user._id, schedule._id);
+    if (!paused) {
+      return res.status(409).json({ error: `Only active schedules can be paused; this one is ${schedule.status}` });
+    }
+    
+    res.json(paused);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/schedules/:id/resume', requireScope(SCOPES.SPEND), async (req, res) => {
+  try {
+    const schedule = await ScheduleRepository.findById(req.user._id, req.params.id);
+    
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    if (schedule.status !== SCHEDULE_STATUS.PAUSED) {
+      return res.status(409).json({ error: `Only paused schedules can be resumed; this one is ${schedule.status}` });
+    }
+    
+    // Runs that fell due while paused are skipped, not made up
+    const now = new Date();
+    const nextRunAt = schedule.nextRunAt > now
+      ? schedule.nextRunAt
+      : followingRun(schedule.recurrence, schedule.nextRunAt, now);
+    if (!nextRunAt) {
+      return res.status(409).json({ error: 'This one-time payment was due while the schedule was paused; delete it and schedule a new one' });
+    }
+    
+    const resumed = await ScheduleRepository.resume(req.user._id, schedule._id, nextRunAt);
+    if (!resumed) {
+      return res.status(409).json({ error: 'The schedule changed while it was being resumed; try again' });
+    }
+    
+    res.json(resumed);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/schedules/:id', requireScope(SCOPES.SPEND), async (req, res) => {
+  try {
+    const deleted = await ScheduleRepository.delete(req.user._id, req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 6. Payment requests API
+app.get('/api/requests', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    if (status && !Object.values(PAYMENT_REQUEST_STATUS).includes(status)) {
+      return res.status(400).json({ error: `Unknown status "${status}". Use one of: ${Object.values(PAYMENT_REQUEST_STATUS).join(', ')}` });
+    }
+    
+    const requests = await PaymentRequestRepository.findAll(req.user._id, status);
+    res.json(requests);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/requests/:id', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const request = await PaymentRequestRepository.findById(req.user._id, req.params.id);
+    
+    if (!request) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+    
+    res.json(request);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/requests/:id/cancel', requireScope(SCOPES.WRITE), async (req, res) => {
+  try {
+    const request = await PaymentRequestRepository.findById(req.user._id, req.params.id);
+    
+    if (!request) {
+      return res.status(404).json({ error: 'Payment request not found' });
+    }
+    
+    const cancelled = await PaymentRequestRepository.cancel(req.user._id, request._id);
+    if (!cancelled) {
+      return res.status(409).json({ error: `Only open requests can be cancelled; this one is ${request.status}` });
+    }
+    
+    res.json(cancelled);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 7. Incoming transfers and webhooks API
+app.get('/api/transfers/incoming', requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const { token, chainId, cursor, limit } = req.query;
+    
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    if (!isValidPageSize(limit)) {
+      return res.status(400).json({ error: 'limit must be a positive whole number' });
+    }
+    
+    const page = await IncomingTransferRepository.find(req.user._id, { token, chainId, cursor, limit });
+    res.json(page);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/webhooks', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const webhooks = await WebhookRepository.findAll(req.user._id);
+    res.json(webhooks);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/webhooks', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { url, description, events } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+    
+    const { webhook, secret } = await WebhookRepository.create(req.user._id, { url, description, events });
+    
+    // The signing secret is only ever shown when it is created or rotated
+    res.status(201).json({ ...webhook.toJSON(), secret });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/webhooks/:id', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const { url, description, events, active } = req.body;
+    
+    const webhook = await WebhookRepository.update(req.user._id, req.params.id, { url, description, events, active });
+    
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.json(webhook);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/webhooks/:id/rotate', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const rotated = await WebhookRepository.rotateSecret(req.user._id, req.params.id);
+    
+    if (!rotated) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.json({ ...rotated.webhook.toJSON(), secret: rotated.secret });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/webhooks/:id', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const deleted = await WebhookRepository.delete(req.user._id, req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    await WebhookDeliveryRepository.deleteForWebhook(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Recent delivery attempts, to debug an endpoint
+app.get('/api/webhooks/:id/deliveries', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const webhook = await WebhookRepository.findById(req.user._id, req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const deliveries = await WebhookDeliveryRepository.findForWebhook(req.user._id, webhook._id, 50);
+    res.json(deliveries);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 8. Health check endpoint. Public, so wallets are only counted; 503 when EchoPay can't serve requests.
+app.get('/health', async (req, res) => {
+  try {
+    const report = await healthMonitor.check();
+    res.status(report.status === HEALTH_STATUS.DOWN ? 503 : 200).json({
+      version: '1.0.0',
+      ...HealthMonitor.summarize(report)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// The full report, with each wallet's address and gas balance
+app.get('/api/health', requireScope(SCOPES.ADMIN), async (req, res) => {
+  try {
+    const report = await healthMonitor.check();
+    res.status(report.status === HEALTH_STATUS.DOWN ? 503 : 200).json({ version: '1.0.0', ...report });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// 4. Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', version: '1.0.0' });
+// Unknown routes and errors no route handled, such as malformed JSON bodies, get the same envelope
+app.use((req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
 });
+app.use(errorHandler);
 
 // Start the server
 app.listen(PORT, () => {
@@ -0,0 +1,195 @@
+// middleware/auth.js
+const jwt = require('jsonwebtoken');
+const { ApiKeyRepository, KEY_PREFIX } = require('../models/ApiKey');
+const { UserRepository } = require('../models/User');
+const { InvalidRequestError } = require('../utlis/errors');
+
+// Lifetime of JWTs exchanged for an API key
+const TOKEN_TTL = process.env.JWT_TTL || '15m';
+
+/**
+ * Send a 401 for missing or invalid credentials
+ * @param {Object} res - Express response
+ * @param {string} code - Machine-readable reason
+ * @param {string} message - Human-readable reason
+ */
+function unauthorized(res, code, message) {
+  res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${message}"`);
+  return res.status(401).json({ error: message, code });
+}
+
+/**
+ * Read the credential from "Authorization: Bearer <key|jwt>" or "X-API-Key: <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null} Credential or null if none was sent
+ */
+function extractCredential(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Check whether a key's expiry date has passed
+ * @param {Object} apiKey - ApiKey to check
+ * @returns {boolean}
+ */
+function isExpired(apiKey) {
+  return Boolean(apiKey.expiresAt && apiKey.expiresAt <= new Date());
+}
+
+/**
+ * Check that requested scopes are a list of scope names
+ * @param {*} scopes - Scopes as sent by the client
+ * @returns {boolean}
+ */
+function isScopeList(scopes) {
+  return Array.isArray(scopes) && scopes.every(scope => typeof scope === 'string');
+}
+
+/**
+ * Look up and check an API key
+ * @param {string} key - Plaintext key
+ * @returns {Promise<Object>} - { apiKey } or { code, message } when it can't be used
+ */
+async function verifyApiKey(key) {
+  const apiKey = await ApiKeyRepository.findByKey(key);
+
+  if (!apiKey) {
+    return { code: 'INVALID_CREDENTIALS', message: 'Invalid API key' };
+  }
+  if (apiKey.revokedAt) {
+    return { code: 'CREDENTIALS_REVOKED', message: 'API key has been revoked' };
+  }
+  if (isExpired(apiKey)) {
+    return { code: 'CREDENTIALS_EXPIRED', message: 'API key has expired' };
+  }
+
+  return { apiKey };
+}
+
+/**
+ * Sign a short-lived JWT for an API key. Tokens are tied to the key, so revoking
+ * the key also invalidates every token issued from it.
+ * @param {Object} apiKey - ApiKey the token is exchanged for
+ * @param {string[]} [scopes] - Subset of the key's scopes to grant (defaults to all)
+ * @returns {Object} - { token, expiresIn, scopes }
+ */
+function issueToken(apiKey, scopes = apiKey.scopes) {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  if (!isScopeList(scopes)) {
+    throw new InvalidRequestError('scopes must be a list of scope names');
+  }
+
+  const granted = scopes.filter(scope => apiKey.scopes.includes(scope));
+
+  const token = jwt.sign(
+    { scopes: granted, kid: apiKey._id.toString() },
+    process.env.JWT_SECRET,
+    { subject: apiKey.owner.toString(), expiresIn: TOKEN_TTL }
+  );
+
+  return { token, expiresIn: TOKEN_TTL, scopes: granted };
+}
+
+/**
+ * Authenticate a request with an API key or JWT and attach req.user and req.auth
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const credential = extractCredential(req);
+
+    if (!credential) {
+      return unauthorized(res, 'AUTH_REQUIRED', 'Authentication required');
+    }
+
+    let userId;
+    let scopes;
+    let apiKey;
+
+    if (credential.startsWith(KEY_PREFIX)) {
+      const result = await verifyApiKey(credential);
+      if (!result.apiKey) {
+        return unauthorized(res, result.code, result.message);
+      }
+
+      apiKey = result.apiKey;
+      userId = apiKey.owner;
+      scopes = apiKey.scopes;
+      ApiKeyRepository.touch(apiKey._id).catch(err => console.error('Error updating key usage:', err));
+    } else {
+      let claims;
+      try {
+        claims = jwt.verify(credential, process.env.JWT_SECRET || '');
+      } catch (error) {
+        return error.name === 'TokenExpiredError'
+          ? unauthorized(res, 'CREDENTIALS_EXPIRED', 'Token has expired')
+          : unauthorized(res, 'INVALID_CREDENTIALS', 'Invalid token');
+      }
+
+      // The key the token was issued from must still be usable
+      apiKey = await ApiKeyRepository.findById(claims.kid);
+      if (!apiKey || apiKey.revokedAt) {
+        return unauthorized(res, 'CREDENTIALS_REVOKED', 'Token has been revoked');
+      }
+      if (isExpired(apiKey)) {
+        return unauthorized(res, 'CREDENTIALS_EXPIRED', 'API key the token was issued from has expired');
+      }
+
+      userId = claims.sub;
+      scopes = claims.scopes || [];
+    }
+
+    const user = await UserRepository.findByIdOrUsername(userId.toString());
+    if (!user) {
+      return unauthorized(res, 'INVALID_CREDENTIALS', 'User for these credentials no longer exists');
+    }
+
+    req.user = user;
+    req.auth = { apiKeyId: apiKey._id, scopes };
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Reject authenticated requests that lack a scope
+ * @param {string} scope - Required scope (see SCOPES)
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req, scope)) {
+    return res.status(403).json({
+      error: `This action requires the "${scope}" scope`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope: scope
+    });
+  }
+  next();
+};
+
+/**
+ * Check whether the authenticated request has a scope
+ * @param {Object} req - Express request
+ * @param {string} scope - Scope to check
+ * @returns {boolean}
+ */
+function hasScope(req, scope) {
+  return Boolean(req.auth && req.auth.scopes.includes(scope));
+}
+
+module.exports = {
+  authenticate,
+  requireScope,
+  hasScope,
+  issueToken,
+  isScopeList,
+  verifyApiKey,
+  extractCredential
+};
@@ -0,0 +1,50 @@
+// middleware/errors.js
+const { STATUS_CODES, ERROR_CODES, describeError } = require('../utlis/errors');
+
+/**
+ * Send the error envelope for an error. Server-side failures are logged.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ * @param {Object} [extra] - Extra fields for the response body
+ */
+function sendError(res, error, extra = {}) {
+  const { status, body } = describeError(error);
+  if (status >= 500) {
+    console.error('Request failed:', error);
+  }
+  return res.status(status).json({ ...extra, ...body });
+}
+
+/**
+ * Give every error response a code: bodies sent with a 4xx or 5xx status that have an
+ * "error" message but no code get the default code for their status
+ */
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      body = { ...body, code: STATUS_CODES[res.statusCode] || ERROR_CODES.INTERNAL_ERROR };
+    }
+    return json(body);
+  };
+  next();
+};
+
+/**
+ * Last handler in the chain: reports errors routes didn't handle themselves, such as
+ * malformed JSON bodies. Express only treats handlers with all four parameters as
+ * error handlers, so next stays in the signature.
+ */
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  sendError(res, error);
+};
+
+module.exports = {
+  sendError,
+  errorEnvelope,
+  errorHandler
+};
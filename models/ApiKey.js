@@ -0,0 +1,179 @@
+// models/ApiKey.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// What a credential is allowed to do
+const SCOPES = {
+  READ: 'read',       // Balances, contacts and history
+  WRITE: 'write',     // Create, edit and delete contacts
+  SPEND: 'spend',     // Move funds
+  ADMIN: 'admin'      // Manage users and API keys
+};
+
+// Prefix that tells API keys apart from JWTs in the Authorization header
+const KEY_PREFIX = 'ep_';
+
+// API key; only a SHA-256 hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastFour: String, // Shown in listings so users can tell keys apart
+  scopes: {
+    type: [String],
+    enum: Object.values(SCOPES),
+    default: [SCOPES.READ]
+  },
+  lastUsedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  }
+}, {
+  timestamps: true
+});
+
+// Never send the hash back to clients
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+// Create the model
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Repository pattern for ApiKey operations
+class ApiKeyRepository {
+  /**
+   * Create a new API key. The plaintext key is only ever returned here.
+   * @param {string} ownerId - ID of the user the key acts for
+   * @param {Object} keyData - name, scopes and optional expiresAt
+   * @returns {Promise<Object>} - { apiKey, key }
+   */
+  static async create(ownerId, keyData) {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+
+    const apiKey = new ApiKey({
+      owner: ownerId,
+      name: keyData.name,
+      scopes: keyData.scopes,
+      expiresAt: keyData.expiresAt,
+      keyHash: hashKey(key),
+      lastFour: key.slice(-4)
+    });
+    await apiKey.save();
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Look up the key record matching a plaintext key, whatever its state
+   * @param {string} key - Plaintext key
+   * @returns {Promise<Object|null>} - ApiKey or null if unknown
+   */
+  static async findByKey(key) {
+    return ApiKey.findOne({ keyHash: hashKey(key) });
+  }
+
+  /**
+   * Find a key by ID
+   * @param {string} id - ApiKey ID
+   * @returns {Promise<Object|null>} - ApiKey or null if not found
+   */
+  static async findById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return ApiKey.findById(id);
+  }
+
+  /**
+   * Record that a key was just used
+   * @param {string} id - ApiKey ID
+   * @returns {Promise<void>}
+   */
+  static async touch(id) {
+    await ApiKey.updateOne({ _id: id }, { lastUsedAt: new Date() });
+  }
+
+  /**
+   * Get all keys belonging to a user
+   * @param {string} ownerId - ID of the user
+   * @returns {Promise<Array>} - List of keys, newest first
+   */
+  static async findAll(ownerId) {
+    return ApiKey.find({ owner: ownerId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} ownerId - ID of the user who owns the key
+   * @param {string} id - ApiKey ID
+   * @returns {Promise<Object|null>} - Revoked key or null if not found
+   */
+  static async revoke(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return ApiKey.findOneAndUpdate(
+      { _id: id, owner: ownerId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Replace a key with a new one that has the same name and scopes, and revoke the old one
+   * @param {string} ownerId - ID of the user who owns the key
+   * @param {string} id - ApiKey ID
+   * @returns {Promise<Object|null>} - { apiKey, key } for the new key, or null if not found
+   */
+  static async rotate(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const existing = await ApiKey.findOne({ _id: id, owner: ownerId, revokedAt: null });
+    if (!existing) return null;
+
+    // Issue the replacement before revoking so the owner is never left without a key
+    const replacement = await ApiKeyRepository.create(ownerId, {
+      name: existing.name,
+      scopes: existing.scopes,
+      expiresAt: existing.expiresAt
+    });
+
+    existing.revokedAt = new Date();
+    existing.replacedBy = replacement.apiKey._id;
+    await existing.save();
+
+    return replacement;
+  }
+}
+
+module.exports = {
+  ApiKey,
+  ApiKeyRepository,
+  SCOPES,
+  KEY_PREFIX
+};
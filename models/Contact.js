@@ -1,26 +1,81 @@
 // models/Contact.js
 const mongoose = require('mongoose');
+const { normalizeName, scoreName } = require('../utlis/fuzzyMatch');
+const { isHexAddress, toChecksumAddress } = require('../utlis/address');
+const { ERROR_CODES, ConflictError } = require('../utlis/errors');
 
-// Contact Schema for single user system
+// Minimum fuzzy score for a contact to be considered a plausible match
+const MATCH_THRESHOLD = 0.7;
+
+// Contact Schema; each user has their own contact book
 const contactSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
   name: { 
     type: String, 
     required: true,
     lowercase: true, // Store names in lowercase for easy lookup
-    trim: true,      // Remove whitespace
-    unique: true,    // Names must be unique in a single-user system
-    index: true      // Create index for faster lookups
+    trim: true       // Remove whitespace
   },
   address: { 
     type: String, 
     required: true,
-    validate: {
-      validator: (value) => /^0x[a-fA-F0-9]{40}$/.test(value),
-      message: 'Invalid Ethereum address format'
-    }
+    set: (value) => toChecksumAddress(value) || value, // Stored in EIP-55 checksummed form
+    validate: [
+      {
+        validator: isHexAddress,
+        message: 'Invalid Ethereum address format'
+      },
+      {
+        // A mixed-case address whose checksum doesn't match almost always has a typo
+        validator: (value) => !isHexAddress(value) || toChecksumAddress(value) !== null,
+        message: 'Invalid address checksum; check the address for typos'
+      }
+    ]
+  },
+  ensName: {
+    type: String,
+    lowercase: true, // Address is resolved from this name and refreshed periodically
+    trim: true
+  },
+  ensResolvedAt: Date,
+  ensCheckedAt: Date, // Last resolution attempt, successful or not
+  aliases: [{
+    type: String,
+    lowercase: true, // Nicknames like "brother" or "ali", matched the same way as names
+    trim: true
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  preferredToken: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  preferredNetwork: {
+    type: String,
+    lowercase: true,
+    trim: true
   }
+}, {
+  timestamps: true // createdAt drives the new-contact cooldown in spending policies
 });
 
+// Names must be unique within one user's contact book
+contactSchema.index({ owner: 1, name: 1 }, { unique: true });
+
 // Create the model
 const Contact = mongoose.model('Contact', contactSchema);
 
@@ -28,75 +83,216 @@ const Contact = mongoose.model('Contact', contactSchema);
 class ContactRepository {
   /**
    * Create a new contact
-   * @param {Object} contactData - Contact data (name and address)
+   * @param {string} ownerId - ID of the user who owns the contact
+   * @param {Object} contactData - Contact data (name, address and optional ENS name, aliases and metadata)
    * @returns {Promise<Object>} - Created contact
    */
-  static async create(contactData) {
+  static async create(ownerId, contactData) {
     try {
       const contact = new Contact({
+        owner: ownerId,
         name: contactData.name,
-        address: contactData.address
+        address: contactData.address,
+        ensName: contactData.ensName,
+        ensResolvedAt: contactData.ensResolvedAt,
+        ensCheckedAt: contactData.ensCheckedAt,
+        aliases: contactData.aliases || [],
+        notes: contactData.notes,
+        tags: contactData.tags || [],
+        preferredToken: contactData.preferredToken,
+        preferredNetwork: contactData.preferredNetwork
       });
       return await contact.save();
     } catch (error) {
       // Handle duplicate key error
       if (error.code === 11000) {
-        throw new Error(`Contact with name "${contactData.name}" already exists`);
+        throw new ConflictError(`Contact with name "${contactData.name}" already exists`, { code: ERROR_CODES.DUPLICATE_CONTACT });
       }
       throw error;
     }
   }
   
-/**
- * Find contact by name
- * @param {string} name - Contact name
- * @returns {Promise<Object|null>} - Contact or null if not found
- */
-static async findByName(name) {
-   const normalizedName = name.toLowerCase().trim().replace(/[^\w\s]/g, '');
-    console.log('Searching for normalized name:', normalizedName);
+  /**
+   * Rank contacts by how well their name or aliases match a spoken/typed name
+   * @param {string} ownerId - ID of the user whose contacts are searched
+   * @param {string} name - Name to match (e.g. "alise", "alice smith", "my brother")
+   * @param {number} [limit] - Maximum number of matches to return
+   * @returns {Promise<Array>} - [{ contact, score, matchedOn }] sorted best first
+   */
+  static async findMatches(ownerId, name, limit = 5) {
+    const query = normalizeName(name);
+    if (!query) return [];
     
-    // Try exact match first
-    const contact = await Contact.findOne({ name: normalizedName });
-    if (contact) return contact;
+    const contacts = await Contact.find({ owner: ownerId });
     
-    // If exact match fails, try a case-insensitive search
-    return Contact.findOne({ 
-      name: { $regex: new RegExp('^' + normalizedName + '$', 'i') } 
+    const matches = contacts.map(contact => {
+      let best = { contact, score: 0, matchedOn: contact.name };
+      
+      for (const candidate of [contact.name, ...(contact.aliases || [])]) {
+        const score = scoreName(query, normalizeName(candidate));
+        if (score > best.score) {
+          best = { contact, score, matchedOn: candidate };
+        }
+      }
+      
+      return best;
     });
+    
+    return matches
+      .filter(match => match.score >= MATCH_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+  
+  /**
+   * Resolve a name to a single contact, or the candidates when it is ambiguous
+   * @param {string} ownerId - ID of the user whose contacts are searched
+   * @param {string} name - Name to resolve
+   * @param {Object} [options] - Resolution options
+   * @param {boolean} [options.exact] - Only resolve exact name or alias matches; a single fuzzy
+   * match is returned as a candidate instead (for commands that spend, where "alex" must not pay "alec")
+   * @returns {Promise<Object>} - { contact } when one contact matches, otherwise { candidates }
+   */
+  static async resolve(ownerId, name, options = {}) {
+    const matches = await ContactRepository.findMatches(ownerId, name);
+    
+    // An exact name or alias match always wins
+    const exact = matches.filter(match => match.score === 1);
+    if (exact.length === 1) {
+      return { contact: exact[0].contact, candidates: [] };
+    }
+    
+    // Only pick a fuzzy match when nothing else is plausible; never guess between several
+    if (exact.length === 0 && matches.length === 1 && !options.exact) {
+      return { contact: matches[0].contact, candidates: [] };
+    }
+    
+    return {
+      contact: null,
+      candidates: (exact.length > 1 ? exact : matches).map(match => ({
+        id: match.contact._id,
+        name: match.contact.name,
+        address: match.contact.address,
+        matchedOn: match.matchedOn,
+        score: Math.round(match.score * 100) / 100
+      }))
+    };
+  }
+  
+  /**
+   * Find contact by ID
+   * @param {string} ownerId - ID of the user who owns the contact
+   * @param {string} id - Contact ID
+   * @returns {Promise<Object|null>} - Contact or null if not found
+   */
+  static async findById(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Contact.findOne({ _id: id, owner: ownerId });
   }
   
   /**
    * Get all contacts
+   * @param {string} ownerId - ID of the user who owns the contacts
+   * @param {string} [tag] - Only contacts with this tag
    * @returns {Promise<Array>} - List of all contacts
    */
-  static async findAll() {
-    return Contact.find().sort({ name: 1 });
+  static async findAll(ownerId, tag) {
+    const query = { owner: ownerId };
+    if (tag) query.tags = tag.toLowerCase().trim();
+    return Contact.find(query).sort({ name: 1 });
+  }
+  
+  /**
+   * Get contacts whose ENS name was last checked before a given time, across all users
+   * @param {Date} before - Checked before this time (or never)
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} - Contacts, least recently checked first
+   */
+  static async findEnsDue(before, limit) {
+    return Contact.find({
+      ensName: { $exists: true, $ne: null },
+      $or: [{ ensCheckedAt: { $lt: before } }, { ensCheckedAt: null }]
+    })
+      .sort({ ensCheckedAt: 1 })
+      .limit(limit);
+  }
+  
+  /**
+   * Store the outcome of resolving a contact's ENS name
+   * @param {string} id - Contact ID
+   * @param {string} ensName - Name that was resolved, so a rename in the meantime isn't overwritten
+   * @param {string|null} address - Resolved address, or null if resolution failed and the old address stays
+   * @returns {Promise<Object|null>} - Updated contact or null if it changed or was deleted meanwhile
+   */
+  static async recordEnsResolution(id, ensName, address) {
+    const now = new Date();
+    return Contact.findOneAndUpdate(
+      { _id: id, ensName },
+      address ? { address, ensResolvedAt: now, ensCheckedAt: now } : { ensCheckedAt: now },
+      { new: true, runValidators: true }
+    );
+  }
+  
+  /**
+   * Find a contact by address
+   * @param {string} ownerId - ID of the user who owns the contact
+   * @param {string} address - Address (any letter case)
+   * @returns {Promise<Object|null>} - Contact or null if not found
+   */
+  static async findByAddress(ownerId, address) {
+    const contacts = await Contact.find({ owner: ownerId }).select('name address');
+    return contacts.find(contact => contact.address.toLowerCase() === address.toLowerCase()) || null;
   }
   
   /**
    * Update a contact
+   * @param {string} ownerId - ID of the user who owns the contact
    * @param {string} id - Contact ID
    * @param {Object} updateData - Fields to update
    * @returns {Promise<Object|null>} - Updated contact or null if not found
    */
-  static async update(id, updateData) {
-    return Contact.findByIdAndUpdate(
-      id,
+  static async update(ownerId, id, updateData) {
+    return Contact.findOneAndUpdate(
+      { _id: id, owner: ownerId },
       updateData,
       { new: true, runValidators: true }
     );
   }
   
+  /**
+   * Check contact data against the schema without saving it
+   * @param {string} ownerId - ID of the user who would own the contact
+   * @param {Object} contactData - Contact fields
+   * @returns {string[]} - Validation messages, empty if the contact is valid
+   */
+  static validate(ownerId, contactData) {
+    const error = new Contact({ ...contactData, owner: ownerId }).validateSync();
+    return error ? Object.values(error.errors).map(fieldError => fieldError.message) : [];
+  }
+
   /**
    * Delete a contact
+   * @param {string} ownerId - ID of the user who owns the contact
    * @param {string} id - Contact ID
    * @returns {Promise<boolean>} - True if deleted, false otherwise
    */
-  static async delete(id) {
-    const result = await Contact.deleteOne({ _id: id });
+  static async delete(ownerId, id) {
+    const result = await Contact.deleteOne({ _id: id, owner: ownerId });
     return result.deletedCount > 0;
   }
+  
+  /**
+   * Assign contacts created before multi-user support to an owner
+   * @param {string} ownerId - ID of the user who takes over the contacts
+   * @returns {Promise<number>} - Number of contacts assigned
+   */
+  static async assignUnowned(ownerId) {
+    const result = await Contact.updateMany(
+      { owner: { $exists: false } },
+      { $set: { owner: ownerId } }
+    );
+    return result.modifiedCount;
+  }
 }
 
 module.exports = {
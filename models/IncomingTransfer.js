@@ -0,0 +1,204 @@
+// models/IncomingTransfer.js
+const mongoose = require('mongoose');
+
+// Native-currency deposits have no log; this stands in for the log index
+const NATIVE_LOG_INDEX = -1;
+
+// Money received by one of the users' wallets, as seen by the transfer watcher
+const incomingTransferSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  account: String, // Wallet account that received it; null for a key from the environment
+  chainId: {
+    type: Number,
+    required: true
+  },
+  network: String,
+  token: {
+    type: String,
+    required: true,
+    uppercase: true,
+    index: true
+  },
+  tokenAddress: {
+    type: String,
+    lowercase: true // Null for the chain's native currency
+  },
+  amount: {
+    type: String,
+    required: true
+  },
+  amountRaw: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact' // Sender, if they are in the owner's contact book
+  },
+  contactName: String,
+  txHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockTimestamp: Date, // When the block was mined; missing on transfers stored before it was recorded
+  // When the handlers were called. Stored as null until then, so a transfer whose
+  // notification was cut short can be told apart from ones stored before this was tracked.
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Each transfer is stored once, however often its block is scanned
+incomingTransferSchema.index({ chainId: 1, txHash: 1, logIndex: 1 }, { unique: true });
+
+// Lets statements find a period's transfers by when they were mined
+incomingTransferSchema.index({ owner: 1, blockTimestamp: 1 });
+
+// Lets the watcher find transfers whose handlers haven't run
+incomingTransferSchema.index({ chainId: 1, notifiedAt: 1 });
+
+// Create the model
+const IncomingTransfer = mongoose.model('IncomingTransfer', incomingTransferSchema);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Repository pattern for IncomingTransfer operations
+class IncomingTransferRepository {
+  /**
+   * Store a transfer unless it was stored before
+   * @param {Object} transferData - Owner, token, amounts, addresses, sender label and position on chain
+   * @returns {Promise<Object|null>} - Stored transfer, or null if it was already known
+   */
+  static async record(transferData) {
+    try {
+      const transfer = new IncomingTransfer(transferData);
+      return await transfer.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a transfer's handlers have run
+   * @param {string} id - Transfer ID
+   * @returns {Promise<void>}
+   */
+  static async markNotified(id) {
+    await IncomingTransfer.updateOne({ _id: id }, { notifiedAt: new Date() });
+  }
+
+  /**
+   * Get transfers that were stored but whose handlers never ran, e.g. because the server
+   * stopped in between, oldest first
+   * @param {number} chainId - Chain to look on
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} - Transfers
+   */
+  static async findUnnotified(chainId, limit) {
+    // $type only matches an explicit null, not transfers stored before notifiedAt existed
+    return IncomingTransfer.find({ chainId, notifiedAt: { $type: 'null' } })
+      .sort({ _id: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Get a page of a user's incoming transfers, newest first
+   * @param {string} ownerId - ID of the user who received them
+   * @param {Object} filters - Optional token, chainId, cursor (ID to continue after) and limit
+   * @returns {Promise<Object>} - { transfers, nextCursor } where nextCursor is null on the last page
+   */
+  static async find(ownerId, filters = {}) {
+    const query = { owner: ownerId };
+
+    if (filters.token) {
+      query.token = filters.token.toUpperCase();
+    }
+
+    if (filters.chainId) {
+      query.chainId = Number(filters.chainId);
+    }
+
+    if (filters.cursor) {
+      query._id = { $lt: filters.cursor };
+    }
+
+    // A negative limit would make MongoDB return a single batch instead
+    const requested = parseInt(filters.limit, 10);
+    const limit = requested > 0 ? Math.min(requested, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await IncomingTransfer.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const transfers = rows.slice(0, limit);
+    const nextCursor = rows.length > limit
+      ? transfers[transfers.length - 1]._id.toString()
+      : null;
+
+    return { transfers, nextCursor };
+  }
+
+  /**
+   * Get the transfers received in a period, oldest first, for statements
+   * @param {string} ownerId - ID of the user who received them
+   * @param {Object} range - Optional from and to dates, matched against when the transfer was mined
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} - Transfers
+   */
+  static async findForStatement(ownerId, range, limit) {
+    const dates = {};
+    if (range.from) dates.$gte = new Date(range.from);
+    if (range.to) dates.$lte = new Date(range.to);
+
+    // Transfers stored without a block time go by when they were seen instead, which
+    // is also the date statements show for them
+    const rows = await IncomingTransfer.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(ownerId) } },
+      { $addFields: { statementDate: { $ifNull: ['$blockTimestamp', '$createdAt'] } } },
+      ...(range.from || range.to ? [{ $match: { statementDate: dates } }] : []),
+      { $sort: { statementDate: 1, _id: 1 } },
+      { $limit: limit },
+      { $project: { statementDate: 0 } }
+    ]);
+
+    return rows.map(row => IncomingTransfer.hydrate(row));
+  }
+}
+
+module.exports = {
+  IncomingTransfer,
+  IncomingTransferRepository,
+  NATIVE_LOG_INDEX
+};
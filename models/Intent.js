@@ -0,0 +1,163 @@
+// models/Intent.js
+const mongoose = require('mongoose');
+
+const INTENT_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled'
+};
+
+// How long a previewed command stays confirmable
+const INTENT_TTL_SECONDS = parseInt(process.env.INTENT_TTL_SECONDS, 10) || 120;
+
+// A previewed command waiting for the user to confirm it
+const intentSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  command: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  description: String,
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  contactName: String,
+  address: String,
+  account: String, // Wallet account chosen at preview; confirm signs with the same one
+  chainId: Number,  // Network chosen at preview; confirm sends on the same one
+  speed: String,    // Fee tier quoted at preview
+  estimate: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: Object.values(INTENT_STATUS),
+    default: INTENT_STATUS.PENDING
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up old intents a day after they expire
+intentSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Create the model
+const Intent = mongoose.model('Intent', intentSchema);
+
+// Repository pattern for Intent operations
+class IntentRepository {
+  /**
+   * Create a new intent that expires after INTENT_TTL_SECONDS
+   * @param {Object} intentData - Parsed command, resolved contact and cost estimate
+   * @returns {Promise<Object>} - Created intent
+   */
+  static async create(intentData) {
+    const intent = new Intent({
+      ...intentData,
+      expiresAt: new Date(Date.now() + INTENT_TTL_SECONDS * 1000)
+    });
+    return intent.save();
+  }
+
+  /**
+   * Find an intent by ID
+   * @param {string} ownerId - ID of the user who created the intent
+   * @param {string} id - Intent ID
+   * @returns {Promise<Object|null>} - Intent or null if not found
+   */
+  static async findById(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Intent.findOne({ _id: id, owner: ownerId });
+  }
+
+  /**
+   * Atomically claim a pending, unexpired intent so it can only be confirmed once
+   * @param {string} ownerId - ID of the user who created the intent
+   * @param {string} id - Intent ID
+   * @returns {Promise<Object|null>} - Claimed intent or null if it cannot be confirmed
+   */
+  static async claim(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Intent.findOneAndUpdate(
+      {
+        _id: id,
+        owner: ownerId,
+        status: INTENT_STATUS.PENDING,
+        expiresAt: { $gt: new Date() }
+      },
+      { status: INTENT_STATUS.CONFIRMED },
+      { new: true }
+    );
+  }
+
+  /**
+   * Atomically cancel a pending, unexpired intent so it can no longer be confirmed
+   * @param {string} ownerId - ID of the user who created the intent
+   * @param {string} id - Intent ID
+   * @returns {Promise<Object|null>} - Cancelled intent or null if it was no longer pending
+   */
+  static async cancel(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Intent.findOneAndUpdate(
+      {
+        _id: id,
+        owner: ownerId,
+        status: INTENT_STATUS.PENDING,
+        expiresAt: { $gt: new Date() }
+      },
+      { status: INTENT_STATUS.CANCELLED },
+      { new: true }
+    );
+  }
+
+  /**
+   * Make a claimed intent confirmable again after sending it failed before anything was
+   * broadcast, e.g. on an RPC error. It still expires at the same time.
+   * @param {string} id - Intent ID
+   * @returns {Promise<Object|null>} - Released intent or null if it wasn't claimed
+   */
+  static async release(id) {
+    return Intent.findOneAndUpdate(
+      { _id: id, status: INTENT_STATUS.CONFIRMED, transaction: null },
+      { status: INTENT_STATUS.PENDING },
+      { new: true }
+    );
+  }
+
+  /**
+   * Link the ledger entry created when an intent was confirmed
+   * @param {string} id - Intent ID
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object|null>} - Updated intent or null if not found
+   */
+  static async attachTransaction(id, transactionId) {
+    return Intent.findByIdAndUpdate(id, { transaction: transactionId }, { new: true });
+  }
+}
+
+module.exports = {
+  Intent,
+  IntentRepository,
+  INTENT_STATUS,
+  INTENT_TTL_SECONDS
+};
@@ -0,0 +1,140 @@
+// models/Network.js
+const mongoose = require('mongoose');
+const { ERROR_CODES, ConflictError } = require('../utlis/errors');
+
+// EVM network EchoPay can send on, keyed by chain id
+const networkSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    lowercase: true, // Names users may say, e.g. "matic" for polygon
+    trim: true
+  }],
+  rpcUrl: {
+    type: String,
+    trim: true // Optional for the default network, which falls back to RPC_URL
+  },
+  rpcUrls: [{
+    type: String,
+    trim: true // Fallback endpoints, tried after rpcUrl
+  }],
+  rpcQuorum: {
+    type: Number,
+    min: 1, // Endpoints that must agree on a read; 1 uses them as fallbacks only
+    default: 1
+  },
+  nativeSymbol: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'ETH'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// RPC URLs often embed provider API keys
+networkSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.hasRpcUrl = Boolean(ret.rpcUrl);
+    ret.rpcEndpointCount = (ret.rpcUrl ? 1 : 0) + (ret.rpcUrls || []).length;
+    delete ret.rpcUrl;
+    delete ret.rpcUrls;
+    return ret;
+  }
+});
+
+// Create the model
+const Network = mongoose.model('Network', networkSchema);
+
+// Repository pattern for Network operations
+class NetworkRepository {
+  /**
+   * Create a new network
+   * @param {Object} networkData - chainId, name, aliases, rpcUrl, rpcUrls, rpcQuorum and nativeSymbol
+   * @returns {Promise<Object>} - Created network
+   */
+  static async create(networkData) {
+    try {
+      const network = new Network({
+        chainId: networkData.chainId,
+        name: networkData.name,
+        aliases: networkData.aliases || [],
+        rpcUrl: networkData.rpcUrl,
+        rpcUrls: networkData.rpcUrls || [],
+        rpcQuorum: networkData.rpcQuorum,
+        nativeSymbol: networkData.nativeSymbol
+      });
+      return await network.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`Network with chain id ${networkData.chainId} already exists`, { code: ERROR_CODES.ALREADY_EXISTS });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get all networks
+   * @returns {Promise<Array>} - List of all networks
+   */
+  static async findAll() {
+    return Network.find().sort({ chainId: 1 });
+  }
+
+  /**
+   * Update a network
+   * @param {number} chainId - Chain ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object|null>} - Updated network or null if not found
+   */
+  static async update(chainId, updateData) {
+    return Network.findOneAndUpdate(
+      { chainId },
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Delete a network. The default network can't be deleted.
+   * @param {number} chainId - Chain ID
+   * @returns {Promise<boolean>} - True if deleted, false otherwise
+   */
+  static async delete(chainId) {
+    const result = await Network.deleteOne({ chainId, isDefault: false });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Create the default network on first start
+   * @param {Object} networkData - chainId, name, aliases and nativeSymbol
+   * @returns {Promise<Object>} - Default network
+   */
+  static async seedDefault(networkData) {
+    return Network.findOneAndUpdate(
+      { chainId: networkData.chainId },
+      { $setOnInsert: { ...networkData, isDefault: true } },
+      { new: true, upsert: true }
+    );
+  }
+}
+
+module.exports = {
+  Network,
+  NetworkRepository
+};
@@ -0,0 +1,221 @@
+// models/PaymentRequest.js
+const mongoose = require('mongoose');
+
+const PAYMENT_REQUEST_STATUS = {
+  OPEN: 'open',           // Waiting for a matching transfer
+  PAID: 'paid',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// A request for someone to pay one of the user's wallets
+const paymentRequestSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  command: {
+    type: String,
+    trim: true
+  },
+  token: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  tokenAddress: {
+    type: String,
+    lowercase: true // Null for the chain's native currency
+  },
+  amount: {
+    type: String,
+    required: true
+  },
+  amountRaw: {
+    type: String,
+    required: true // Amount in the token's smallest unit, as matched against transfers
+  },
+  memo: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact' // Only transfers from this contact's address count when set
+  },
+  payerName: String,
+  payerAddress: {
+    type: String,
+    lowercase: true
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true // Wallet to be paid
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  network: String,
+  uri: String,      // EIP-681 payment URI
+  startBlock: Number, // Chain head when the request was made; earlier transfers don't count
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_REQUEST_STATUS),
+    default: PAYMENT_REQUEST_STATUS.OPEN
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  paidAt: Date,
+  paidTxHash: {
+    type: String,
+    lowercase: true,
+    unique: true,
+    sparse: true // One transfer can only pay one request
+  },
+  paidBy: {
+    type: String,
+    lowercase: true
+  },
+  paidAmountRaw: String, // May be more than requested
+  paidBlockNumber: Number
+}, {
+  timestamps: true
+});
+
+// Lets the matcher find open requests for a wallet and expire old ones
+paymentRequestSchema.index({ status: 1, chainId: 1, to: 1 });
+paymentRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// Create the model
+const PaymentRequest = mongoose.model('PaymentRequest', paymentRequestSchema);
+
+// Repository pattern for PaymentRequest operations
+class PaymentRequestRepository {
+  /**
+   * Create a new payment request
+   * @param {Object} requestData - Owner, token, amounts, payee and expiry
+   * @returns {Promise<Object>} - Created payment request
+   */
+  static async create(requestData) {
+    const request = new PaymentRequest(requestData);
+    return request.save();
+  }
+
+  /**
+   * Find a payment request by ID
+   * @param {string} ownerId - ID of the user who made the request
+   * @param {string} id - Payment request ID
+   * @returns {Promise<Object|null>} - Payment request or null if not found
+   */
+  static async findById(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return PaymentRequest.findOne({ _id: id, owner: ownerId });
+  }
+
+  /**
+   * Get all payment requests a user has made, newest first
+   * @param {string} ownerId - ID of the user who made the requests
+   * @param {string} [status] - Only requests with this status
+   * @returns {Promise<Array>} - List of payment requests
+   */
+  static async findAll(ownerId, status) {
+    const query = { owner: ownerId };
+    if (status) query.status = status;
+    return PaymentRequest.find(query).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Find the oldest request an incoming transfer pays: same chain, token and wallet, from
+   * the named payer if there is one, made before the transfer was mined and still open
+   * when it was mined. A request for exactly the amount received wins over older
+   * requests for less, which the transfer would only overpay.
+   * @param {Object} transfer - Incoming transfer
+   * @returns {Promise<Object|null>} - Matching request or null if there is none
+   */
+  static async findMatch(transfer) {
+    const candidates = await PaymentRequest.find({
+      // The watcher can see a transfer after the timer expired the request it paid in time
+      status: { $in: [PAYMENT_REQUEST_STATUS.OPEN, PAYMENT_REQUEST_STATUS.EXPIRED] },
+      expiresAt: { $gt: transfer.blockTimestamp || new Date() },
+      chainId: transfer.chainId,
+      tokenAddress: transfer.tokenAddress || null,
+      to: transfer.to.toLowerCase(),
+      startBlock: { $lte: transfer.blockNumber },
+      $or: [{ payerAddress: null }, { payerAddress: transfer.from.toLowerCase() }]
+    }).sort({ createdAt: 1 });
+
+    const received = BigInt(transfer.amountRaw);
+    return candidates.find(request => BigInt(request.amountRaw) === received) ||
+      candidates.find(request => BigInt(request.amountRaw) < received) ||
+      null;
+  }
+
+  /**
+   * Mark a request as paid by a transfer. Expired requests can still be paid by a
+   * transfer mined before they expired (see findMatch).
+   * @param {string} id - Payment request ID
+   * @param {Object} payment - { txHash, from, amountRaw, blockNumber } of the matching transfer
+   * @returns {Promise<Object|null>} - Updated request, or null if it was paid or cancelled meanwhile
+   */
+  static async markPaid(id, payment) {
+    try {
+      return await PaymentRequest.findOneAndUpdate(
+        { _id: id, status: { $in: [PAYMENT_REQUEST_STATUS.OPEN, PAYMENT_REQUEST_STATUS.EXPIRED] } },
+        {
+          status: PAYMENT_REQUEST_STATUS.PAID,
+          paidAt: new Date(),
+          paidTxHash: payment.txHash,
+          paidBy: payment.from,
+          paidAmountRaw: payment.amountRaw,
+          paidBlockNumber: payment.blockNumber
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Transaction ${payment.txHash} already paid another request`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Expire open requests whose time is up
+   * @returns {Promise<number>} - Number of requests expired
+   */
+  static async expireOverdue() {
+    const result = await PaymentRequest.updateMany(
+      { status: PAYMENT_REQUEST_STATUS.OPEN, expiresAt: { $lte: new Date() } },
+      { status: PAYMENT_REQUEST_STATUS.EXPIRED }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Cancel an open request
+   * @param {string} ownerId - ID of the user who made the request
+   * @param {string} id - Payment request ID
+   * @returns {Promise<Object|null>} - Cancelled request or null if not found or not open
+   */
+  static async cancel(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return PaymentRequest.findOneAndUpdate(
+      { _id: id, owner: ownerId, status: PAYMENT_REQUEST_STATUS.OPEN },
+      { status: PAYMENT_REQUEST_STATUS.CANCELLED },
+      { new: true }
+    );
+  }
+}
+
+module.exports = {
+  PaymentRequest,
+  PaymentRequestRepository,
+  PAYMENT_REQUEST_STATUS
+};
@@ -0,0 +1,110 @@
+// models/Policy.js
+const mongoose = require('mongoose');
+
+// Decimal amount such as "100" or "0.5"
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+const amountMap = {
+  type: Map,
+  of: {
+    type: String,
+    validate: {
+      validator: (value) => AMOUNT_PATTERN.test(value),
+      message: 'Limits must be decimal amounts like "100" or "0.5"'
+    }
+  },
+  default: {}
+};
+
+// Spending policy evaluated before any transfer is signed. Limits are keyed by token symbol.
+const policySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  perTransactionCaps: amountMap,
+  dailyLimits: amountMap,   // Rolling 24 hours
+  weeklyLimits: amountMap,  // Rolling 7 days
+  allowlistOnly: {
+    type: Boolean,
+    default: false
+  },
+  allowlist: [{
+    type: String,
+    lowercase: true,
+    validate: {
+      validator: (value) => /^0x[a-f0-9]{40}$/.test(value),
+      message: 'Invalid Ethereum address format'
+    }
+  }],
+  newContactCooldownMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Create the model
+const Policy = mongoose.model('Policy', policySchema);
+
+// Fields an admin may edit
+const EDITABLE_FIELDS = [
+  'perTransactionCaps',
+  'dailyLimits',
+  'weeklyLimits',
+  'allowlistOnly',
+  'allowlist',
+  'newContactCooldownMinutes'
+];
+
+// Repository pattern for Policy operations
+class PolicyRepository {
+  /**
+   * Get a user's policy, or an unsaved permissive default if they have none
+   * @param {string} ownerId - ID of the user
+   * @returns {Promise<Object>} - Policy
+   */
+  static async findForOwner(ownerId) {
+    const policy = await Policy.findOne({ owner: ownerId });
+    return policy || new Policy({ owner: ownerId });
+  }
+
+  /**
+   * Create or update a user's policy. Only the given fields change.
+   * @param {string} ownerId - ID of the user
+   * @param {Object} updateData - Policy fields to set
+   * @returns {Promise<Object>} - Updated policy
+   */
+  static async upsert(ownerId, updateData) {
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (updateData[field] !== undefined) {
+        update[field] = updateData[field];
+      }
+    }
+
+    // Limits are keyed by upper-case token symbol, like everywhere else
+    for (const field of ['perTransactionCaps', 'dailyLimits', 'weeklyLimits']) {
+      if (update[field]) {
+        update[field] = Object.fromEntries(
+          Object.entries(update[field]).map(([token, amount]) => [token.toUpperCase(), String(amount)])
+        );
+      }
+    }
+
+    return Policy.findOneAndUpdate(
+      { owner: ownerId },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+}
+
+module.exports = {
+  Policy,
+  PolicyRepository
+};
@@ -0,0 +1,55 @@
+// models/ScanCursor.js
+const mongoose = require('mongoose');
+
+// How far a background scanner has read each chain, so it resumes there after a restart
+const scanCursorSchema = new mongoose.Schema({
+  scanner: {
+    type: String,
+    required: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  nextBlock: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+scanCursorSchema.index({ scanner: 1, chainId: 1 }, { unique: true });
+
+// Create the model
+const ScanCursor = mongoose.model('ScanCursor', scanCursorSchema);
+
+// Repository pattern for ScanCursor operations
+class ScanCursorRepository {
+  /**
+   * Get the next block a scanner should read on a chain
+   * @param {string} scanner - Scanner name
+   * @param {number} chainId - Chain ID
+   * @returns {Promise<number|null>} - Block number, or null if the chain was never scanned
+   */
+  static async get(scanner, chainId) {
+    const cursor = await ScanCursor.findOne({ scanner, chainId });
+    return cursor ? cursor.nextBlock : null;
+  }
+
+  /**
+   * Record the next block a scanner should read on a chain
+   * @param {string} scanner - Scanner name
+   * @param {number} chainId - Chain ID
+   * @param {number} nextBlock - Block number
+   * @returns {Promise<void>}
+   */
+  static async set(scanner, chainId, nextBlock) {
+    await ScanCursor.updateOne({ scanner, chainId }, { nextBlock }, { upsert: true });
+  }
+}
+
+module.exports = {
+  ScanCursor,
+  ScanCursorRepository
+};
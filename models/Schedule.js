@@ -0,0 +1,250 @@
+// models/Schedule.js
+const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../utlis/schedule');
+
+const SCHEDULE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed', // One-time payment that has run
+  FAILED: 'failed'        // One-time payment whose only run failed
+};
+
+// When and how often a scheduled payment runs; times are UTC
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: Object.values(FREQUENCIES),
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  weekday: Number,    // 0 (Sunday) to 6, for "every friday" or "on friday"
+  date: String,       // YYYY-MM-DD, for one-time payments on a date
+  dayOfMonth: Number, // Day monthly payments fall on, kept across short months
+  time: {
+    type: String,
+    required: true    // HH:MM
+  }
+}, {
+  _id: false
+});
+
+// A payment to run later, once or on a recurring schedule
+const scheduleSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  command: {
+    type: String,
+    trim: true
+  },
+  description: String,
+  token: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  amount: {
+    type: String,
+    required: true
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  contactName: String,
+  account: String, // Wallet account to sign with; the user's default if not set
+  chainId: Number,
+  speed: String,
+  recurrence: {
+    type: recurrenceSchema,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(SCHEDULE_STATUS),
+    default: SCHEDULE_STATUS.ACTIVE
+  },
+  nextRunAt: Date,
+  lastRunAt: Date,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  lastTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// Lets the scheduler find due payments
+scheduleSchema.index({ status: 1, nextRunAt: 1 });
+
+// Create the model
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+// Repository pattern for Schedule operations
+class ScheduleRepository {
+  /**
+   * Create a new schedule
+   * @param {Object} scheduleData - Owner, payment details, recurrence and first run
+   * @returns {Promise<Object>} - Created schedule
+   */
+  static async create(scheduleData) {
+    const schedule = new Schedule(scheduleData);
+    return schedule.save();
+  }
+
+  /**
+   * Find a schedule by ID
+   * @param {string} ownerId - ID of the user who owns the schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object|null>} - Schedule or null if not found
+   */
+  static async findById(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Schedule.findOne({ _id: id, owner: ownerId });
+  }
+
+  /**
+   * Get all schedules belonging to a user, next due first
+   * @param {string} ownerId - ID of the user who owns the schedules
+   * @param {string} [status] - Only schedules with this status
+   * @returns {Promise<Array>} - List of schedules
+   */
+  static async findAll(ownerId, status) {
+    const query = { owner: ownerId };
+    if (status) query.status = status;
+    return Schedule.find(query).sort({ nextRunAt: 1, createdAt: -1 });
+  }
+
+  /**
+   * Get active schedules that are due
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} - Due schedules, most overdue first
+   */
+  static async findDue(now, limit) {
+    return Schedule.find({ status: SCHEDULE_STATUS.ACTIVE, nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Claim a due run by moving the schedule on to its next run before the payment is
+   * sent. Only one caller can win, because the update only matches while nextRunAt is
+   * unchanged, so a run never fires twice even across restarts or several processes.
+   * @param {Object} schedule - Due schedule as read by findDue
+   * @param {Date|null} nextRunAt - Following run, or null if this was the last one
+   * @returns {Promise<Object|null>} - Claimed schedule, or null if someone else claimed it
+   */
+  static async claim(schedule, nextRunAt) {
+    return Schedule.findOneAndUpdate(
+      { _id: schedule._id, status: SCHEDULE_STATUS.ACTIVE, nextRunAt: schedule.nextRunAt },
+      {
+        $set: {
+          nextRunAt,
+          lastRunAt: schedule.nextRunAt,
+          status: nextRunAt ? SCHEDULE_STATUS.ACTIVE : SCHEDULE_STATUS.COMPLETED
+        },
+        $inc: { runCount: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record the transaction a run produced
+   * @param {string} id - Schedule ID
+   * @param {string} transactionId - Ledger ID of the transaction
+   * @returns {Promise<Object|null>} - Updated schedule or null if not found
+   */
+  static async recordSuccess(id, transactionId) {
+    return Schedule.findByIdAndUpdate(
+      id,
+      { lastTransaction: transactionId, lastError: null },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record that a run failed. One-time schedules are marked failed; recurring ones
+   * stay active and try again at their next run.
+   * @param {string} id - Schedule ID
+   * @param {string} errorMessage - Reason the run failed
+   * @returns {Promise<Object|null>} - Updated schedule or null if not found
+   */
+  static async recordFailure(id, errorMessage) {
+    return Schedule.findOneAndUpdate(
+      { _id: id },
+      [{
+        $set: {
+          lastError: errorMessage,
+          status: {
+            $cond: [{ $eq: ['$status', SCHEDULE_STATUS.COMPLETED] }, SCHEDULE_STATUS.FAILED, '$status']
+          }
+        }
+      }],
+      { new: true }
+    );
+  }
+
+  /**
+   * Pause an active schedule
+   * @param {string} ownerId - ID of the user who owns the schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object|null>} - Paused schedule or null if not found or not active
+   */
+  static async pause(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Schedule.findOneAndUpdate(
+      { _id: id, owner: ownerId, status: SCHEDULE_STATUS.ACTIVE },
+      { status: SCHEDULE_STATUS.PAUSED },
+      { new: true }
+    );
+  }
+
+  /**
+   * Resume a paused schedule
+   * @param {string} ownerId - ID of the user who owns the schedule
+   * @param {string} id - Schedule ID
+   * @param {Date} nextRunAt - When it should next run
+   * @returns {Promise<Object|null>} - Resumed schedule or null if not found or not paused
+   */
+  static async resume(ownerId, id, nextRunAt) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Schedule.findOneAndUpdate(
+      { _id: id, owner: ownerId, status: SCHEDULE_STATUS.PAUSED },
+      { status: SCHEDULE_STATUS.ACTIVE, nextRunAt },
+      { new: true }
+    );
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} ownerId - ID of the user who owns the schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<boolean>} - True if deleted, false otherwise
+   */
+  static async delete(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const result = await Schedule.deleteOne({ _id: id, owner: ownerId });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = {
+  Schedule,
+  ScheduleRepository,
+  SCHEDULE_STATUS
+};
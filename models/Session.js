@@ -0,0 +1,120 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// A conversation ends after this long without a command
+const SESSION_IDLE_MINUTES = parseInt(process.env.SESSION_IDLE_MINUTES, 10) || 10;
+
+// What a conversation with a client remembers between commands, so follow-ups
+// ("make it 10 instead", "and the same to bob", "send 5 DAI to her") can be understood
+const sessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Last command as the user said it, and as understood with pronouns and follow-ups resolved
+  command: String,
+  parsedCommand: mongoose.Schema.Types.Mixed,
+  // Contact the last command went to, so amending it keeps the same contact
+  commandContact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  // Last contact resolved; "him", "her" and "them" refer to it
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  contactName: String,
+  // Previewed command waiting for "yes" or "cancel that"
+  pendingIntent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intent'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Session IDs are chosen by clients, so they're only unique per user
+sessionSchema.index({ owner: 1, sessionId: 1 }, { unique: true });
+
+// Let MongoDB clean up sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create the model
+const Session = mongoose.model('Session', sessionSchema);
+
+// Repository pattern for Session operations
+class SessionRepository {
+  /**
+   * Find a session that hasn't expired
+   * @param {string} ownerId - ID of the user the session belongs to
+   * @param {string} sessionId - Client-chosen session ID
+   * @returns {Promise<Object|null>} - Session or null if there is none or it expired
+   */
+  static async findActive(ownerId, sessionId) {
+    return Session.findOne({ owner: ownerId, sessionId, expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Remember something about a session, starting it if needed; every write keeps the
+   * session alive for another SESSION_IDLE_MINUTES
+   * @param {string} ownerId - ID of the user the session belongs to
+   * @param {string} sessionId - Client-chosen session ID
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<Object>} - Updated session
+   */
+  static async record(ownerId, sessionId, fields) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + SESSION_IDLE_MINUTES * 60 * 1000);
+
+    const live = await Session.findOneAndUpdate(
+      { owner: ownerId, sessionId, expiresAt: { $gt: now } },
+      { ...fields, expiresAt },
+      { new: true }
+    );
+    if (live) return live;
+
+    // Start afresh. An expired session the TTL monitor hasn't deleted yet is replaced
+    // whole, so none of its contacts or commands carry over into the new conversation.
+    try {
+      return await Session.findOneAndReplace(
+        { owner: ownerId, sessionId, expiresAt: { $lte: now } },
+        { owner: ownerId, sessionId, ...fields, expiresAt },
+        { new: true, upsert: true, runValidators: true }
+      );
+    } catch (error) {
+      // Another request started the session meanwhile
+      if (error.code === 11000) {
+        return Session.findOneAndUpdate({ owner: ownerId, sessionId }, { ...fields, expiresAt }, { new: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * End a session, forgetting everything it remembered
+   * @param {string} ownerId - ID of the user the session belongs to
+   * @param {string} sessionId - Client-chosen session ID
+   * @returns {Promise<boolean>} - Whether there was a session to end
+   */
+  static async end(ownerId, sessionId) {
+    const result = await Session.deleteOne({ owner: ownerId, sessionId });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = {
+  Session,
+  SessionRepository,
+  SESSION_IDLE_MINUTES
+};
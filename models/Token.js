@@ -0,0 +1,130 @@
+// models/Token.js
+const mongoose = require('mongoose');
+const { ERROR_CODES, ConflictError } = require('../utlis/errors');
+
+// Address used for a network's native currency (ETH, POL, ...)
+const NATIVE_ADDRESS = 'NATIVE';
+
+// Token EchoPay can send, per network
+const tokenSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    required: true,
+    validate: {
+      validator: (value) => value === NATIVE_ADDRESS || /^0x[a-fA-F0-9]{40}$/.test(value),
+      message: 'Token address must be a contract address or "NATIVE"'
+    }
+  },
+  decimals: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 36
+  },
+  aliases: [{
+    type: String,
+    uppercase: true, // Other names for the token, e.g. "MYTOKEN" for MTK
+    trim: true
+  }]
+}, {
+  timestamps: true
+});
+
+// Symbols are unique per network
+tokenSchema.index({ chainId: 1, symbol: 1 }, { unique: true });
+
+// Create the model
+const Token = mongoose.model('Token', tokenSchema);
+
+// Repository pattern for Token operations
+class TokenRepository {
+  /**
+   * Create a new token
+   * @param {Object} tokenData - chainId, symbol, address, decimals and aliases
+   * @returns {Promise<Object>} - Created token
+   */
+  static async create(tokenData) {
+    try {
+      const token = new Token({
+        chainId: tokenData.chainId,
+        symbol: tokenData.symbol,
+        address: tokenData.address,
+        decimals: tokenData.decimals,
+        aliases: tokenData.aliases || []
+      });
+      return await token.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`Token "${tokenData.symbol}" already exists on chain ${tokenData.chainId}`, { code: ERROR_CODES.ALREADY_EXISTS });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get all tokens, optionally for one network
+   * @param {number} [chainId] - Chain ID
+   * @returns {Promise<Array>} - List of tokens
+   */
+  static async findAll(chainId) {
+    const query = chainId ? { chainId } : {};
+    return Token.find(query).sort({ chainId: 1, symbol: 1 });
+  }
+
+  /**
+   * Update a token
+   * @param {string} id - Token ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object|null>} - Updated token or null if not found
+   */
+  static async update(id, updateData) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Token.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Delete a token
+   * @param {string} id - Token ID
+   * @returns {Promise<boolean>} - True if deleted, false otherwise
+   */
+  static async delete(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const result = await Token.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Insert tokens for a network that has none yet
+   * @param {number} chainId - Chain ID
+   * @param {Object[]} tokens - Tokens to insert
+   * @returns {Promise<number>} - Number of tokens inserted
+   */
+  static async seed(chainId, tokens) {
+    const existing = await Token.countDocuments({ chainId });
+    if (existing > 0) return 0;
+
+    await Token.insertMany(tokens.map(token => ({ ...token, chainId })));
+    return tokens.length;
+  }
+}
+
+module.exports = {
+  Token,
+  TokenRepository,
+  NATIVE_ADDRESS
+};
@@ -0,0 +1,419 @@
+// models/Transaction.js
+const mongoose = require('mongoose');
+
+const TRANSACTION_STATUS = {
+  PENDING: 'pending',     // Recorded, or broadcast and waiting for confirmations
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',       // Never broadcast, or reverted on chain
+  DROPPED: 'dropped',     // Disappeared from the mempool without being mined
+  REPLACED: 'replaced'    // Its nonce was used by another transaction
+};
+
+// Ledger entry for every send EchoPay attempts
+const transactionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  command: {
+    type: String,
+    trim: true
+  },
+  token: {
+    type: String,
+    required: true,
+    uppercase: true,
+    index: true
+  },
+  amount: {
+    type: String,
+    required: true
+  },
+  amountRaw: String, // Amount in the token's smallest unit
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  contactName: {
+    type: String,
+    lowercase: true, // Snapshot of the name so history survives contact edits
+    trim: true,
+    index: true
+  },
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  txHash: {
+    type: String,
+    lowercase: true,
+    unique: true,
+    sparse: true // Failed sends may never get a hash
+  },
+  nonce: Number,
+  blockNumber: Number,
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  gasUsed: String,
+  effectiveGasPrice: String, // Wei per gas actually paid, so gasUsed times this is the fee
+  replacedBy: {
+    type: String,
+    lowercase: true // Hash of the transaction that took this one's nonce, if known
+  },
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction' // Set on speed-ups and cancellations
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule' // Set on sends made by a scheduled payment
+  },
+  submittedAt: Date,
+  confirmedAt: Date,
+  lastCheckedAt: Date, // Last time the tracker looked the transaction up on its chain
+  network: String,
+  chainId: {
+    type: Number,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(TRANSACTION_STATUS),
+    default: TRANSACTION_STATUS.PENDING,
+    index: true
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+// Lets the tracker find broadcast transactions that are still waiting
+transactionSchema.index({ status: 1, submittedAt: 1 });
+transactionSchema.index({ status: 1, lastCheckedAt: 1 });
+
+// Create the model
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Repository pattern for Transaction operations
+class TransactionRepository {
+  /**
+   * Record a new transaction attempt
+   * @param {Object} transactionData - Owner, command, token, amount, contact and recipient address
+   * @returns {Promise<Object>} - Created transaction
+   */
+  static async create(transactionData) {
+    const transaction = new Transaction(transactionData);
+    return transaction.save();
+  }
+
+  /**
+   * Record that a transaction was broadcast, using the submission returned by BlockchainService.
+   * It stays pending until the tracker sees it confirmed.
+   * @param {string} id - Transaction ID
+   * @param {Object} submission - Submission object from sendTokens/sendEth
+   * @returns {Promise<Object|null>} - Updated transaction or null if not found
+   */
+  static async markSubmitted(id, submission) {
+    return Transaction.findByIdAndUpdate(
+      id,
+      {
+        txHash: submission.transactionHash,
+        from: submission.from,
+        nonce: submission.nonce,
+        network: submission.network,
+        chainId: submission.chainId,
+        submittedAt: new Date()
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record how many confirmations a mined transaction has so far
+   * @param {string} id - Transaction ID
+   * @param {Object} receipt - { blockNumber, confirmations, gasUsed, effectiveGasPrice }
+   * @returns {Promise<Object|null>} - Updated transaction or null if it is no longer pending
+   */
+  static async recordConfirmations(id, receipt) {
+    return Transaction.findOneAndUpdate(
+      { _id: id, status: TRANSACTION_STATUS.PENDING },
+      {
+        blockNumber: receipt.blockNumber,
+        confirmations: receipt.confirmations,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark a pending transaction as confirmed
+   * @param {string} id - Transaction ID
+   * @param {Object} receipt - { blockNumber, confirmations, gasUsed, effectiveGasPrice }
+   * @returns {Promise<Object|null>} - Updated transaction or null if it is no longer pending
+   */
+  static async markConfirmed(id, receipt) {
+    return Transaction.findOneAndUpdate(
+      { _id: id, status: TRANSACTION_STATUS.PENDING },
+      {
+        status: TRANSACTION_STATUS.CONFIRMED,
+        blockNumber: receipt.blockNumber,
+        confirmations: receipt.confirmations,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice,
+        confirmedAt: new Date()
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark a pending transaction as failed
+   * @param {string} id - Transaction ID
+   * @param {string} errorMessage - Reason the send failed
+   * @param {Object} [receipt] - { blockNumber, gasUsed, effectiveGasPrice } if it reverted on chain
+   * @returns {Promise<Object|null>} - Updated transaction or null if it is no longer pending
+   */
+  static async markFailed(id, errorMessage, receipt = {}) {
+    return Transaction.findOneAndUpdate(
+      { _id: id, status: TRANSACTION_STATUS.PENDING },
+      {
+        status: TRANSACTION_STATUS.FAILED,
+        error: errorMessage,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark a pending transaction as dropped from the mempool
+   * @param {string} id - Transaction ID
+   * @returns {Promise<Object|null>} - Updated transaction or null if it is no longer pending
+   */
+  static async markDropped(id) {
+    return Transaction.findOneAndUpdate(
+      { _id: id, status: TRANSACTION_STATUS.PENDING },
+      { status: TRANSACTION_STATUS.DROPPED },
+      { new: true }
+    );
+  }
+
+  /**
+   * Delete a transaction that was recorded but never broadcast, such as a send the
+   * spending policy turned down after its amount was reserved
+   * @param {string} id - Transaction ID
+   * @returns {Promise<boolean>} - Whether there was an unbroadcast transaction to delete
+   */
+  static async release(id) {
+    const result = await Transaction.deleteOne({ _id: id, status: TRANSACTION_STATUS.PENDING, submittedAt: null });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Mark a pending transaction as replaced by another one with the same nonce
+   * @param {string} id - Transaction ID
+   * @param {string} [replacedBy] - Hash of the replacement, if known
+   * @returns {Promise<Object|null>} - Updated transaction or null if it is no longer pending
+   */
+  static async markReplaced(id, replacedBy) {
+    return Transaction.findOneAndUpdate(
+      { _id: id, status: TRANSACTION_STATUS.PENDING },
+      { status: TRANSACTION_STATUS.REPLACED, replacedBy },
+      { new: true }
+    );
+  }
+
+  /**
+   * Find a transaction by ID
+   * @param {string} ownerId - ID of the user who sent the transaction
+   * @param {string} id - Transaction ID
+   * @returns {Promise<Object|null>} - Transaction or null if not found
+   */
+  static async findById(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Transaction.findOne({ _id: id, owner: ownerId });
+  }
+
+  /**
+   * Find the ledger entries for transactions sent with the same nonce as another, i.e. its
+   * speed-ups and cancellations
+   * @param {Object} transaction - Transaction document
+   * @returns {Promise<Array>} - Other broadcast transactions with that nonce, newest first
+   */
+  static async findReplacements(transaction) {
+    return Transaction.find({
+      _id: { $ne: transaction._id },
+      chainId: transaction.chainId,
+      from: transaction.from,
+      nonce: transaction.nonce,
+      txHash: { $ne: null }
+    }).sort({ submittedAt: -1 });
+  }
+
+  /**
+   * Get broadcast transactions that are still waiting, least recently checked first (never
+   * checked ones first of all), for the tracker
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} - Pending transactions with a hash
+   */
+  static async findTracked(limit) {
+    return Transaction.find({
+      status: TRANSACTION_STATUS.PENDING,
+      submittedAt: { $ne: null }
+    })
+      .sort({ lastCheckedAt: 1, submittedAt: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Record that the tracker checked transactions, moving them to the back of its queue
+   * @param {string[]} ids - Transaction IDs
+   * @returns {Promise<void>}
+   */
+  static async markChecked(ids) {
+    await Transaction.updateMany({ _id: { $in: ids } }, { lastCheckedAt: new Date() });
+  }
+
+  /**
+   * Find a transaction by its hash
+   * @param {string} ownerId - ID of the user who sent the transaction
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object|null>} - Transaction or null if not found
+   */
+  static async findByHash(ownerId, txHash) {
+    return Transaction.findOne({ owner: ownerId, txHash: txHash.toLowerCase() }).populate('contact');
+  }
+
+  /**
+   * Get the amounts of a token sent (or being sent) since a point in time, for spending limits
+   * @param {string} ownerId - ID of the user who sent the transactions
+   * @param {string} token - Token symbol
+   * @param {Date} since - Start of the window
+   * @param {string} [excluding] - ID of a transaction to leave out, such as the one being checked
+   * @returns {Promise<string[]>} - Decimal amounts of sends that did or may still move funds
+   */
+  static async findAmountsSince(ownerId, token, since, excluding) {
+    const query = {
+      owner: ownerId,
+      token: token.toUpperCase(),
+      // Replaced sends are counted through their replacement instead
+      status: { $nin: [TRANSACTION_STATUS.FAILED, TRANSACTION_STATUS.DROPPED, TRANSACTION_STATUS.REPLACED] },
+      createdAt: { $gte: since }
+    };
+    if (excluding) {
+      query._id = { $ne: excluding };
+    }
+
+    const rows = await Transaction.find(query).select('amount replaces');
+
+    // A speed-up shares its original's nonce, so only one of the pair can go through:
+    // while both are pending, count the amount once, through the replacement
+    const replaced = new Set(rows.filter(row => row.replaces).map(row => row.replaces.toString()));
+
+    return rows
+      .filter(row => !replaced.has(row._id.toString()))
+      .map(row => row.amount);
+  }
+
+  /**
+   * List transactions, newest first, with cursor pagination
+   * @param {string} ownerId - ID of the user who sent the transactions
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.contact] - Contact name
+   * @param {string} [filters.token] - Token symbol
+   * @param {string|Date} [filters.from] - Only transactions created at or after this date
+   * @param {string|Date} [filters.to] - Only transactions created at or before this date
+   * @param {string} [filters.cursor] - ID of the last transaction from the previous page
+   * @param {number} [filters.limit] - Page size (max 100)
+   * @returns {Promise<Object>} - { transactions, nextCursor }
+   */
+  static async find(ownerId, filters = {}) {
+    const query = { owner: ownerId };
+
+    if (filters.contact) {
+      query.contactName = filters.contact.toLowerCase().trim();
+    }
+
+    if (filters.token) {
+      query.token = filters.token.toUpperCase();
+    }
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+
+    if (filters.cursor) {
+      query._id = { $lt: filters.cursor };
+    }
+
+    // A negative limit would make MongoDB return a single batch instead
+    const requested = parseInt(filters.limit, 10);
+    const limit = requested > 0 ? Math.min(requested, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await Transaction.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const transactions = rows.slice(0, limit);
+    const nextCursor = rows.length > limit
+      ? transactions[transactions.length - 1]._id.toString()
+      : null;
+
+    return { transactions, nextCursor };
+  }
+
+  /**
+   * Get the sends that made it on chain in a period, oldest first, for statements.
+   * Reverted sends are included because they still paid gas.
+   * @param {string} ownerId - ID of the user who sent the transactions
+   * @param {Object} range - Optional from and to dates, matched against when the send was
+   *   broadcast (or recorded, for sends from before that was kept), the date statements show
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} - Confirmed sends and sends that reverted in a block
+   */
+  static async findForStatement(ownerId, range, limit) {
+    const dates = {};
+    if (range.from) dates.$gte = new Date(range.from);
+    if (range.to) dates.$lte = new Date(range.to);
+
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          owner: new mongoose.Types.ObjectId(ownerId),
+          $or: [
+            { status: TRANSACTION_STATUS.CONFIRMED },
+            { status: TRANSACTION_STATUS.FAILED, blockNumber: { $ne: null } }
+          ]
+        }
+      },
+      { $addFields: { statementDate: { $ifNull: ['$submittedAt', '$createdAt'] } } },
+      ...(range.from || range.to ? [{ $match: { statementDate: dates } }] : []),
+      { $sort: { statementDate: 1, _id: 1 } },
+      { $limit: limit },
+      { $project: { statementDate: 0 } }
+    ]);
+
+    return rows.map(row => Transaction.hydrate(row));
+  }
+}
+
+module.exports = {
+  Transaction,
+  TransactionRepository,
+  TRANSACTION_STATUS
+};
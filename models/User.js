@@ -0,0 +1,125 @@
+// models/User.js
+const mongoose = require('mongoose');
+const { ERROR_CODES, ConflictError } = require('../utlis/errors');
+
+// Username of the account that owns data created before multi-user support
+const DEFAULT_USERNAME = 'default';
+
+// Env variables users may sign with. The prefix keeps users from being bound to the service
+// wallet's PRIVATE_KEY (the default user's) or to any other secret in the environment.
+const WALLET_KEY_ENV = /^WALLET_KEY_[A-Z0-9_]+$/;
+
+// User account; each user has their own contact book and signing wallet
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    unique: true,
+    index: true
+  },
+  displayName: {
+    type: String,
+    trim: true
+  },
+  defaultAccount: {
+    type: String,
+    lowercase: true,
+    trim: true // Wallet account used when a request doesn't name one
+  },
+  walletKeyEnv: {
+    type: String,
+    trim: true, // Legacy: env variable holding a private key, for users without stored accounts
+    unique: true,
+    sparse: true, // No two users may sign with the same key
+    validate: {
+      validator: function (value) {
+        return WALLET_KEY_ENV.test(value) || (value === 'PRIVATE_KEY' && this.username === DEFAULT_USERNAME);
+      },
+      message: 'walletKeyEnv must be an environment variable starting with WALLET_KEY_ (e.g. WALLET_KEY_ALICE)'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Create the model
+const User = mongoose.model('User', userSchema);
+
+// Repository pattern for User operations
+class UserRepository {
+  /**
+   * Create a new user
+   * @param {Object} userData - username, displayName and optional walletKeyEnv
+   * @returns {Promise<Object>} - Created user
+   */
+  static async create(userData) {
+    try {
+      const user = new User({
+        username: userData.username,
+        displayName: userData.displayName,
+        walletKeyEnv: userData.walletKeyEnv
+      });
+      return await user.save();
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.walletKeyEnv) {
+        throw new ConflictError(`${userData.walletKeyEnv} is already another user's wallet key`, { code: ERROR_CODES.ALREADY_EXISTS });
+      }
+      if (error.code === 11000) {
+        throw new ConflictError(`User "${userData.username}" already exists`, { code: ERROR_CODES.ALREADY_EXISTS });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user by ID or username
+   * @param {string} idOrUsername - User ID or username
+   * @returns {Promise<Object|null>} - User or null if not found
+   */
+  static async findByIdOrUsername(idOrUsername) {
+    if (mongoose.Types.ObjectId.isValid(idOrUsername)) {
+      const user = await User.findById(idOrUsername);
+      if (user) return user;
+    }
+    return User.findOne({ username: idOrUsername.toLowerCase().trim() });
+  }
+
+  /**
+   * Get the default user, creating it on first use. It signs with PRIVATE_KEY,
+   * which keeps single-user deployments working unchanged.
+   * @returns {Promise<Object>} - Default user
+   */
+  static async findOrCreateDefault() {
+    return User.findOneAndUpdate(
+      { username: DEFAULT_USERNAME },
+      { $setOnInsert: { username: DEFAULT_USERNAME, walletKeyEnv: 'PRIVATE_KEY' } },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * Set the wallet account a user signs with by default
+   * @param {string} id - User ID
+   * @param {string|null} accountName - Account name, or null to clear it
+   * @returns {Promise<Object|null>} - Updated user or null if not found
+   */
+  static async setDefaultAccount(id, accountName) {
+    return User.findByIdAndUpdate(id, { defaultAccount: accountName }, { new: true });
+  }
+
+  /**
+   * Get all users
+   * @returns {Promise<Array>} - List of all users
+   */
+  static async findAll() {
+    return User.find().sort({ username: 1 });
+  }
+}
+
+module.exports = {
+  User,
+  UserRepository,
+  DEFAULT_USERNAME
+};
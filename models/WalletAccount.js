@@ -0,0 +1,140 @@
+// models/WalletAccount.js
+const mongoose = require('mongoose');
+const { ERROR_CODES, ConflictError } = require('../utlis/errors');
+
+const ACCOUNT_SOURCES = {
+  CREATED: 'created',
+  IMPORTED: 'imported',
+  HD: 'hd'
+};
+
+// Named signing account; the key is only ever stored as an encrypted JSON keystore
+const walletAccountSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  keystore: {
+    type: String,
+    required: true // Encrypted with KEYSTORE_PASSWORD via ethers Wallet.encrypt
+  },
+  source: {
+    type: String,
+    enum: Object.values(ACCOUNT_SOURCES),
+    required: true
+  },
+  derivationPath: String
+}, {
+  timestamps: true
+});
+
+// Account names are unique per user
+walletAccountSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Never send the keystore back to clients, not even encrypted with the server password
+walletAccountSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keystore;
+    return ret;
+  }
+});
+
+// Create the model
+const WalletAccount = mongoose.model('WalletAccount', walletAccountSchema);
+
+// Repository pattern for WalletAccount operations
+class WalletAccountRepository {
+  /**
+   * Store a new account
+   * @param {string} ownerId - ID of the user who owns the account
+   * @param {Object} accountData - name, address, keystore, source and derivationPath
+   * @returns {Promise<Object>} - Created account
+   */
+  static async create(ownerId, accountData) {
+    try {
+      const account = new WalletAccount({ ...accountData, owner: ownerId });
+      return await account.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`Wallet account "${accountData.name}" already exists`, { code: ERROR_CODES.ALREADY_EXISTS });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find an account by name
+   * @param {string} ownerId - ID of the user who owns the account
+   * @param {string} name - Account name
+   * @returns {Promise<Object|null>} - Account or null if not found
+   */
+  static async findByName(ownerId, name) {
+    return WalletAccount.findOne({ owner: ownerId, name: name.toLowerCase().trim() });
+  }
+
+  /**
+   * Find an account by address
+   * @param {string} ownerId - ID of the user who owns the account
+   * @param {string} address - Account address (any letter case)
+   * @returns {Promise<Object|null>} - Account or null if not found
+   */
+  static async findByAddress(ownerId, address) {
+    const accounts = await WalletAccount.find({ owner: ownerId }).select('name address');
+    return accounts.find(account => account.address.toLowerCase() === address.toLowerCase()) || null;
+  }
+
+  /**
+   * Get the address of every stored account, across all users
+   * @returns {Promise<Array>} - Accounts with owner, name and address only
+   */
+  static async findAllAddresses() {
+    return WalletAccount.find().select('owner name address');
+  }
+
+  /**
+   * Get the user's oldest account, used when no account is chosen
+   * @param {string} ownerId - ID of the user who owns the accounts
+   * @returns {Promise<Object|null>} - Account or null if the user has none
+   */
+  static async findFirst(ownerId) {
+    return WalletAccount.findOne({ owner: ownerId }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Get all accounts belonging to a user
+   * @param {string} ownerId - ID of the user who owns the accounts
+   * @returns {Promise<Array>} - List of accounts
+   */
+  static async findAll(ownerId) {
+    return WalletAccount.find({ owner: ownerId }).sort({ name: 1 });
+  }
+
+  /**
+   * Delete an account
+   * @param {string} ownerId - ID of the user who owns the account
+   * @param {string} name - Account name
+   * @returns {Promise<boolean>} - True if deleted, false otherwise
+   */
+  static async delete(ownerId, name) {
+    const result = await WalletAccount.deleteOne({ owner: ownerId, name: name.toLowerCase().trim() });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = {
+  WalletAccount,
+  WalletAccountRepository,
+  ACCOUNT_SOURCES
+};
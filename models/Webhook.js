@@ -0,0 +1,185 @@
+// models/Webhook.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { checkResolvedUrl } = require('../utlis/publicUrl');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = {
+  TRANSFER_INCOMING: 'transfer.incoming',
+  PAYMENT_REQUEST_PAID: 'payment_request.paid'
+};
+
+// Prefix that marks signing secrets in logs and config
+const SECRET_PREFIX = 'whsec_';
+
+// URL that is called when something happens to a user's wallets
+const webhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      // Deliveries check the address again when they connect, in case DNS changes
+      validator: async (value) => {
+        const error = await checkResolvedUrl(value);
+        if (error) throw new Error(error);
+        return true;
+      }
+    }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  events: {
+    type: [String],
+    enum: Object.values(WEBHOOK_EVENTS),
+    default: Object.values(WEBHOOK_EVENTS)
+  },
+  secret: {
+    type: String,
+    required: true // Signs every delivery; kept in plaintext because it is needed to sign
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// The secret is only shown when it is created or rotated
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+// Create the model
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+/**
+ * Generate a new signing secret
+ * @returns {string} Secret
+ */
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(32).toString('hex');
+}
+
+// Repository pattern for Webhook operations
+class WebhookRepository {
+  /**
+   * Register a webhook. The secret is returned in full only here and by rotateSecret.
+   * @param {string} ownerId - ID of the user the webhook reports on
+   * @param {Object} webhookData - url, description and events
+   * @returns {Promise<Object>} - { webhook, secret }
+   */
+  static async create(ownerId, webhookData) {
+    const secret = generateSecret();
+    const webhook = new Webhook({
+      owner: ownerId,
+      url: webhookData.url,
+      description: webhookData.description,
+      events: webhookData.events,
+      secret
+    });
+    await webhook.save();
+
+    return { webhook, secret };
+  }
+
+  /**
+   * Find a webhook by ID
+   * @param {string} ownerId - ID of the user who owns the webhook
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object|null>} - Webhook or null if not found
+   */
+  static async findById(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Webhook.findOne({ _id: id, owner: ownerId });
+  }
+
+  /**
+   * Get all webhooks belonging to a user
+   * @param {string} ownerId - ID of the user who owns the webhooks
+   * @returns {Promise<Array>} - List of webhooks
+   */
+  static async findAll(ownerId) {
+    return Webhook.find({ owner: ownerId }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Get a user's active webhooks that subscribe to an event
+   * @param {string} ownerId - ID of the user the event concerns
+   * @param {string} event - Event name
+   * @returns {Promise<Array>} - List of webhooks
+   */
+  static async findSubscribed(ownerId, event) {
+    return Webhook.find({ owner: ownerId, active: true, events: event });
+  }
+
+  /**
+   * Update a webhook's URL, description, events or active flag
+   * @param {string} ownerId - ID of the user who owns the webhook
+   * @param {string} id - Webhook ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object|null>} - Updated webhook or null if not found
+   */
+  static async update(ownerId, id, updateData) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Webhook.findOneAndUpdate(
+      { _id: id, owner: ownerId },
+      {
+        url: updateData.url,
+        description: updateData.description,
+        events: updateData.events,
+        active: updateData.active
+      },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Replace a webhook's signing secret
+   * @param {string} ownerId - ID of the user who owns the webhook
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object|null>} - { webhook, secret }, or null if not found
+   */
+  static async rotateSecret(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const secret = generateSecret();
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: id, owner: ownerId },
+      { secret },
+      { new: true }
+    );
+
+    return webhook ? { webhook, secret } : null;
+  }
+
+  /**
+   * Delete a webhook
+   * @param {string} ownerId - ID of the user who owns the webhook
+   * @param {string} id - Webhook ID
+   * @returns {Promise<boolean>} - True if deleted, false otherwise
+   */
+  static async delete(ownerId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const result = await Webhook.deleteOne({ _id: id, owner: ownerId });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = {
+  Webhook,
+  WebhookRepository,
+  WEBHOOK_EVENTS
+};
@@ -0,0 +1,156 @@
+// models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',     // Waiting for its first or next attempt
+  DELIVERED: 'delivered', // The endpoint answered with a 2xx status
+  FAILED: 'failed'        // Out of attempts, or the webhook was removed
+};
+
+// One event to be sent to one webhook, with its retry state
+const webhookDeliverySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(DELIVERY_STATUS),
+    default: DELIVERY_STATUS.PENDING
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: Number,
+  lastError: String,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+// Lets the dispatcher find deliveries that are due
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Create the model
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Repository pattern for WebhookDelivery operations
+class WebhookDeliveryRepository {
+  /**
+   * Queue an event for a webhook
+   * @param {Object} webhook - Webhook to deliver to
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Promise<Object>} - Created delivery
+   */
+  static async create(webhook, event, data) {
+    const delivery = new WebhookDelivery({ owner: webhook.owner, webhook: webhook._id, event });
+    // The delivery ID doubles as the event ID receivers use to ignore repeats
+    delivery.payload = { id: delivery._id.toString(), event, createdAt: new Date().toISOString(), data };
+    return delivery.save();
+  }
+
+  /**
+   * Claim the next due delivery by pushing its next attempt back, so no other
+   * poll picks it up while it is being sent
+   * @param {number} leaseMs - How long the claim lasts
+   * @returns {Promise<Object|null>} - Claimed delivery, or null if none is due
+   */
+  static async claimDue(leaseMs) {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+      { status: DELIVERY_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(now.getTime() + leaseMs) },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Record a successful attempt
+   * @param {string} id - Delivery ID
+   * @param {number} responseStatus - HTTP status the endpoint answered with
+   * @returns {Promise<Object|null>} - Updated delivery or null if not found
+   */
+  static async markDelivered(id, responseStatus) {
+    return WebhookDelivery.findByIdAndUpdate(
+      id,
+      {
+        status: DELIVERY_STATUS.DELIVERED,
+        deliveredAt: new Date(),
+        responseStatus,
+        lastError: null,
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} id - Delivery ID
+   * @param {Object} failure - { error, responseStatus, nextAttemptAt }; no nextAttemptAt means give up
+   * @returns {Promise<Object|null>} - Updated delivery or null if not found
+   */
+  static async markAttemptFailed(id, { error, responseStatus, nextAttemptAt }) {
+    return WebhookDelivery.findByIdAndUpdate(
+      id,
+      {
+        status: nextAttemptAt ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED,
+        nextAttemptAt,
+        responseStatus,
+        lastError: error,
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Get a webhook's most recent deliveries
+   * @param {string} ownerId - ID of the user who owns the webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} - Deliveries, newest first
+   */
+  static async findForWebhook(ownerId, webhookId, limit) {
+    return WebhookDelivery.find({ owner: ownerId, webhook: webhookId })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Delete every delivery for a webhook
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<number>} - Number of deliveries deleted
+   */
+  static async deleteForWebhook(webhookId) {
+    const result = await WebhookDelivery.deleteMany({ webhook: webhookId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = {
+  WebhookDelivery,
+  WebhookDeliveryRepository,
+  DELIVERY_STATUS
+};
@@ -0,0 +1,41 @@
+// scripts/createApiKey.js
+// Bootstrap an API key from the command line, e.g. for the first admin key:
+//   npm run create-api-key -- default admin,read,write,spend
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { UserRepository, DEFAULT_USERNAME } = require('../models/User');
+const { ApiKeyRepository, SCOPES } = require('../models/ApiKey');
+
+async function main() {
+  const [username = DEFAULT_USERNAME, scopeList = SCOPES.READ, name = 'cli'] = process.argv.slice(2);
+  const scopes = scopeList.split(',').map(scope => scope.trim()).filter(Boolean);
+
+  const invalid = scopes.filter(scope => !Object.values(SCOPES).includes(scope));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown scopes: ${invalid.join(', ')}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = username === DEFAULT_USERNAME
+    ? await UserRepository.findOrCreateDefault()
+    : await UserRepository.findByIdOrUsername(username);
+
+  if (!user) {
+    throw new Error(`User "${username}" not found`);
+  }
+
+  const { apiKey, key } = await ApiKeyRepository.create(user._id, { name, scopes });
+
+  console.log(`Created API key ${apiKey._id} for "${user.username}" with scopes: ${scopes.join(', ')}`);
+  console.log('Store it now, it will not be shown again:');
+  console.log(key);
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,123 @@
+// services/balanceCache.js
+
+// Balances read within this long are served from memory
+const CACHE_SECONDS = parseInt(process.env.BALANCE_CACHE_SECONDS, 10) || 10;
+
+// When a read fails, a balance no older than this is reported as stale rather than missing
+const STALE_SECONDS = parseInt(process.env.BALANCE_STALE_SECONDS, 10) || 300;
+
+// Balances kept at most; the ones read longest ago go first
+const MAX_ENTRIES = parseInt(process.env.BALANCE_CACHE_MAX_ENTRIES, 10) || 10000;
+
+const BALANCE_STATUS = {
+  OK: 'ok',
+  STALE: 'stale',
+  ERROR: 'error'
+};
+
+/**
+ * Short-lived memory of balances by chain, account and token, shared by every service.
+ * Balances of an account are dropped as soon as EchoPay sends from or to it, so the next
+ * read goes to the chain. Failed reads never turn into zeros: the last known balance is
+ * returned as stale, or the failure is reported. Balances too old to be reported even as
+ * stale are dropped, and the cache never holds more than MAX_ENTRIES.
+ */
+class BalanceCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Account
+   * @param {string} tokenAddress - Token contract, or the native placeholder address
+   * @returns {string}
+   */
+  key(chainId, address, tokenAddress) {
+    return `${chainId}:${address.toLowerCase()}:${tokenAddress.toLowerCase()}`;
+  }
+
+  /**
+   * Get balances, reading the ones that aren't cached
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Account
+   * @param {Object[]} tokens - Registry tokens
+   * @param {Function} fetch - Reads balances for a list of tokens; resolves to { raw } or { error } per token, in order
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.fresh] - Skip the cache, e.g. to check funds right before sending
+   * @returns {Promise<Object[]>} - { raw, status, asOf, error } per token, in order; raw is null without a value
+   */
+  async read(chainId, address, tokens, fetch, options = {}) {
+    const now = Date.now();
+    const results = new Array(tokens.length);
+    const missing = [];
+
+    tokens.forEach((token, i) => {
+      const entry = this.entries.get(this.key(chainId, address, token.address));
+      if (!options.fresh && entry && now - entry.fetchedAt < CACHE_SECONDS * 1000) {
+        results[i] = { raw: entry.raw, status: BALANCE_STATUS.OK, asOf: new Date(entry.fetchedAt) };
+      } else {
+        missing.push(i);
+      }
+    });
+    if (missing.length === 0) return results;
+
+    let fetched;
+    try {
+      fetched = await fetch(missing.map(i => tokens[i]));
+    } catch (error) {
+      fetched = missing.map(() => ({ error: error.message }));
+    }
+
+    missing.forEach((tokenIndex, i) => {
+      const key = this.key(chainId, address, tokens[tokenIndex].address);
+      const { raw, error } = fetched[i];
+
+      if (!error) {
+        // Re-inserting keeps the map ordered from the oldest read to the newest
+        this.entries.delete(key);
+        this.entries.set(key, { raw, fetchedAt: now });
+        results[tokenIndex] = { raw, status: BALANCE_STATUS.OK, asOf: new Date(now) };
+        return;
+      }
+
+      const entry = this.entries.get(key);
+      results[tokenIndex] = entry && now - entry.fetchedAt < STALE_SECONDS * 1000
+        ? { raw: entry.raw, status: BALANCE_STATUS.STALE, asOf: new Date(entry.fetchedAt), error }
+        : { raw: null, status: BALANCE_STATUS.ERROR, asOf: null, error };
+    });
+
+    this.prune(now);
+    return results;
+  }
+
+  /**
+   * Drop balances too old to be served even as stale, then the oldest ones over MAX_ENTRIES
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now) {
+    for (const [key, entry] of this.entries) {
+      if (now - entry.fetchedAt < STALE_SECONDS * 1000 && this.entries.size <= MAX_ENTRIES) break;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Forget every cached balance of some accounts on a chain
+   * @param {number} chainId - Chain ID
+   * @param {string[]} addresses - Accounts whose balances changed
+   */
+  invalidate(chainId, addresses) {
+    const prefixes = addresses.filter(Boolean).map(address => `${chainId}:${address.toLowerCase()}:`);
+    for (const key of this.entries.keys()) {
+      if (prefixes.some(prefix => key.startsWith(prefix))) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  BalanceCache,
+  BALANCE_STATUS
+};
@@ -1,5 +1,28 @@
 // services/blockchainService.js
 const { ethers } = require('ethers');
+const { checkAmountPrecision } = require('../utlis/amountParser');
+const { TokenRegistry, NATIVE_ADDRESS } = require('./tokenRegistry');
+const { NonceManager, isNonceConflict } = require('./nonceManager');
+const { FeeOracle, FEE_SPEEDS, DEFAULT_SPEED } = require('./feeOracle');
+const { Multicall } = require('./multicall');
+const { BalanceCache } = require('./balanceCache');
+const {
+  ERROR_CODES,
+  InvalidRequestError,
+  InsufficientFundsError,
+  NotFoundError,
+  ConflictError,
+  fromEthersError
+} = require('../utlis/errors');
+
+// Headroom added to gas estimates, since state can change before the transaction is mined
+const GAS_LIMIT_MARGIN_PERCENT = 20;
+
+// Gas limit shown in quotes when estimation fails (e.g. the wallet can't cover the amount)
+const FALLBACK_GAS_LIMIT = 250000;
+
+// Fee increase for replacements; nodes require at least 10% over the pending transaction
+const REPLACEMENT_FEE_BUMP_PERCENT = 20;
 
 // Token ABIs
 const ERC20_ABI = [
@@ -9,31 +32,94 @@ const ERC20_ABI = [
   "function symbol() view returns (string)"
 ];
 
-// Token addresses for Sepolia testnet with custom MTK token
-const TOKEN_ADDRESSES = {
-  // Sepolia testnet addresses
-  MTK: '0x0E4Dd0bA5a6f1bc0ffFE421dbB8E252dFF0C66f6', // Replace with your MTK token contract address
-  ETH: 'NATIVE', // Special case for ETH
-  USDC: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', // Example Sepolia USDC address
-  DAI: '0x68194a729C2450ad26072b3D33ADaCbcef39D574', // Example Sepolia DAI address
-  USDT: '0xaA8E23Fb1079EA71e0a56F48a2aA51851D8433D0'  // Example Sepolia USDT address
-};
-
-// Token decimals cache
-const TOKEN_DECIMALS = {
-  MTK: 18, // Most custom tokens use 18 decimals, adjust if yours is different
-  USDC: 6,
-  ETH: 18,
-  DAI: 18,
-  USDT: 6
-};
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
 
 class BlockchainService {
-  constructor(rpcUrl, privateKey) {
-    this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-    this.wallet = new ethers.Wallet(privateKey, this.provider);
+  /**
+   * @param {string|ethers.providers.Provider} rpcUrl - RPC URL, or a provider shared between wallets
+   * @param {string|ethers.Wallet} privateKey - Private key, or an unlocked wallet, to sign with
+   * @param {Object} [options] - Network options
+   * @param {TokenRegistry} [options.tokenRegistry] - Token registry (defaults to the built-in Sepolia tokens)
+   * @param {number} [options.chainId] - Chain the provider is connected to (defaults to the registry's default)
+   * @param {NonceManager} [options.nonceManager] - Nonce manager shared by every service that signs for the same accounts
+   * @param {BalanceCache} [options.balanceCache] - Balance cache shared by every service, so a send clears it for all
+   */
+  constructor(rpcUrl, privateKey, options = {}) {
+    this.provider = typeof rpcUrl === 'string' || !rpcUrl
+      ? new ethers.providers.JsonRpcProvider(rpcUrl)
+      : rpcUrl;
+    this.wallet = privateKey instanceof ethers.Wallet
+      ? privateKey.connect(this.provider)
+      : new ethers.Wallet(privateKey, this.provider);
+    this.tokenRegistry = options.tokenRegistry || new TokenRegistry();
+    this.chainId = options.chainId || this.tokenRegistry.getDefaultNetwork().chainId;
+    this.nonceManager = options.nonceManager || new NonceManager();
+    this.balanceCache = options.balanceCache || new BalanceCache();
+    this.feeOracle = new FeeOracle(this.provider);
+    this.multicall = new Multicall(this.provider);
     
-    console.log(`Blockchain service initialized for wallet: ${this.wallet.address} on testnet`);
+    console.log(`Blockchain service initialized for wallet: ${this.wallet.address} on chain ${this.chainId}`);
+  }
+  
+  /**
+   * Get the registry entry for a token on this service's chain
+   * @param {string} tokenSymbol - Token symbol or alias (e.g., "MTK", "MYTOKEN")
+   * @returns {Object|null} - Token or null if not registered on this chain
+   */
+  getToken(tokenSymbol) {
+    return this.tokenRegistry.getToken(this.chainId, tokenSymbol);
+  }
+  
+  /**
+   * Resolve a token alias to its registered symbol
+   * @param {string} tokenSymbol - Token symbol or alias
+   * @returns {string} - Registered symbol, or the input upper-cased if unknown
+   */
+  resolveTokenSymbol(tokenSymbol) {
+    const token = this.getToken(tokenSymbol);
+    return token ? token.symbol : (tokenSymbol || '').toUpperCase();
+  }
+  
+  /**
+   * Check whether a symbol is this chain's native currency (ETH, POL, ...)
+   * @param {string} tokenSymbol - Token symbol
+   * @returns {boolean}
+   */
+  isNativeToken(tokenSymbol) {
+    const token = this.getToken(tokenSymbol);
+    return Boolean(token && token.address === NATIVE_ADDRESS);
+  }
+  
+  /**
+   * Symbol of this chain's native currency
+   * @returns {string}
+   */
+  get nativeSymbol() {
+    const network = this.tokenRegistry.resolveNetwork(this.chainId);
+    return (network && network.nativeSymbol) || 'ETH';
+  }
+  
+  /**
+   * Describe the chain for responses, using the provider's view of the network
+   * @returns {Promise<Object>} - { network, chainId }
+   */
+  async describeNetwork() {
+    if (!this.networkDescription) {
+      const info = await this.getNetworkInfo();
+      const registered = this.tokenRegistry.resolveNetwork(this.chainId);
+      
+      if (info.error) {
+        // Don't cache failures; report what the registry says for now
+        return { network: registered ? registered.name : 'unknown', chainId: this.chainId };
+      }
+      
+      this.networkDescription = {
+        network: info.name !== 'unknown' ? info.name : (registered ? registered.name : 'unknown'),
+        chainId: info.chainId
+      };
+    }
+    
+    return this.networkDescription;
   }
   
   /**
@@ -42,36 +128,12 @@ class BlockchainService {
    * @returns {Promise<number>} - Number of decimals
    */
   async getTokenDecimals(tokenSymbol) {
-    // Return from cache if available
-    if (TOKEN_DECIMALS[tokenSymbol]) {
-      return TOKEN_DECIMALS[tokenSymbol];
+    const token = this.getToken(tokenSymbol);
+    if (!token) {
+      throw new InvalidRequestError(`Unsupported token: ${tokenSymbol}`, { code: ERROR_CODES.UNSUPPORTED_TOKEN });
     }
     
-    // Special case for ETH
-    if (tokenSymbol === 'ETH') {
-      return 18;
-    }
-    
-    // Get token address
-    const tokenAddress = this.getTokenAddress(tokenSymbol);
-    if (!tokenAddress) {
-      throw new Error(`Unsupported token: ${tokenSymbol}`);
-    }
-    
-    try {
-      // Query the contract
-      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
-      const decimals = await tokenContract.decimals();
-      
-      // Cache the result
-      TOKEN_DECIMALS[tokenSymbol] = decimals;
-      
-      return decimals;
-    } catch (error) {
-      console.error(`Error getting decimals for ${tokenSymbol}:`, error);
-      // Fallback to default decimals if contract call fails
-      return TOKEN_DECIMALS[tokenSymbol] || 18;
-    }
+    return token.decimals;
   }
   
   /**
@@ -80,7 +142,24 @@ class BlockchainService {
    * @returns {string|null} - Token contract address or null if not found
    */
   getTokenAddress(tokenSymbol) {
-    return TOKEN_ADDRESSES[tokenSymbol] || null;
+    const token = this.getToken(tokenSymbol);
+    return token ? token.address : null;
+  }
+  
+  /**
+   * Convert a decimal amount to token units, rejecting amounts the token can't represent
+   * @param {string} amount - Amount as a string (e.g., "5.5")
+   * @param {number} decimals - Token decimals
+   * @param {string} tokenSymbol - Token symbol (e.g., "MTK")
+   * @returns {ethers.BigNumber} - Amount in the token's smallest unit
+   */
+  parseTokenAmount(amount, decimals, tokenSymbol) {
+    const precisionError = checkAmountPrecision(amount, decimals, tokenSymbol);
+    if (precisionError) {
+      throw new InvalidRequestError(precisionError, { code: ERROR_CODES.INVALID_AMOUNT });
+    }
+    
+    return ethers.utils.parseUnits(amount, decimals);
   }
   
   /**
@@ -88,23 +167,27 @@ class BlockchainService {
    * @param {string} tokenSymbol - Token to send (e.g., "MTK")
    * @param {string} toAddress - Recipient address
    * @param {string} amount - Amount as a string (e.g., "5.5")
-   * @returns {Promise<Object>} - Transaction receipt
+   * @param {Object} [options] - Send options
+   * @param {string} [options.speed] - Fee tier: slow, normal (default) or fast
+   * @returns {Promise<Object>} - Submitted transaction; it is not yet mined
    */
-  async sendTokens(tokenSymbol, toAddress, amount) {
+  async sendTokens(tokenSymbol, toAddress, amount, options = {}) {
     // Validate address
     if (!ethers.utils.isAddress(toAddress)) {
-      throw new Error('Invalid Ethereum address');
+      throw new InvalidRequestError('Invalid Ethereum address', { code: ERROR_CODES.INVALID_ADDRESS });
     }
     
-    // Handle ETH transfers (native token)
-    if (tokenSymbol === 'ETH') {
-      return this.sendEth(toAddress, amount);
+    tokenSymbol = this.resolveTokenSymbol(tokenSymbol);
+    
+    // Handle native currency transfers (ETH, POL, ...)
+    if (this.isNativeToken(tokenSymbol)) {
+      return this.sendEth(toAddress, amount, options);
     }
     
     // Get token contract
     const tokenAddress = this.getTokenAddress(tokenSymbol);
     if (!tokenAddress) {
-      throw new Error(`Unsupported token: ${tokenSymbol}`);
+      throw new InvalidRequestError(`Unsupported token: ${tokenSymbol}`, { code: ERROR_CODES.UNSUPPORTED_TOKEN });
     }
     
     const tokenContract = new ethers.Contract(
@@ -117,168 +200,398 @@ class BlockchainService {
     const decimals = await this.getTokenDecimals(tokenSymbol);
     
     // Convert amount to token units
-    const amountInTokenUnits = ethers.utils.parseUnits(amount, decimals);
+    const amountInTokenUnits = this.parseTokenAmount(amount, decimals, tokenSymbol);
     
     try {
       // Check balance before sending
       const balance = await tokenContract.balanceOf(this.wallet.address);
       if (balance.lt(amountInTokenUnits)) {
-        throw new Error(`Insufficient ${tokenSymbol} balance`);
+        throw new InsufficientFundsError(`Insufficient ${tokenSymbol} balance`);
       }
       
-      // Send transaction with higher gas limit for testnet
-      const tx = await tokenContract.transfer(toAddress, amountInTokenUnits, {
-        gasLimit: 250000 // Higher gas limit for testnet transactions
-      });
-      
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      const request = await this.buildTransferRequest(tokenSymbol, toAddress, amountInTokenUnits);
+      const tx = await this.submit(request, options.speed);
+      this.balanceCache.invalidate(this.chainId, [this.wallet.address, toAddress]);
       
+      // Confirmation is followed up by the transaction tracker
       return {
-        transactionHash: receipt.transactionHash,
+        transactionHash: tx.hash,
         from: this.wallet.address,
         to: toAddress,
         amount,
         token: tokenSymbol,
-        blockNumber: receipt.blockNumber,
-        network: 'testnet'
+        nonce: tx.nonce,
+        speed: options.speed || DEFAULT_SPEED,
+        ...(await this.describeNetwork())
       };
     } catch (error) {
       console.error(`Error sending ${tokenSymbol}:`, error);
-      throw new Error(`Failed to send ${tokenSymbol}: ${error.message || 'Transaction error'}`);
+      throw fromEthersError(error, `Failed to send ${tokenSymbol}`);
     }
   }
   
   /**
-   * Send ETH to an address
+   * Send the chain's native currency (ETH on Ethereum) to an address
    * @param {string} toAddress - Recipient address
    * @param {string} amount - Amount as a string in ETH (e.g., "0.1")
-   * @returns {Promise<Object>} - Transaction receipt
+   * @param {Object} [options] - Send options
+   * @param {string} [options.speed] - Fee tier: slow, normal (default) or fast
+   * @returns {Promise<Object>} - Submitted transaction; it is not yet mined
    */
-  async sendEth(toAddress, amount) {
+  async sendEth(toAddress, amount, options = {}) {
     // Validate address
     if (!ethers.utils.isAddress(toAddress)) {
-      throw new Error('Invalid Ethereum address');
+      throw new InvalidRequestError('Invalid Ethereum address', { code: ERROR_CODES.INVALID_ADDRESS });
     }
     
+    const symbol = this.nativeSymbol;
+    
     try {
       // Convert amount to wei
-      const amountInWei = ethers.utils.parseEther(amount);
+      const amountInWei = this.parseTokenAmount(amount, 18, symbol);
       
       // Check balance
       const balance = await this.provider.getBalance(this.wallet.address);
       if (balance.lt(amountInWei)) {
-        throw new Error('Insufficient ETH balance');
+        throw new InsufficientFundsError(`Insufficient ${symbol} balance`);
       }
       
-      // Create transaction with higher gas limit for testnet
-      const tx = await this.wallet.sendTransaction({
-        to: toAddress,
-        value: amountInWei,
-        gasLimit: 250000 // Higher gas limit for testnet transactions
-      });
-      
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      const tx = await this.submit({ to: toAddress, value: amountInWei }, options.speed);
+      this.balanceCache.invalidate(this.chainId, [this.wallet.address, toAddress]);
       
+      // Confirmation is followed up by the transaction tracker
       return {
-        transactionHash: receipt.transactionHash,
+        transactionHash: tx.hash,
         from: this.wallet.address,
         to: toAddress,
         amount,
-        token: 'ETH',
-        blockNumber: receipt.blockNumber,
-        network: 'testnet'
+        token: symbol,
+        nonce: tx.nonce,
+        speed: options.speed || DEFAULT_SPEED,
+        ...(await this.describeNetwork())
       };
     } catch (error) {
-      console.error('Error sending ETH:', error);
-      throw new Error(`Failed to send ETH: ${error.message || 'Transaction error'}`);
+      console.error(`Error sending ${symbol}:`, error);
+      throw fromEthersError(error, `Failed to send ${symbol}`);
     }
   }
   
   /**
-   * Get balance of a specific token
-   * @param {string} tokenSymbol - Token symbol (e.g., "MTK")
-   * @param {string} [address] - Address to check (defaults to wallet address)
-   * @returns {Promise<Object>} - Balance info
+   * Build the unsigned transaction for a transfer
+   * @param {string} tokenSymbol - Registered token symbol
+   * @param {string} toAddress - Recipient address
+   * @param {ethers.BigNumber} amountInTokenUnits - Amount in the token's smallest unit
+   * @returns {Promise<Object>} - Transaction request with to, data and value
    */
-  async getTokenBalance(tokenSymbol, address = null) {
-    const targetAddress = address || this.wallet.address;
+  async buildTransferRequest(tokenSymbol, toAddress, amountInTokenUnits) {
+    if (this.isNativeToken(tokenSymbol)) {
+      return { to: toAddress, value: amountInTokenUnits };
+    }
     
-    try {
-      // Handle ETH balance
-      if (tokenSymbol === 'ETH') {
-        const balanceWei = await this.provider.getBalance(targetAddress);
-        const balanceEth = ethers.utils.formatEther(balanceWei);
-        
-        return {
-          token: 'ETH',
-          balance: balanceEth,
-          balanceRaw: balanceWei.toString(),
-          decimals: 18,
-          network: 'testnet'
-        };
-      }
-      
-      // Get token contract
-      const tokenAddress = this.getTokenAddress(tokenSymbol);
-      if (!tokenAddress) {
-        throw new Error(`Unsupported token: ${tokenSymbol}`);
+    const tokenContract = new ethers.Contract(this.getTokenAddress(tokenSymbol), ERC20_ABI, this.wallet);
+    return tokenContract.populateTransaction.transfer(toAddress, amountInTokenUnits);
+  }
+  
+  /**
+   * Estimate the gas a transaction needs, plus a safety margin
+   * @param {Object} request - Transaction request
+   * @returns {Promise<ethers.BigNumber>} - Gas limit
+   */
+  async estimateGasLimit(request) {
+    const estimate = await this.provider.estimateGas({ ...request, from: this.wallet.address });
+    return estimate.mul(100 + GAS_LIMIT_MARGIN_PERCENT).div(100);
+  }
+  
+  /**
+   * Estimate gas, choose fees for a speed tier and broadcast with the account's next nonce
+   * @param {Object} request - Transaction request with to, data and value
+   * @param {string} [speed] - Fee tier: slow, normal (default) or fast
+   * @returns {Promise<Object>} - Sent transaction
+   */
+  async submit(request, speed = DEFAULT_SPEED) {
+    const [gasLimit, fees] = await Promise.all([
+      this.estimateGasLimit(request),
+      this.feeOracle.getFees(speed)
+    ]);
+    
+    // The base fee is informational; the network sets it
+    const { baseFeePerGas, ...feeFields } = fees;
+    
+    return this.nonceManager.send(this.wallet, this.chainId, (nonce) =>
+      this.wallet.sendTransaction({ ...request, gasLimit, ...feeFields, nonce })
+    );
+  }
+  
+  /**
+   * Rebroadcast a pending transaction with higher fees so it gets mined sooner
+   * @param {string} txHash - Hash of the pending transaction
+   * @returns {Promise<Object>} - Submitted replacement; it is not yet mined
+   */
+  async speedUp(txHash) {
+    return this.replaceTransaction(txHash, (original) => ({
+      to: original.to,
+      data: original.data,
+      value: original.value,
+      gasLimit: original.gasLimit
+    }));
+  }
+  
+  /**
+   * Cancel a pending transaction by replacing it with an empty transfer to ourselves
+   * @param {string} txHash - Hash of the pending transaction
+   * @returns {Promise<Object>} - Submitted replacement; it is not yet mined
+   */
+  async cancel(txHash) {
+    return this.replaceTransaction(txHash, () => ({
+      to: this.wallet.address,
+      data: '0x',
+      value: 0,
+      gasLimit: 21000
+    }));
+  }
+  
+  /**
+   * Broadcast a transaction that reuses a pending transaction's nonce with higher fees
+   * @param {string} txHash - Hash of the pending transaction
+   * @param {Function} buildRequest - Builds the replacement's to, data, value and gasLimit from the original
+   * @returns {Promise<Object>} - Submitted replacement
+   */
+  async replaceTransaction(txHash, buildRequest) {
+    const original = await this.provider.getTransaction(txHash);
+    
+    if (!original) {
+      throw new NotFoundError('Transaction not found on chain', { code: ERROR_CODES.TRANSACTION_NOT_FOUND });
+    }
+    if (original.blockNumber) {
+      throw new ConflictError('Transaction is already mined', { code: ERROR_CODES.TRANSACTION_ALREADY_MINED });
+    }
+    if (original.from.toLowerCase() !== this.wallet.address.toLowerCase()) {
+      throw new InvalidRequestError('Transaction was not sent by this wallet');
+    }
+    
+    const feeData = await this.provider.getFeeData();
+    const bump = (fee, current) => {
+      const bumped = fee.mul(100 + REPLACEMENT_FEE_BUMP_PERCENT).div(100);
+      return current && current.gt(bumped) ? current : bumped;
+    };
+    
+    const fees = original.type === 2
+      ? {
+        type: 2,
+        maxFeePerGas: bump(original.maxFeePerGas, feeData.maxFeePerGas),
+        maxPriorityFeePerGas: bump(original.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas)
       }
-      
-      const tokenContract = new ethers.Contract(
-        tokenAddress,
-        ERC20_ABI,
-        this.provider
+      : { gasPrice: bump(original.gasPrice, feeData.gasPrice) };
+    if (fees.maxFeePerGas && fees.maxFeePerGas.lt(fees.maxPriorityFeePerGas)) {
+      fees.maxFeePerGas = fees.maxPriorityFeePerGas;
+    }
+    
+    try {
+      const tx = await this.nonceManager.withLock(this.wallet, this.chainId, () =>
+        this.wallet.sendTransaction({ ...buildRequest(original), ...fees, nonce: original.nonce })
       );
-      
-      // Get token balance and decimals
-      const [balanceRaw, decimals] = await Promise.all([
-        tokenContract.balanceOf(targetAddress).catch(() => ethers.BigNumber.from(0)),
-        this.getTokenDecimals(tokenSymbol)
-      ]);
-      
-      // Format balance
-      const balance = ethers.utils.formatUnits(balanceRaw, decimals);
+      this.balanceCache.invalidate(this.chainId, [this.wallet.address, original.to]);
       
       return {
-        token: tokenSymbol,
-        balance,
-        balanceRaw: balanceRaw.toString(),
-        decimals,
-        network: 'testnet'
+        transactionHash: tx.hash,
+        replaces: txHash,
+        from: this.wallet.address,
+        nonce: tx.nonce,
+        ...(await this.describeNetwork())
       };
     } catch (error) {
-      console.error(`Error checking ${tokenSymbol} balance:`, error);
-      return {
-        token: tokenSymbol,
-        balance: '0',
-        error: error.message,
-        network: 'testnet'
-      };
+      if (isNonceConflict(error)) {
+        // Either the original was mined meanwhile or another replacement pays more
+        throw new ConflictError('Replacement rejected: the transaction was already mined or replaced with a higher fee', {
+          code: ERROR_CODES.REPLACEMENT_REJECTED
+        });
+      }
+      throw fromEthersError(error, 'Failed to replace the transaction');
     }
   }
   
   /**
-   * Get balances for multiple tokens
-   * @param {string[]} tokenSymbols - Array of token symbols
+   * Quote the network fee for sending tokens at every speed tier, without broadcasting anything
+   * @param {string} tokenSymbol - Token to send (e.g., "MTK")
+   * @param {string} toAddress - Recipient address
+   * @param {string} amount - Amount as a string (e.g., "5.5")
+   * @returns {Promise<Object>} - Gas limit and, per tier, fees and expected and maximum cost in the native currency
+   */
+  async quoteTransferCost(tokenSymbol, toAddress, amount) {
+    if (!ethers.utils.isAddress(toAddress)) {
+      throw new InvalidRequestError('Invalid Ethereum address', { code: ERROR_CODES.INVALID_ADDRESS });
+    }
+
+    tokenSymbol = this.resolveTokenSymbol(tokenSymbol);
+    if (!this.isNativeToken(tokenSymbol) && !this.getTokenAddress(tokenSymbol)) {
+      throw new InvalidRequestError(`Unsupported token: ${tokenSymbol}`, { code: ERROR_CODES.UNSUPPORTED_TOKEN });
+    }
+
+    const decimals = await this.getTokenDecimals(tokenSymbol);
+    const amountInTokenUnits = this.parseTokenAmount(amount, decimals, tokenSymbol);
+    const request = await this.buildTransferRequest(tokenSymbol, toAddress, amountInTokenUnits);
+
+    let gasLimit;
+    let gasEstimated = true;
+    try {
+      gasLimit = await this.estimateGasLimit(request);
+    } catch (error) {
+      // Estimation reverts when the wallet can't cover the amount; quote a typical limit instead
+      console.error(`Error estimating gas for ${tokenSymbol}:`, error.message);
+      gasLimit = ethers.BigNumber.from(FALLBACK_GAS_LIMIT);
+      gasEstimated = false;
+    }
+
+    const tiers = await this.feeOracle.getTiers();
+
+    return {
+      gasLimit: gasLimit.toString(),
+      gasEstimated,
+      costToken: this.nativeSymbol,
+      tiers: Object.fromEntries(
+        Object.entries(tiers).map(([speed, fees]) => [speed, this.describeFees(gasLimit, fees)])
+      )
+    };
+  }
+
+  /**
+   * Estimate the network fee for sending tokens at one speed tier
+   * @param {string} tokenSymbol - Token to send (e.g., "MTK")
+   * @param {string} toAddress - Recipient address
+   * @param {string} amount - Amount as a string (e.g., "5.5")
+   * @param {string} [speed] - Fee tier: slow, normal (default) or fast
+   * @returns {Promise<Object>} - Gas limit, fees, and expected and maximum cost in the native currency
+   */
+  async estimateTransferCost(tokenSymbol, toAddress, amount, speed = DEFAULT_SPEED) {
+    if (!FEE_SPEEDS.includes(speed)) {
+      throw new InvalidRequestError(`Unknown speed "${speed}". Use one of: ${FEE_SPEEDS.join(', ')}`);
+    }
+
+    const { tiers, ...quote } = await this.quoteTransferCost(tokenSymbol, toAddress, amount);
+    return { ...quote, speed, ...tiers[speed] };
+  }
+
+  /**
+   * Format a fee tier for responses
+   * @param {ethers.BigNumber} gasLimit - Gas limit
+   * @param {Object} fees - Fees from the fee oracle
+   * @returns {Object} - Fees in wei and costs in the native currency, as strings
+   */
+  describeFees(gasLimit, fees) {
+    if (!fees.maxFeePerGas) {
+      const cost = ethers.utils.formatEther(gasLimit.mul(fees.gasPrice));
+      return { gasPrice: fees.gasPrice.toString(), estimatedCost: cost, maxCost: cost };
+    }
+
+    // Expect to pay today's base fee plus the tip; the cap only matters if the base fee rises
+    const expectedPerGas = fees.baseFeePerGas.add(fees.maxPriorityFeePerGas);
+
+    return {
+      baseFeePerGas: fees.baseFeePerGas.toString(),
+      maxFeePerGas: fees.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+      estimatedCost: ethers.utils.formatEther(gasLimit.mul(expectedPerGas)),
+      maxCost: ethers.utils.formatEther(gasLimit.mul(fees.maxFeePerGas))
+    };
+  }
+
+  /**
+   * Get balance of a specific token
+   * @param {string} tokenSymbol - Token symbol (e.g., "MTK")
+   * @param {string} [address] - Address to check (defaults to wallet address)
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.fresh] - Read from the chain even if the balance is cached
+   * @returns {Promise<Object>} - Balance info, with a status of ok, stale or error
+   */
+  async getTokenBalance(tokenSymbol, address = null, options = {}) {
+    const [balance] = await this.getBalances([tokenSymbol], address, options);
+    return balance;
+  }
+  
+  /**
+   * Get balances for multiple tokens, read in one batched call. A balance that can't be
+   * read has status "error" and a null balance, or "stale" with the last known balance.
+   * @param {string[]} [tokenSymbols] - Array of token symbols (defaults to every token registered on this chain)
    * @param {string} [address] - Address to check (defaults to wallet address)
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.fresh] - Read from the chain even if the balances are cached
    * @returns {Promise<Object[]>} - Array of balance info objects
    */
-  async getBalances(tokenSymbols = ['ETH', 'MTK', 'USDC', 'DAI', 'USDT'], address = null) {
-    const balancePromises = tokenSymbols.map(symbol => 
-      this.getTokenBalance(symbol, address)
-        .catch(err => ({
-          token: symbol,
-          balance: '0',
-          error: err.message,
-          network: 'testnet'
-        }))
-    );
+  async getBalances(tokenSymbols = null, address = null, options = {}) {
+    const targetAddress = address || this.wallet.address;
+    const symbols = tokenSymbols || this.tokenRegistry.listTokens(this.chainId).map(token => token.symbol);
+    
+    const tokens = symbols.map(symbol => {
+      const token = this.getToken(symbol);
+      if (!token) {
+        throw new InvalidRequestError(`Unsupported token: ${symbol}`, { code: ERROR_CODES.UNSUPPORTED_TOKEN });
+      }
+      return token;
+    });
     
-    return Promise.all(balancePromises);
+    const [network, reads] = await Promise.all([
+      this.describeNetwork(),
+      this.balanceCache.read(this.chainId, targetAddress, tokens, (missing) => this.readBalances(targetAddress, missing), options)
+    ]);
+    
+    return tokens.map((token, i) => {
+      const { raw, status, asOf, error } = reads[i];
+      if (error) {
+        console.error(`Error checking ${token.symbol} balance:`, error);
+      }
+      
+      return {
+        token: token.symbol,
+        balance: raw === null ? null : ethers.utils.formatUnits(raw, token.decimals),
+        balanceRaw: raw,
+        decimals: token.decimals,
+        status,
+        asOf,
+        ...(error ? { error } : {}),
+        ...network
+      };
+    });
   }
-
+  
+  /**
+   * Read balances from the chain: one Multicall3 call for all tokens where the contract
+   * is deployed, otherwise one call per token
+   * @param {string} address - Address to check
+   * @param {Object[]} tokens - Registry tokens
+   * @returns {Promise<Object[]>} - { raw } or { error } per token, in order
+   */
+  async readBalances(address, tokens) {
+    try {
+      if (await this.multicall.isAvailable()) {
+        const calls = tokens.map(token => (token.address === NATIVE_ADDRESS
+          ? Multicall.nativeBalanceCall(address)
+          : { target: token.address, callData: erc20Interface.encodeFunctionData('balanceOf', [address]) }));
+        
+        const results = await this.multicall.aggregate(calls);
+        return results.map(({ success, returnData }, i) => {
+          // A call to an address without a contract "succeeds" with no data
+          if (!success || returnData === '0x') {
+            return { error: `balanceOf failed for ${tokens[i].symbol} at ${tokens[i].address}` };
+          }
+          return { raw: ethers.BigNumber.from(returnData).toString() };
+        });
+      }
+    } catch (error) {
+      throw fromEthersError(error);
+    }
+    
+    return Promise.all(tokens.map(async (token) => {
+      try {
+        const balance = token.address === NATIVE_ADDRESS
+          ? await this.provider.getBalance(address)
+          : await new ethers.Contract(token.address, ERC20_ABI, this.provider).balanceOf(address);
+        return { raw: balance.toString() };
+      } catch (error) {
+        return { error: fromEthersError(error).message };
+      }
+    }));
+  }
+  
   /**
    * Helper method to get the network information
    * @returns {Promise<Object>} - Network information
@@ -0,0 +1,113 @@
+// services/ensResolver.js
+const { ethers } = require('ethers');
+const { ContactRepository } = require('../models/Contact');
+const { RpcProvider, parseRpcUrls } = require('./rpcProvider');
+
+// ENS lives on Ethereum mainnet
+const ENS_CHAIN_ID = 1;
+
+// How often contacts saved from ENS names are re-resolved
+const REFRESH_INTERVAL_MINUTES = parseInt(process.env.ENS_REFRESH_INTERVAL_MINUTES, 10) || 60;
+
+// Contacts re-resolved per refresh
+const BATCH_SIZE = 50;
+
+/**
+ * Resolves ENS names to addresses and keeps contacts saved from an ENS name pointing
+ * at whatever the name currently resolves to. Resolution uses ENS_RPC_URL (one or more
+ * comma-separated URLs) if set, or else the registered Ethereum mainnet network.
+ */
+class EnsResolver {
+  /**
+   * @param {TokenRegistry} tokenRegistry - Finds the mainnet network
+   * @param {WalletRegistry} walletRegistry - Supplies the shared provider for it
+   */
+  constructor(tokenRegistry, walletRegistry) {
+    this.tokenRegistry = tokenRegistry;
+    this.walletRegistry = walletRegistry;
+    this.provider = process.env.ENS_RPC_URL
+      ? new RpcProvider(parseRpcUrls(process.env.ENS_RPC_URL), { chainId: ENS_CHAIN_ID })
+      : null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Get a provider connected to Ethereum mainnet
+   * @returns {ethers.providers.Provider}
+   */
+  getProvider() {
+    if (this.provider) return this.provider;
+
+    const network = this.tokenRegistry.resolveNetwork(ENS_CHAIN_ID);
+    if (!network || network.chainId !== ENS_CHAIN_ID || this.tokenRegistry.getRpcUrls(network).length === 0) {
+      throw new Error('ENS names need an Ethereum mainnet RPC URL; set ENS_RPC_URL or register chain 1');
+    }
+    return this.walletRegistry.getProvider(network);
+  }
+
+  /**
+   * Resolve an ENS name
+   * @param {string} ensName - Name such as "alice.eth"
+   * @returns {Promise<string>} - Checksummed address
+   */
+  async resolve(ensName) {
+    const address = await this.getProvider().resolveName(ensName);
+    if (!address) {
+      throw new Error(`ENS name "${ensName}" does not resolve to an address`);
+    }
+    return ethers.utils.getAddress(address);
+  }
+
+  /**
+   * Start refreshing contacts
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MINUTES * 60 * 1000);
+    this.timer.unref();
+    console.log(`ENS resolver started (refreshing every ${REFRESH_INTERVAL_MINUTES}m)`);
+  }
+
+  /**
+   * Stop refreshing contacts
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Re-resolve contacts that haven't been checked for a refresh interval. A name that
+   * stops resolving keeps its last address. Overlapping refreshes are skipped.
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const before = new Date(Date.now() - REFRESH_INTERVAL_MINUTES * 60 * 1000);
+      const contacts = await ContactRepository.findEnsDue(before, BATCH_SIZE);
+      for (const contact of contacts) {
+        try {
+          const address = await this.resolve(contact.ensName);
+          if (address !== contact.address) {
+            console.log(`Contact "${contact.name}" (${contact.ensName}) now resolves to ${address}, was ${contact.address}`);
+          }
+          await ContactRepository.recordEnsResolution(contact._id, contact.ensName, address);
+        } catch (error) {
+          console.error(`Error resolving ${contact.ensName} for contact "${contact.name}":`, error.message);
+          await ContactRepository.recordEnsResolution(contact._id, contact.ensName, null);
+        }
+      }
+    } catch (error) {
+      console.error('ENS resolver error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = EnsResolver;
@@ -0,0 +1,128 @@
+// services/feeOracle.js
+const { ethers } = require('ethers');
+const { InvalidRequestError } = require('../utlis/errors');
+
+// Speed tiers. Priority fees come from recent blocks at the given percentile; the fee cap
+// leaves room for the base fee to rise before the transaction is mined.
+const FEE_TIERS = {
+  slow: { rewardPercentile: 10, baseFeePercent: 125, legacyGasPricePercent: 90 },
+  normal: { rewardPercentile: 50, baseFeePercent: 200, legacyGasPricePercent: 100 },
+  fast: { rewardPercentile: 90, baseFeePercent: 250, legacyGasPricePercent: 125 }
+};
+
+const FEE_SPEEDS = Object.keys(FEE_TIERS);
+
+const DEFAULT_SPEED = 'normal';
+
+// Blocks of fee history sampled for priority fees
+const FEE_HISTORY_BLOCKS = 10;
+
+/**
+ * Median of a list of BigNumbers
+ * @param {ethers.BigNumber[]} values - Values
+ * @returns {ethers.BigNumber} - Median (zero for an empty list)
+ */
+function median(values) {
+  if (values.length === 0) return ethers.BigNumber.from(0);
+
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Chooses fees for each speed tier. Uses EIP-1559 fees when the chain supports them and
+ * falls back to a legacy gas price otherwise.
+ */
+class FeeOracle {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider for the chain
+   */
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Get fees for every speed tier
+   * @returns {Promise<Object>} - { slow, normal, fast }, each with maxFeePerGas, maxPriorityFeePerGas
+   *   and baseFeePerGas (EIP-1559) or gasPrice (legacy) as BigNumbers
+   */
+  async getTiers() {
+    const block = await this.provider.getBlock('latest');
+
+    if (!block.baseFeePerGas) {
+      const gasPrice = await this.provider.getGasPrice();
+      return this.mapTiers((tier) => ({
+        gasPrice: gasPrice.mul(tier.legacyGasPricePercent).div(100)
+      }));
+    }
+
+    const baseFeePerGas = block.baseFeePerGas;
+    const rewards = await this.getPriorityFees();
+
+    return this.mapTiers((tier, speed) => {
+      const maxPriorityFeePerGas = rewards[speed];
+      return {
+        type: 2,
+        baseFeePerGas,
+        maxPriorityFeePerGas,
+        maxFeePerGas: baseFeePerGas.mul(tier.baseFeePercent).div(100).add(maxPriorityFeePerGas)
+      };
+    });
+  }
+
+  /**
+   * Get fees for one speed tier
+   * @param {string} [speed] - slow, normal or fast
+   * @returns {Promise<Object>} - Fees as returned for that tier by getTiers
+   */
+  async getFees(speed = DEFAULT_SPEED) {
+    if (!FEE_TIERS[speed]) {
+      throw new InvalidRequestError(`Unknown speed "${speed}". Use one of: ${FEE_SPEEDS.join(', ')}`);
+    }
+
+    const tiers = await this.getTiers();
+    return tiers[speed];
+  }
+
+  /**
+   * Priority fees paid in recent blocks at each tier's percentile
+   * @returns {Promise<Object>} - BigNumber per speed
+   */
+  async getPriorityFees() {
+    const percentiles = FEE_SPEEDS.map(speed => FEE_TIERS[speed].rewardPercentile);
+
+    try {
+      const history = await this.provider.send('eth_feeHistory', [
+        ethers.utils.hexValue(FEE_HISTORY_BLOCKS),
+        'latest',
+        percentiles
+      ]);
+
+      const rewards = {};
+      FEE_SPEEDS.forEach((speed, i) => {
+        rewards[speed] = median(history.reward.map(blockRewards => ethers.BigNumber.from(blockRewards[i])));
+      });
+      return rewards;
+    } catch (error) {
+      // Some nodes don't serve fee history; scale the provider's suggestion instead
+      console.error('Error fetching fee history:', error.message);
+      const { maxPriorityFeePerGas } = await this.provider.getFeeData();
+      return this.mapTiers(tier => maxPriorityFeePerGas.mul(tier.legacyGasPricePercent).div(100));
+    }
+  }
+
+  /**
+   * Build an object with one entry per speed tier
+   * @param {Function} fn - Receives (tier, speed) and returns the entry
+   * @returns {Object} - { slow, normal, fast }
+   */
+  mapTiers(fn) {
+    return Object.fromEntries(FEE_SPEEDS.map(speed => [speed, fn(FEE_TIERS[speed], speed)]));
+  }
+}
+
+module.exports = {
+  FeeOracle,
+  FEE_SPEEDS,
+  DEFAULT_SPEED
+};
@@ -0,0 +1,194 @@
+// services/healthMonitor.js
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const { fromEthersError } = require('../utlis/errors');
+
+// Reports are reused for this long, so a busy /health doesn't turn into RPC traffic
+const CACHE_SECONDS = parseInt(process.env.HEALTH_CACHE_SECONDS, 10) || 15;
+
+// A wallet holding less than this in the native currency can't be relied on to pay gas
+const MIN_GAS_BALANCE = process.env.MIN_GAS_BALANCE || '0.01';
+
+// An endpoint this many blocks behind the others is lagging
+const MAX_BLOCK_LAG = parseInt(process.env.HEALTH_MAX_BLOCK_LAG, 10) || 5;
+
+// A head block older than this means the chain, or every endpoint, has stalled
+const MAX_BLOCK_AGE_SECONDS = parseInt(process.env.HEALTH_MAX_BLOCK_AGE_SECONDS, 10) || 300;
+
+const HEALTH_STATUS = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+};
+
+// mongoose.connection.readyState values
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Checks what EchoPay depends on: MongoDB, every endpoint of every network with RPC
+ * URLs (reachability, head block and how far each lags), and the gas balance of every
+ * managed wallet. The service is "down" when MongoDB or the default network is
+ * unreachable, and "degraded" when anything else needs attention.
+ */
+class HealthMonitor {
+  /**
+   * @param {TokenRegistry} tokenRegistry - Networks to check
+   * @param {WalletRegistry} walletRegistry - Providers and managed wallets
+   */
+  constructor(tokenRegistry, walletRegistry) {
+    this.tokenRegistry = tokenRegistry;
+    this.walletRegistry = walletRegistry;
+    this.report = null;
+    this.checkedAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Get a health report, checking again once the last one is older than the cache time
+   * @returns {Promise<Object>} - { status, checkedAt, mongodb, networks, wallets }
+   */
+  async check() {
+    if (this.report && Date.now() - this.checkedAt < CACHE_SECONDS * 1000) {
+      return this.report;
+    }
+
+    // Requests arriving during a check wait for it instead of starting their own
+    if (!this.pending) {
+      this.pending = this.run()
+        .then(report => {
+          this.report = report;
+          this.checkedAt = Date.now();
+          return report;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Check everything now
+   * @returns {Promise<Object>}
+   */
+  async run() {
+    const mongodb = { status: MONGO_STATES[mongoose.connection.readyState] || 'unknown' };
+    const networks = await Promise.all(
+      this.tokenRegistry.listNetworks()
+        .filter(network => this.tokenRegistry.getRpcUrls(network).length > 0)
+        .map(network => this.checkNetwork(network))
+    );
+    // Managed wallets are listed from MongoDB
+    const wallets = mongodb.status === 'connected'
+      ? await this.checkWallets(networks.filter(network => network.status !== HEALTH_STATUS.DOWN))
+      : [];
+
+    const defaultNetwork = networks.find(network => network.chainId === this.tokenRegistry.getDefaultNetwork().chainId);
+    let status = HEALTH_STATUS.OK;
+    if (mongodb.status !== 'connected' || !defaultNetwork || defaultNetwork.status === HEALTH_STATUS.DOWN) {
+      status = HEALTH_STATUS.DOWN;
+    } else if (networks.some(network => network.status !== HEALTH_STATUS.OK) ||
+      wallets.some(wallet => wallet.status !== HEALTH_STATUS.OK)) {
+      status = HEALTH_STATUS.DEGRADED;
+    }
+
+    return { status, checkedAt: new Date(), mongodb, networks, wallets };
+  }
+
+  /**
+   * Check every endpoint of a network and how current its head block is
+   * @param {Object} network - Network from the token registry
+   * @returns {Promise<Object>}
+   */
+  async checkNetwork(network) {
+    const provider = this.walletRegistry.getProvider(network);
+    const endpoints = await provider.checkEndpoints();
+    const up = endpoints.filter(endpoint => endpoint.status === 'up');
+    const result = { chainId: network.chainId, name: network.name, status: HEALTH_STATUS.DOWN, endpoints };
+    if (up.length === 0) return result;
+
+    result.blockNumber = Math.max(...up.map(endpoint => endpoint.blockNumber));
+    for (const endpoint of up) {
+      endpoint.lagBlocks = result.blockNumber - endpoint.blockNumber;
+    }
+
+    try {
+      const block = await provider.getBlock(result.blockNumber);
+      result.blockAgeSeconds = Math.max(0, Math.floor(Date.now() / 1000) - block.timestamp);
+    } catch (error) {
+      result.blockAgeSeconds = null;
+    }
+
+    const lagging = up.some(endpoint => endpoint.lagBlocks > MAX_BLOCK_LAG);
+    const stale = result.blockAgeSeconds === null || result.blockAgeSeconds > MAX_BLOCK_AGE_SECONDS;
+    result.status = up.length < endpoints.length || lagging || stale ? HEALTH_STATUS.DEGRADED : HEALTH_STATUS.OK;
+    return result;
+  }
+
+  /**
+   * Check that every managed wallet can pay for gas on every reachable network
+   * @param {Object[]} networks - Network results from checkNetwork
+   * @returns {Promise<Object[]>}
+   */
+  async checkWallets(networks) {
+    let managed;
+    try {
+      managed = await this.walletRegistry.listManagedAddresses();
+    } catch (error) {
+      console.error('Error listing wallets for the health check:', error.message);
+      return [];
+    }
+    const minimum = ethers.utils.parseEther(MIN_GAS_BALANCE);
+
+    const checks = [];
+    for (const { chainId } of networks) {
+      const network = this.tokenRegistry.resolveNetwork(chainId);
+      const provider = this.walletRegistry.getProvider(network);
+
+      for (const wallet of managed) {
+        checks.push((async () => {
+          const result = {
+            owner: wallet.owner,
+            account: wallet.account,
+            address: wallet.address,
+            chainId,
+            network: network.name,
+            symbol: network.nativeSymbol || 'ETH'
+          };
+          try {
+            const balance = await provider.getBalance(wallet.address);
+            result.balance = ethers.utils.formatEther(balance);
+            result.status = balance.lt(minimum) ? 'low' : HEALTH_STATUS.OK;
+          } catch (error) {
+            result.status = 'unknown';
+            result.error = fromEthersError(error).message;
+          }
+          return result;
+        })());
+      }
+    }
+    return Promise.all(checks);
+  }
+
+  /**
+   * Reduce a report to what anyone may see: wallets become counts, without addresses
+   * @param {Object} report - Report from check
+   * @returns {Object}
+   */
+  static summarize(report) {
+    const { wallets, ...rest } = report;
+    return {
+      ...rest,
+      wallets: {
+        checked: wallets.length,
+        low: wallets.filter(wallet => wallet.status === 'low').length,
+        unknown: wallets.filter(wallet => wallet.status === 'unknown').length
+      }
+    };
+  }
+}
+
+module.exports = {
+  HealthMonitor,
+  HEALTH_STATUS
+};
@@ -0,0 +1,149 @@
+// services/keystoreService.js
+const { ethers } = require('ethers');
+const { WalletAccountRepository, ACCOUNT_SOURCES } = require('../models/WalletAccount');
+const { ERROR_CODES, InvalidRequestError, ServiceUnavailableError } = require('../utlis/errors');
+
+// Standard Ethereum derivation path; the last segment is the account index
+const HD_PATH_PREFIX = "m/44'/60'/0'/0/";
+
+// Passwords chosen by users for exported keystores
+const MIN_EXPORT_PASSWORD_LENGTH = 8;
+
+/**
+ * Creates, imports, derives and exports encrypted JSON keystores. Keystores are
+ * stored encrypted with the server's KEYSTORE_PASSWORD; private keys and mnemonics
+ * are never persisted, logged or returned.
+ */
+class KeystoreService {
+  constructor(masterPassword) {
+    this.masterPassword = masterPassword;
+  }
+
+  /**
+   * Make sure a master password is configured before touching keystores
+   */
+  assertConfigured() {
+    if (!this.masterPassword) {
+      throw new ServiceUnavailableError('KEYSTORE_PASSWORD is not configured', { code: ERROR_CODES.NOT_CONFIGURED });
+    }
+  }
+
+  /**
+   * Encrypt a wallet with the master password and store it as a named account
+   * @param {string} ownerId - ID of the user who owns the account
+   * @param {string} name - Account name
+   * @param {ethers.Wallet} wallet - Wallet to store
+   * @param {string} source - How the key was obtained (see ACCOUNT_SOURCES)
+   * @param {string} [derivationPath] - HD path, for derived accounts
+   * @returns {Promise<Object>} - Created account
+   */
+  async store(ownerId, name, wallet, source, derivationPath) {
+    this.assertConfigured();
+
+    const keystore = await wallet.encrypt(this.masterPassword);
+
+    return WalletAccountRepository.create(ownerId, {
+      name,
+      address: wallet.address,
+      keystore,
+      source,
+      derivationPath
+    });
+  }
+
+  /**
+   * Create an account with a new random key
+   * @param {string} ownerId - ID of the user who owns the account
+   * @param {string} name - Account name
+   * @returns {Promise<Object>} - Created account
+   */
+  async createAccount(ownerId, name) {
+    return this.store(ownerId, name, ethers.Wallet.createRandom(), ACCOUNT_SOURCES.CREATED);
+  }
+
+  /**
+   * Import a JSON keystore encrypted with its own password
+   * @param {string} ownerId - ID of the user who owns the account
+   * @param {string} name - Account name
+   * @param {string|Object} keystore - JSON keystore
+   * @param {string} password - Password the keystore is encrypted with
+   * @returns {Promise<Object>} - Created account
+   */
+  async importKeystore(ownerId, name, keystore, password) {
+    this.assertConfigured();
+
+    const json = typeof keystore === 'string' ? keystore : JSON.stringify(keystore);
+
+    let wallet;
+    try {
+      wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    } catch (error) {
+      // Don't echo ethers' message; it can include parts of the keystore
+      throw new InvalidRequestError('Invalid keystore or password', { code: ERROR_CODES.INVALID_KEYSTORE });
+    }
+
+    return this.store(ownerId, name, wallet, ACCOUNT_SOURCES.IMPORTED);
+  }
+
+  /**
+   * Derive accounts from a BIP-39 mnemonic. The mnemonic itself is not stored.
+   * @param {string} ownerId - ID of the user who owns the accounts
+   * @param {string} name - Account name; "-<index>" is appended when deriving several
+   * @param {string} mnemonic - BIP-39 mnemonic phrase
+   * @param {Object} [options] - Derivation options
+   * @param {number} [options.startIndex] - First account index (default 0)
+   * @param {number} [options.count] - Number of accounts to derive (default 1, max 20)
+   * @returns {Promise<Array>} - Created accounts
+   */
+  async deriveHdAccounts(ownerId, name, mnemonic, { startIndex = 0, count = 1 } = {}) {
+    this.assertConfigured();
+
+    const phrase = (mnemonic || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!ethers.utils.isValidMnemonic(phrase)) {
+      throw new InvalidRequestError('Invalid mnemonic', { code: ERROR_CODES.INVALID_KEYSTORE });
+    }
+
+    const first = parseInt(startIndex, 10) || 0;
+    const total = Math.min(Math.max(parseInt(count, 10) || 1, 1), 20);
+
+    const accounts = [];
+    for (let index = first; index < first + total; index++) {
+      const path = HD_PATH_PREFIX + index;
+      const wallet = ethers.Wallet.fromMnemonic(phrase, path);
+      const accountName = total > 1 ? `${name}-${index}` : name;
+
+      // Re-wrap the bare key so the keystore doesn't carry the mnemonic along
+      const keyOnly = new ethers.Wallet(wallet.privateKey);
+      accounts.push(await this.store(ownerId, accountName, keyOnly, ACCOUNT_SOURCES.HD, path));
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Decrypt an account's keystore
+   * @param {Object} account - WalletAccount document
+   * @returns {Promise<ethers.Wallet>} - Unlocked wallet
+   */
+  async unlock(account) {
+    this.assertConfigured();
+    return ethers.Wallet.fromEncryptedJson(account.keystore, this.masterPassword);
+  }
+
+  /**
+   * Export an account as a JSON keystore encrypted with a password chosen by the user
+   * @param {Object} account - WalletAccount document
+   * @param {string} password - Password for the exported keystore
+   * @returns {Promise<string>} - JSON keystore
+   */
+  async exportKeystore(account, password) {
+    if (!password || password.length < MIN_EXPORT_PASSWORD_LENGTH) {
+      throw new InvalidRequestError(`Export password must be at least ${MIN_EXPORT_PASSWORD_LENGTH} characters`);
+    }
+
+    const wallet = await this.unlock(account);
+    return wallet.encrypt(password);
+  }
+}
+
+module.exports = KeystoreService;
@@ -0,0 +1,69 @@
+// services/multicall.js
+const { ethers } = require('ethers');
+
+// Multicall3 is deployed at the same address on most EVM chains
+const MULTICALL3_ADDRESS = process.env.MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+/**
+ * Batches contract reads into one eth_call through Multicall3. Each call may fail on its
+ * own without failing the others. Chains where the contract isn't deployed are detected
+ * once, so callers can fall back to separate calls.
+ */
+class Multicall {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider for the chain
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.contract = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    this.available = null;
+  }
+
+  /**
+   * Check whether Multicall3 is deployed on this chain; the answer is kept
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    if (this.available === null) {
+      const code = await this.provider.getCode(MULTICALL3_ADDRESS);
+      this.available = code !== '0x';
+    }
+    return this.available;
+  }
+
+  /**
+   * Run several read-only calls in one request
+   * @param {Object[]} calls - { target, callData }
+   * @returns {Promise<Object[]>} - { success, returnData } per call, in order
+   */
+  async aggregate(calls) {
+    const results = await this.contract.callStatic.aggregate3(
+      calls.map(({ target, callData }) => ({ target, allowFailure: true, callData }))
+    );
+    return results.map(({ success, returnData }) => ({ success, returnData }));
+  }
+
+  /**
+   * Encode a native-currency balance lookup, for batching with token calls
+   * @param {string} address - Account to look up
+   * @returns {Object} - { target, callData }
+   */
+  static nativeBalanceCall(address) {
+    return {
+      target: MULTICALL3_ADDRESS,
+      callData: multicallInterface.encodeFunctionData('getEthBalance', [address])
+    };
+  }
+}
+
+module.exports = {
+  Multicall,
+  MULTICALL3_ADDRESS
+};
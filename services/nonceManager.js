@@ -0,0 +1,103 @@
+// services/nonceManager.js
+
+// Attempts per send before a nonce error is given up on
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Classify errors that mean the chosen nonce was already taken
+ * @param {Error} error - Error from broadcasting a transaction
+ * @returns {boolean} - True for "nonce too low" and "replacement underpriced" style errors
+ */
+function isNonceConflict(error) {
+  if (error.code === 'NONCE_EXPIRED' || error.code === 'REPLACEMENT_UNDERPRICED') {
+    return true;
+  }
+
+  // "already known" is not a conflict: the node already has this very transaction, and
+  // retrying it under a new nonce would send the payment twice
+  const message = String(error.message || '').toLowerCase();
+  return message.includes('nonce too low') ||
+    message.includes('nonce has already been used') ||
+    message.includes('replacement transaction underpriced');
+}
+
+/**
+ * Hands out nonces for each account on each chain so concurrent sends never collide.
+ * Sends from the same account are pipelined: assigning the nonce and broadcasting run one
+ * at a time, but nobody waits for the previous transaction to be mined. Nonces are tracked
+ * in memory and resynced from the chain after a conflict or a failed broadcast.
+ */
+class NonceManager {
+  constructor() {
+    this.accounts = new Map();
+  }
+
+  /**
+   * Get the state for one account on one chain
+   * @param {ethers.Wallet} wallet - Signing wallet
+   * @param {number} chainId - Chain ID
+   * @returns {Object} - { next, queue }
+   */
+  getAccount(wallet, chainId) {
+    const key = `${chainId}:${wallet.address}`;
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, { next: null, queue: Promise.resolve() });
+    }
+    return this.accounts.get(key);
+  }
+
+  /**
+   * Run a function while holding an account's lock
+   * @param {ethers.Wallet} wallet - Signing wallet
+   * @param {number} chainId - Chain ID
+   * @param {Function} fn - Receives the account state; may be async
+   * @returns {Promise<*>} - Whatever fn returns
+   */
+  withLock(wallet, chainId, fn) {
+    const account = this.getAccount(wallet, chainId);
+    const run = account.queue.then(() => fn(account));
+    account.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Broadcast a new transaction with the account's next nonce
+   * @param {ethers.Wallet} wallet - Signing wallet, connected to the chain's provider
+   * @param {number} chainId - Chain ID
+   * @param {Function} sendWithNonce - Broadcasts using the given nonce and resolves to the sent transaction
+   * @returns {Promise<Object>} - Sent transaction
+   */
+  send(wallet, chainId, sendWithNonce) {
+    return this.withLock(wallet, chainId, async (account) => {
+      for (let attempt = 1; ; attempt++) {
+        if (account.next === null) {
+          account.next = await wallet.getTransactionCount('pending');
+        }
+
+        const nonce = account.next;
+        try {
+          const tx = await sendWithNonce(nonce);
+          account.next = nonce + 1;
+          return tx;
+        } catch (error) {
+          if (isNonceConflict(error) && attempt < MAX_ATTEMPTS) {
+            // Someone else used the nonce (another process, or a transaction sent outside EchoPay)
+            const pending = await wallet.getTransactionCount('pending');
+            account.next = Math.max(pending, nonce + 1);
+            console.log(`Nonce ${nonce} for ${wallet.address} was taken, retrying with ${account.next}`);
+            continue;
+          }
+
+          // Resync next time so a failed broadcast never leaves a gap
+          account.next = null;
+          throw error;
+        }
+      }
+    });
+  }
+}
+
+module.exports = {
+  NonceManager,
+  isNonceConflict
+};
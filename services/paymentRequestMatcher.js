@@ -0,0 +1,83 @@
+// services/paymentRequestMatcher.js
+const { PaymentRequestRepository } = require('../models/PaymentRequest');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+
+// How often overdue requests are expired
+const POLL_INTERVAL_SECONDS = parseInt(process.env.PAYMENT_REQUEST_POLL_INTERVAL_SECONDS, 10) || 30;
+
+/**
+ * Marks payment requests paid as incoming transfers arrive. The transfer watcher hands
+ * over each new transfer; it matches the oldest request that is in the same token, to
+ * the same wallet, from the named payer (if any), made before the transfer was mined and
+ * unexpired at its block time, preferring one for exactly the amount received over one
+ * for less. A transfer can only ever pay one request.
+ * Open requests past their expiry are expired on a timer.
+ */
+class PaymentRequestMatcher {
+  /**
+   * @param {WebhookDispatcher} webhookDispatcher - Notifies the requester when a request is paid
+   */
+  constructor(webhookDispatcher) {
+    this.webhookDispatcher = webhookDispatcher;
+    this.timer = null;
+  }
+
+  /**
+   * Start expiring overdue requests
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.expire(), POLL_INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+    console.log(`Payment request matcher started (expiring every ${POLL_INTERVAL_SECONDS}s)`);
+  }
+
+  /**
+   * Stop expiring requests
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Expire open requests whose time is up
+   * @returns {Promise<void>}
+   */
+  async expire() {
+    try {
+      const expired = await PaymentRequestRepository.expireOverdue();
+      if (expired > 0) {
+        console.log(`Expired ${expired} payment requests`);
+      }
+    } catch (error) {
+      console.error('Payment request matcher error:', error.message);
+    }
+  }
+
+  /**
+   * Mark the request an incoming transfer pays, if any
+   * @param {Object} transfer - IncomingTransfer document
+   * @returns {Promise<Object|null>} - Request marked paid, or null if the transfer matched none
+   */
+  async handleTransfer(transfer) {
+    const request = await PaymentRequestRepository.findMatch(transfer);
+    if (!request) return null;
+
+    const paid = await PaymentRequestRepository.markPaid(request._id, {
+      txHash: transfer.txHash,
+      from: transfer.from,
+      amountRaw: transfer.amountRaw,
+      blockNumber: transfer.blockNumber
+    });
+
+    if (paid) {
+      console.log(`Payment request ${paid._id} paid by ${transfer.txHash}`);
+      await this.webhookDispatcher.dispatch(paid.owner, WEBHOOK_EVENTS.PAYMENT_REQUEST_PAID, paid.toJSON());
+    }
+    return paid;
+  }
+}
+
+module.exports = PaymentRequestMatcher;
@@ -0,0 +1,162 @@
+// services/policyEngine.js
+const { ethers } = require('ethers');
+const { PolicyRepository } = require('../models/Policy');
+const { TransactionRepository } = require('../models/Transaction');
+const { ERROR_CODES, EchoPayError } = require('../utlis/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Machine-readable reasons a transfer can be rejected
+const VIOLATIONS = {
+  PER_TRANSACTION_CAP: 'PER_TRANSACTION_CAP_EXCEEDED',
+  DAILY_LIMIT: 'DAILY_LIMIT_EXCEEDED',
+  WEEKLY_LIMIT: 'WEEKLY_LIMIT_EXCEEDED',
+  NOT_ALLOWLISTED: 'RECIPIENT_NOT_ALLOWLISTED',
+  NEW_CONTACT_COOLDOWN: 'NEW_CONTACT_COOLDOWN'
+};
+
+/**
+ * Thrown when a transfer breaks one or more spending policies
+ */
+class PolicyViolationError extends EchoPayError {
+  constructor(violations) {
+    super(violations.map(violation => violation.message).join('; '), {
+      status: 403,
+      code: ERROR_CODES.POLICY_VIOLATION,
+      details: { violations }
+    });
+    this.violations = violations;
+  }
+}
+
+/**
+ * Evaluates a user's spending policy against a transfer before anything is signed
+ */
+class PolicyEngine {
+  /**
+   * Check a transfer against the sender's policy
+   * @param {Object} params - Transfer details
+   * @param {Object} params.user - Sending user
+   * @param {string} params.token - Token symbol
+   * @param {string} params.amount - Decimal amount
+   * @param {number} params.decimals - Token decimals
+   * @param {Object} params.contact - Recipient contact (name, address, createdAt)
+   * @param {string} [params.alsoSending] - Amount of earlier payments in the same batch, not yet in the ledger
+   * @param {string} [params.reservation] - Ledger ID of the transfer itself, when its amount is already reserved
+   * @returns {Promise<Object[]>} - Violations; empty when the transfer is allowed
+   */
+  static async evaluate({ user, token, amount, decimals, contact, alsoSending = '0', reservation }) {
+    const policy = await PolicyRepository.findForOwner(user._id);
+    const violations = [];
+    const value = ethers.utils.parseUnits(amount, decimals);
+
+    const cap = policy.perTransactionCaps.get(token);
+    if (cap && value.gt(ethers.utils.parseUnits(cap, decimals))) {
+      violations.push({
+        code: VIOLATIONS.PER_TRANSACTION_CAP,
+        message: `Sending ${amount} ${token} exceeds the per-transaction cap of ${cap} ${token}`,
+        token,
+        limit: cap
+      });
+    }
+
+    const windows = [
+      { code: VIOLATIONS.DAILY_LIMIT, label: 'daily', limit: policy.dailyLimits.get(token), days: 1 },
+      { code: VIOLATIONS.WEEKLY_LIMIT, label: 'weekly', limit: policy.weeklyLimits.get(token), days: 7 }
+    ];
+
+    for (const window of windows) {
+      if (!window.limit) continue;
+
+      const amounts = await TransactionRepository.findAmountsSince(
+        user._id,
+        token,
+        new Date(Date.now() - window.days * DAY_MS),
+        reservation
+      );
+      const spent = amounts.reduce(
+        (total, sent) => total.add(ethers.utils.parseUnits(sent, decimals)),
+        ethers.utils.parseUnits(alsoSending, decimals)
+      );
+
+      if (spent.add(value).gt(ethers.utils.parseUnits(window.limit, decimals))) {
+        violations.push({
+          code: window.code,
+          message: `Sending ${amount} ${token} exceeds the ${window.label} limit of ${window.limit} ${token}`,
+          token,
+          limit: window.limit,
+          spent: ethers.utils.formatUnits(spent, decimals)
+        });
+      }
+    }
+
+    if (policy.allowlistOnly && !policy.allowlist.includes(contact.address.toLowerCase())) {
+      violations.push({
+        code: VIOLATIONS.NOT_ALLOWLISTED,
+        message: `${contact.name} (${contact.address}) is not on the recipient allowlist`,
+        address: contact.address
+      });
+    }
+
+    // Contacts saved before contacts had timestamps are treated as established
+    if (policy.newContactCooldownMinutes > 0 && contact.createdAt) {
+      const availableAt = new Date(contact.createdAt.getTime() + policy.newContactCooldownMinutes * 60 * 1000);
+      if (availableAt > new Date()) {
+        violations.push({
+          code: VIOLATIONS.NEW_CONTACT_COOLDOWN,
+          message: `${contact.name} was added recently; payments are allowed from ${availableAt.toISOString()}`,
+          availableAt
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check every payment of a batch, counting earlier payments in the batch towards the limits
+   * @param {Object} params - Batch details
+   * @param {Object} params.user - Sending user
+   * @param {string} params.token - Token symbol
+   * @param {number} params.decimals - Token decimals
+   * @param {Object[]} params.payments - { amount, contact } per recipient
+   * @returns {Promise<Object[]>} - Violations, each tagged with the recipient's name; empty when all are allowed
+   */
+  static async evaluateBatch({ user, token, decimals, payments }) {
+    const violations = [];
+    let alsoSending = ethers.BigNumber.from(0);
+
+    for (const { amount, contact } of payments) {
+      const found = await PolicyEngine.evaluate({
+        user,
+        token,
+        amount,
+        decimals,
+        contact,
+        alsoSending: ethers.utils.formatUnits(alsoSending, decimals)
+      });
+      violations.push(...found.map(violation => ({ ...violation, recipient: contact.name })));
+      alsoSending = alsoSending.add(ethers.utils.parseUnits(amount, decimals));
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check a transfer and throw if it breaks the sender's policy
+   * @param {Object} params - Same as evaluate()
+   * @returns {Promise<void>}
+   */
+  static async enforce(params) {
+    const violations = await PolicyEngine.evaluate(params);
+    if (violations.length > 0) {
+      throw new PolicyViolationError(violations);
+    }
+  }
+}
+
+module.exports = {
+  PolicyEngine,
+  PolicyViolationError,
+  VIOLATIONS
+};
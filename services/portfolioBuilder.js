@@ -0,0 +1,84 @@
+// services/portfolioBuilder.js
+const { BALANCE_STATUS } = require('./balanceCache');
+const { fiatValue } = require('./priceSource');
+
+/**
+ * Values an address's holdings: the balance of every token registered on a network, each
+ * priced in a fiat currency, and the total. Balances that couldn't be read and tokens
+ * without a price are left out of the total and listed, so a partial total is never
+ * mistaken for a complete one.
+ */
+class PortfolioBuilder {
+  /**
+   * @param {Object|null} priceSource - Source with getPrice(symbol, currency, [date]), or null for no fiat values
+   */
+  constructor(priceSource) {
+    this.priceSource = priceSource;
+  }
+
+  /**
+   * Build the portfolio of an address
+   * @param {BlockchainService} service - Service for the network to read
+   * @param {string} address - Address whose holdings are valued
+   * @param {string|null} currency - Fiat currency code, or null for balances only
+   * @returns {Promise<Object>} - { balances, total }
+   */
+  async build(service, address, currency) {
+    const balances = await service.getBalances(null, address);
+    if (!currency) {
+      return { balances, total: null };
+    }
+
+    const excluded = [];
+    let total = 0;
+    for (const balance of balances) {
+      balance.price = null;
+      balance.value = null;
+
+      if (balance.balance === null) {
+        excluded.push({ token: balance.token, reason: 'balance unavailable' });
+        continue;
+      }
+      // Nothing held is worth nothing, whatever the price; skip the lookup
+      if (Number(balance.balance) === 0) {
+        balance.value = fiatValue('0', 0);
+        continue;
+      }
+
+      balance.price = await this.getPrice(balance.token, currency);
+      if (balance.price === null) {
+        excluded.push({ token: balance.token, reason: 'no price' });
+        continue;
+      }
+      balance.value = fiatValue(balance.balance, balance.price);
+      total += Number(balance.value);
+    }
+
+    return {
+      balances,
+      total: {
+        currency,
+        value: total.toFixed(2),
+        complete: excluded.length === 0 && balances.every(balance => balance.status === BALANCE_STATUS.OK),
+        excluded
+      }
+    };
+  }
+
+  /**
+   * Get a token's current price; a price that can't be found leaves the token unvalued
+   * @param {string} symbol - Token symbol
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<number|null>}
+   */
+  async getPrice(symbol, currency) {
+    try {
+      return await this.priceSource.getPrice(symbol, currency);
+    } catch (error) {
+      console.error(`Error getting the ${currency} price of ${symbol}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = PortfolioBuilder;
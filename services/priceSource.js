@@ -0,0 +1,204 @@
+// services/priceSource.js
+const fs = require('fs');
+
+// CoinGecko coin IDs for common symbols; extend with COINGECKO_IDS="SYMBOL:id,..."
+const COINGECKO_IDS = {
+  ETH: 'ethereum',
+  WETH: 'weth',
+  POL: 'polygon-ecosystem-token',
+  MATIC: 'matic-network',
+  BNB: 'binancecoin',
+  AVAX: 'avalanche-2',
+  USDC: 'usd-coin',
+  USDT: 'tether',
+  DAI: 'dai',
+  WBTC: 'wrapped-bitcoin',
+  LINK: 'chainlink'
+};
+
+const COINGECKO_API_URL = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+
+// How long CoinGecko has to answer
+const TIMEOUT_SECONDS = 10;
+
+// Current prices are reused for this long
+const CURRENT_PRICE_SECONDS = parseInt(process.env.PRICE_CACHE_SECONDS, 10) || 60;
+
+/**
+ * Format a date as the UTC day it falls on
+ * @param {Date} date - Point in time
+ * @returns {string} - YYYY-MM-DD
+ */
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Multiply a decimal amount by a price and round to cents
+ * @param {string|null} amount - Decimal amount
+ * @param {number|null} price - Price of one unit
+ * @returns {string|null}
+ */
+function fiatValue(amount, price) {
+  if (amount === null || price === null) return null;
+  return (Number(amount) * price).toFixed(2);
+}
+
+/**
+ * Prices from a local JSON file, for tests, offline setups and tokens no price feed
+ * knows. The file maps currency to symbol to either a fixed price or prices by UTC day:
+ * { "usd": { "USDC": 1, "ETH": { "2026-10-01": 2450.12, "2026-10-02": 2471.3 } } }
+ * A day without a price uses the closest earlier day.
+ */
+class FixturePriceSource {
+  /**
+   * @param {Object} prices - Parsed fixture
+   */
+  constructor(prices) {
+    this.name = 'fixture';
+    this.prices = {};
+    for (const [currency, symbols] of Object.entries(prices)) {
+      this.prices[currency.toLowerCase()] = {};
+      for (const [symbol, price] of Object.entries(symbols)) {
+        this.prices[currency.toLowerCase()][symbol.toUpperCase()] = price;
+      }
+    }
+  }
+
+  /**
+   * Load a fixture file
+   * @param {string} file - Path to the JSON file
+   * @returns {FixturePriceSource}
+   */
+  static fromFile(file) {
+    return new FixturePriceSource(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Get the price of a token on a day
+   * @param {string} symbol - Token symbol
+   * @param {string} currency - Fiat currency code, e.g. "usd"
+   * @param {Date} [date] - When the price applies (defaults to now)
+   * @returns {Promise<number|null>} - Price of one token, or null if the fixture has none
+   */
+  async getPrice(symbol, currency, date = new Date()) {
+    const price = (this.prices[currency.toLowerCase()] || {})[symbol.toUpperCase()];
+    if (price === undefined || price === null) return null;
+    if (typeof price === 'number') return price;
+
+    const day = utcDay(date);
+    const earlier = Object.keys(price).filter(key => key <= day).sort();
+    return earlier.length > 0 ? price[earlier[earlier.length - 1]] : null;
+  }
+}
+
+/**
+ * Prices from CoinGecko. Past prices are daily, for 00:00 UTC, and are kept in memory
+ * since they don't change once the day is over. Current prices are kept for
+ * PRICE_CACHE_SECONDS (default 60). Set COINGECKO_API_KEY to use a demo or pro key.
+ */
+class CoinGeckoPriceSource {
+  constructor() {
+    this.name = 'coingecko';
+    this.ids = { ...COINGECKO_IDS };
+    for (const pair of (process.env.COINGECKO_IDS || '').split(',')) {
+      const [symbol, id] = pair.split(':').map(part => part.trim());
+      if (symbol && id) this.ids[symbol.toUpperCase()] = id;
+    }
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the price of a token on a day
+   * @param {string} symbol - Token symbol
+   * @param {string} currency - Fiat currency code, e.g. "usd"
+   * @param {Date} [date] - When the price applies (defaults to the current price)
+   * @returns {Promise<number|null>} - Price of one token, or null if CoinGecko has none
+   */
+  async getPrice(symbol, currency, date) {
+    const id = this.ids[symbol.toUpperCase()];
+    if (!id) return null;
+    if (!date) return this.getCurrentPrice(id, currency.toLowerCase());
+
+    const day = utcDay(date);
+    const key = `${id}:${currency.toLowerCase()}:${day}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    // The history endpoint takes dd-mm-yyyy
+    const [year, month, dayOfMonth] = day.split('-');
+    const url = `${COINGECKO_API_URL}/coins/${id}/history?date=${dayOfMonth}-${month}-${year}&localization=false`;
+
+    const body = await this.request(url, `${symbol} on ${day}`);
+    const price = (body.market_data && body.market_data.current_price[currency.toLowerCase()]) ?? null;
+
+    // Today's price keeps moving, so only finished days are cached
+    if (day < utcDay(new Date())) this.cache.set(key, price);
+    return price;
+  }
+
+  /**
+   * Get a coin's current price
+   * @param {string} id - CoinGecko coin ID
+   * @param {string} currency - Lower-case fiat currency code
+   * @returns {Promise<number|null>}
+   */
+  async getCurrentPrice(id, currency) {
+    const key = `${id}:${currency}:now`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < CURRENT_PRICE_SECONDS * 1000) {
+      return cached.price;
+    }
+
+    const body = await this.request(`${COINGECKO_API_URL}/simple/price?ids=${id}&vs_currencies=${currency}`, id);
+    const price = (body[id] && body[id][currency]) ?? null;
+    this.cache.set(key, { price, fetchedAt: Date.now() });
+    return price;
+  }
+
+  /**
+   * Call the CoinGecko API
+   * @param {string} url - Full URL
+   * @param {string} subject - What is being priced, for error messages
+   * @returns {Promise<Object>} - Parsed response
+   */
+  async request(url, subject) {
+    const headers = process.env.COINGECKO_API_KEY ? { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY } : {};
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(TIMEOUT_SECONDS * 1000) });
+    if (!response.ok) {
+      throw new Error(`CoinGecko answered with HTTP ${response.status} for ${subject}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Create the price source chosen by PRICE_SOURCE: "coingecko", "fixture" (reads
+ * PRICE_FIXTURE_FILE) or "none". Defaults to the fixture when PRICE_FIXTURE_FILE is set.
+ * Any object with getPrice(symbol, currency, [date]) and a name can stand in for these;
+ * without a date it returns the current price.
+ * @returns {Object|null} - Price source, or null if prices are turned off
+ */
+function createPriceSource() {
+  const source = process.env.PRICE_SOURCE || (process.env.PRICE_FIXTURE_FILE ? 'fixture' : 'none');
+
+  switch (source) {
+    case 'coingecko':
+      return new CoinGeckoPriceSource();
+    case 'fixture':
+      if (!process.env.PRICE_FIXTURE_FILE) {
+        throw new Error('PRICE_SOURCE=fixture needs PRICE_FIXTURE_FILE');
+      }
+      return FixturePriceSource.fromFile(process.env.PRICE_FIXTURE_FILE);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown PRICE_SOURCE "${source}"; use coingecko, fixture or none`);
+  }
+}
+
+module.exports = {
+  FixturePriceSource,
+  CoinGeckoPriceSource,
+  createPriceSource,
+  fiatValue
+};
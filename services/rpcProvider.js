@@ -0,0 +1,384 @@
+// services/rpcProvider.js
+const { ethers } = require('ethers');
+const { RpcError, fromEthersError } = require('../utlis/errors');
+
+// How long one endpoint has to answer a call
+const TIMEOUT_SECONDS = parseInt(process.env.RPC_TIMEOUT_SECONDS, 10) || 10;
+
+// Extra rounds a failed read gets, with the delay doubling each time
+const READ_RETRIES = parseInt(process.env.RPC_RETRIES, 10) >= 0 ? parseInt(process.env.RPC_RETRIES, 10) : 2;
+const RETRY_DELAY_MS = parseInt(process.env.RPC_RETRY_DELAY_MS, 10) || 250;
+
+// An endpoint that just failed is tried after the others for this long
+const COOLDOWN_SECONDS = parseInt(process.env.RPC_COOLDOWN_SECONDS, 10) || 30;
+
+// Endpoints further behind the best head than this are left out of quorum reads
+const MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG, 10) || 5;
+
+// Calls that put something on chain; everything else is a read
+const WRITE_METHODS = new Set(['sendTransaction', 'eth_sendRawTransaction', 'eth_sendTransaction']);
+
+// Reads whose answers move with the head, so endpoints rarely agree exactly; the median is used
+const MEDIAN_METHODS = new Set(['getBlockNumber', 'getGasPrice', 'estimateGas', 'eth_blockNumber', 'eth_gasPrice']);
+
+/**
+ * Check whether every endpoint should give the same answer to a read, so a quorum can
+ * compare them: reads at a given block (latest is pinned to a number first) and the
+ * reads combined by median. Pending state, mempool lookups and fee history differ
+ * between healthy nodes, so those are read with failover instead.
+ * @param {string} method - Method name
+ * @param {string} [blockTag] - Block the read is at, if it takes one
+ * @returns {boolean}
+ */
+function isComparable(method, blockTag) {
+  if (MEDIAN_METHODS.has(method)) return true;
+  return blockTag !== undefined && blockTag !== null && blockTag !== 'pending';
+}
+
+// Failures where the request never reached the node, so a send can safely go elsewhere
+const UNDELIVERED_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+/**
+ * Split a comma-separated list of RPC URLs
+ * @param {string} [value] - e.g. "https://a.example,https://b.example"
+ * @returns {string[]}
+ */
+function parseRpcUrls(value) {
+  return (value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * Describe an endpoint without the path or query, where providers put API keys
+ * @param {string} url - RPC URL
+ * @returns {string}
+ */
+function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid url';
+  }
+}
+
+/**
+ * Check whether another endpoint, or another try, could succeed where this one failed:
+ * timeouts, unreachable nodes and node-side errors, but not reverts or bad arguments
+ * @param {Error} error - Error from one endpoint
+ * @returns {boolean}
+ */
+function isTransient(error) {
+  return fromEthersError(error).status >= 500;
+}
+
+/**
+ * Check whether a failed broadcast never reached the node
+ * @param {Error} error - Error from one endpoint
+ * @returns {boolean}
+ */
+function isUndelivered(error) {
+  const cause = error.serverError || error;
+  return UNDELIVERED_CODES.has(cause.code);
+}
+
+/**
+ * Pick the median of numeric answers
+ * @param {Array} values - Hex strings, numbers or BigNumbers
+ * @returns {*} - The median answer as it was given
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => {
+    const diff = ethers.BigNumber.from(a).sub(ethers.BigNumber.from(b));
+    return diff.isNegative() ? -1 : (diff.isZero() ? 0 : 1);
+  });
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Provider backed by several RPC endpoints of the same chain. Every call gets a timeout.
+ * With a quorum of 1 (the default) calls go to one endpoint at a time, healthy ones first
+ * in the order given, and move on to the next when one fails or stalls. With a higher
+ * quorum, reads at a block go to every endpoint and only an answer that many of them
+ * agree on is accepted; other reads fail over as with a quorum of 1. Reads are retried with backoff when every endpoint failed. Sends are never
+ * retried: a signed transaction goes to one endpoint, and only moves on to the next when
+ * the request couldn't be delivered at all, so a slow node can't cause a second broadcast.
+ */
+class RpcProvider extends ethers.providers.BaseProvider {
+  /**
+   * @param {string[]} urls - Endpoints, in order of preference
+   * @param {Object} [options] - Endpoint options
+   * @param {number} [options.chainId] - Chain the endpoints serve; detected when left out
+   * @param {number} [options.quorum] - Endpoints that must agree on a read (defaults to 1)
+   */
+  constructor(urls, options = {}) {
+    if (!urls || urls.length === 0) {
+      throw new Error('RpcProvider needs at least one RPC URL');
+    }
+
+    // Like JsonRpcProvider, detect the network once the provider exists
+    super(new Promise((resolve, reject) => {
+      setTimeout(() => this.detectNetwork().then(resolve, reject), 0);
+    }));
+
+    this.quorum = Math.min(Math.max(options.quorum || 1, 1), urls.length);
+    this.endpoints = urls.map(url => ({
+      url,
+      label: endpointLabel(url),
+      provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: TIMEOUT_SECONDS * 1000 }, options.chainId),
+      failedAt: null,
+      lastError: null,
+      latencyMs: null
+    }));
+  }
+
+  /**
+   * Ask the endpoints which chain they serve; the answer is kept, since it can't change
+   * @returns {Promise<Object>} - ethers Network
+   */
+  async detectNetwork() {
+    if (!this.detectedNetwork) {
+      const chainId = ethers.BigNumber.from(await this.send('eth_chainId', [])).toNumber();
+      this.detectedNetwork = ethers.providers.getNetwork(chainId);
+    }
+    return this.detectedNetwork;
+  }
+
+  /**
+   * Run one of the provider's calls, e.g. getBalance, against the endpoints
+   * @param {string} method - ethers method name
+   * @param {Object} params - ethers parameters
+   * @returns {Promise<*>}
+   */
+  async perform(method, params) {
+    return this.execute(method, async (provider, blockTag) =>
+      provider.perform(method, blockTag ? { ...params, blockTag } : params),
+    { comparable: isComparable(method, params.blockTag), atLatest: params.blockTag === 'latest' });
+  }
+
+  /**
+   * Send a raw JSON-RPC request, e.g. eth_feeHistory, against the endpoints
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC parameters
+   * @returns {Promise<*>}
+   */
+  async send(method, params) {
+    return this.execute(method, provider => provider.send(method, params), { comparable: isComparable(method), atLatest: false });
+  }
+
+  /**
+   * Route a call by kind: broadcasts once, reads with failover or quorum
+   * @param {string} method - Method name, for choosing how answers are combined
+   * @param {Function} call - Receives an endpoint's provider (and a pinned block tag in quorum mode)
+   * @param {Object} read - How the call reads the chain
+   * @param {boolean} read.comparable - Whether endpoints' answers can be compared (see isComparable)
+   * @param {boolean} read.atLatest - Whether the read is at the latest block
+   * @returns {Promise<*>}
+   */
+  async execute(method, call, { comparable, atLatest }) {
+    if (WRITE_METHODS.has(method)) {
+      return this.broadcast(call);
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= READ_RETRIES; attempt++) {
+      if (attempt > 0) {
+        await delay(RETRY_DELAY_MS * 2 ** (attempt - 1));
+      }
+
+      try {
+        return this.quorum > 1 && comparable
+          ? await this.readQuorum(method, call, atLatest)
+          : await this.readFallback(call);
+      } catch (error) {
+        if (!isTransient(error)) throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Read from the first endpoint that answers
+   * @param {Function} call - Receives an endpoint's provider
+   * @returns {Promise<*>}
+   */
+  async readFallback(call) {
+    let lastError;
+    for (const endpoint of this.orderedEndpoints()) {
+      try {
+        return await this.attempt(endpoint, call);
+      } catch (error) {
+        if (!isTransient(error)) throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Read from every endpoint and return the answer at least quorum of them gave. Reads at
+   * the latest block are pinned to one block number first, so endpoints a block apart
+   * still agree.
+   * @param {string} method - Method name
+   * @param {Function} call - Receives an endpoint's provider and the pinned block tag
+   * @param {boolean} atLatest - Whether the read is at the latest block
+   * @returns {Promise<*>}
+   */
+  async readQuorum(method, call, atLatest) {
+    let endpoints = this.orderedEndpoints();
+    let blockTag = null;
+
+    if (atLatest) {
+      const heads = await this.gather(endpoints, provider => provider.perform('getBlockNumber', {}));
+      if (heads.answers.length < this.quorum) {
+        throw this.quorumError(heads);
+      }
+      const best = Math.max(...heads.answers.map(({ value }) => ethers.BigNumber.from(value).toNumber()));
+      const current = heads.answers.filter(({ value }) => best - ethers.BigNumber.from(value).toNumber() <= MAX_BLOCK_LAG);
+      endpoints = current.map(({ endpoint }) => endpoint);
+      const pinned = Math.min(...current.map(({ value }) => ethers.BigNumber.from(value).toNumber()));
+      blockTag = ethers.utils.hexValue(pinned);
+    }
+
+    const result = await this.gather(endpoints, provider => call(provider, blockTag));
+    if (result.answers.length < this.quorum) {
+      throw this.quorumError(result);
+    }
+
+    const values = result.answers.map(({ value }) => value);
+    if (MEDIAN_METHODS.has(method)) {
+      return median(values);
+    }
+
+    const counts = new Map();
+    for (const value of values) {
+      const key = JSON.stringify(value);
+      const seen = counts.get(key) || { value, count: 0 };
+      seen.count++;
+      counts.set(key, seen);
+    }
+    const agreed = [...counts.values()].find(({ count }) => count >= this.quorum);
+    if (!agreed) {
+      throw new RpcError(`RPC endpoints disagree on ${method}; no answer reached the quorum of ${this.quorum}`);
+    }
+    return agreed.value;
+  }
+
+  /**
+   * Call several endpoints at once
+   * @param {Object[]} endpoints - Endpoints to ask
+   * @param {Function} call - Receives an endpoint's provider
+   * @returns {Promise<Object>} - { answers: [{ endpoint, value }], errors }
+   */
+  async gather(endpoints, call) {
+    const settled = await Promise.allSettled(endpoints.map(endpoint => this.attempt(endpoint, call)));
+
+    const answers = [];
+    const errors = [];
+    settled.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        answers.push({ endpoint: endpoints[i], value: outcome.value });
+      } else {
+        errors.push(outcome.reason);
+      }
+    });
+
+    // A revert or bad argument is the same everywhere; no need to wait for a quorum of them
+    const permanent = errors.find(error => !isTransient(error));
+    if (permanent) throw permanent;
+
+    return { answers, errors };
+  }
+
+  /**
+   * Build the error for a quorum read too few endpoints answered
+   * @param {Object} result - Result of gather
+   * @returns {Error}
+   */
+  quorumError({ answers, errors }) {
+    return new RpcError(
+      `Only ${answers.length} of ${this.endpoints.length} RPC endpoints answered; ${this.quorum} are needed`,
+      { cause: errors[0] }
+    );
+  }
+
+  /**
+   * Broadcast through one endpoint, moving on only if the request was never delivered
+   * @param {Function} call - Receives an endpoint's provider
+   * @returns {Promise<*>}
+   */
+  async broadcast(call) {
+    let lastError;
+    for (const endpoint of this.orderedEndpoints()) {
+      try {
+        return await this.attempt(endpoint, call);
+      } catch (error) {
+        if (!isUndelivered(error)) throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Make one call to one endpoint and remember how it went
+   * @param {Object} endpoint - Endpoint
+   * @param {Function} call - Receives the endpoint's provider
+   * @returns {Promise<*>}
+   */
+  async attempt(endpoint, call) {
+    const started = Date.now();
+    try {
+      const value = await call(endpoint.provider);
+      endpoint.latencyMs = Date.now() - started;
+      endpoint.failedAt = null;
+      return value;
+    } catch (error) {
+      // A revert or bad argument is still an answer; only failures count against the endpoint
+      if (isTransient(error)) {
+        endpoint.failedAt = Date.now();
+        endpoint.lastError = fromEthersError(error).message;
+      } else {
+        endpoint.failedAt = null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Endpoints to try, in order: healthy ones as configured, then ones that failed recently
+   * @returns {Object[]}
+   */
+  orderedEndpoints() {
+    const cutoff = Date.now() - COOLDOWN_SECONDS * 1000;
+    const healthy = this.endpoints.filter(endpoint => !endpoint.failedAt || endpoint.failedAt < cutoff);
+    const cooling = this.endpoints.filter(endpoint => endpoint.failedAt && endpoint.failedAt >= cutoff);
+    return [...healthy, ...cooling];
+  }
+
+  /**
+   * Ask every endpoint for its head block, for health reporting
+   * @returns {Promise<Object[]>} - { endpoint, status, blockNumber, latencyMs, error } per endpoint
+   */
+  async checkEndpoints() {
+    return Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        const blockNumber = await this.attempt(endpoint, provider => provider.perform('getBlockNumber', {}));
+        return {
+          endpoint: endpoint.label,
+          status: 'up',
+          blockNumber: ethers.BigNumber.from(blockNumber).toNumber(),
+          latencyMs: endpoint.latencyMs
+        };
+      } catch (error) {
+        return { endpoint: endpoint.label, status: 'down', error: fromEthersError(error).message };
+      }
+    }));
+  }
+}
+
+module.exports = {
+  RpcProvider,
+  parseRpcUrls
+};
@@ -0,0 +1,110 @@
+// services/scheduler.js
+const { ScheduleRepository } = require('../models/Schedule');
+const { ContactRepository } = require('../models/Contact');
+const { UserRepository } = require('../models/User');
+const { followingRun } = require('../utlis/schedule');
+
+// How often due schedules are looked for
+const POLL_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_SECONDS, 10) || 30;
+
+// Schedules run per poll, most overdue first
+const BATCH_SIZE = 50;
+
+/**
+ * Runs scheduled payments when they fall due. Each run is claimed in MongoDB before
+ * anything is sent, so a payment fires at most once even if the server restarts
+ * mid-run; runs missed while the server was down are skipped, not replayed.
+ */
+class PaymentScheduler {
+  /**
+   * @param {WalletRegistry} walletRegistry - Supplies the signing service for each schedule
+   * @param {Function} executeSend - Sends and records one payment, enforcing the owner's policy
+   */
+  constructor(walletRegistry, executeSend) {
+    this.walletRegistry = walletRegistry;
+    this.executeSend = executeSend;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+    console.log(`Payment scheduler started (every ${POLL_INTERVAL_SECONDS}s)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run every due schedule once. Overlapping polls are skipped.
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const schedules = await ScheduleRepository.findDue(now, BATCH_SIZE);
+      for (const schedule of schedules) {
+        const claimed = await ScheduleRepository.claim(schedule, followingRun(schedule.recurrence, schedule.nextRunAt, now));
+        // Another process got there first, or it was paused meanwhile
+        if (!claimed) continue;
+
+        try {
+          const transaction = await this.run(schedule);
+          await ScheduleRepository.recordSuccess(schedule._id, transaction.id);
+        } catch (error) {
+          console.error(`Error running schedule ${schedule._id}:`, error.message);
+          await ScheduleRepository.recordFailure(schedule._id, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Payment scheduler error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send one scheduled payment
+   * @param {Object} schedule - Schedule document
+   * @returns {Promise<Object>} - Submitted transaction as returned by executeSend
+   */
+  async run(schedule) {
+    const user = await UserRepository.findByIdOrUsername(schedule.owner.toString());
+    if (!user) {
+      throw new Error('The schedule\'s owner no longer exists');
+    }
+
+    const contact = await ContactRepository.findById(user._id, schedule.contact);
+    if (!contact) {
+      throw new Error(`Contact "${schedule.contactName}" no longer exists`);
+    }
+
+    const service = await this.walletRegistry.getServiceForUser(user, schedule.account, schedule.chainId);
+    return this.executeSend({
+      user,
+      service,
+      command: schedule.command,
+      token: schedule.token,
+      amount: schedule.amount,
+      contact,
+      speed: schedule.speed,
+      schedule: schedule._id
+    });
+  }
+}
+
+module.exports = PaymentScheduler;
@@ -0,0 +1,230 @@
+// services/statementBuilder.js
+const { ethers } = require('ethers');
+const { TransactionRepository, TRANSACTION_STATUS } = require('../models/Transaction');
+const { IncomingTransferRepository } = require('../models/IncomingTransfer');
+const { NATIVE_ADDRESS } = require('./tokenRegistry');
+const { toUnits } = require('../utlis/amountParser');
+const { writeCsv } = require('../utlis/csv');
+const { fiatValue } = require('./priceSource');
+
+// Columns of a statement, in CSV order
+const STATEMENT_COLUMNS = [
+  'date', 'direction', 'status', 'network', 'chainId', 'token', 'tokenAddress', 'decimals',
+  'amount', 'amountRaw', 'counterparty', 'counterpartyAddress', 'txHash', 'blockNumber',
+  'gasPaid', 'gasToken', 'currency', 'price', 'value', 'gasValue'
+];
+
+/**
+ * Builds statements of what a user's wallets sent and received: sends from the ledger
+ * that made it on chain (reverted ones with a zero amount, since they only cost gas) and
+ * incoming transfers seen by the transfer watcher. Each entry can carry its fiat value on
+ * the day it happened, from whichever price source is configured.
+ */
+class StatementBuilder {
+  /**
+   * @param {TokenRegistry} tokenRegistry - Token decimals and network names
+   * @param {WalletRegistry} walletRegistry - Providers, to look up gas prices older sends didn't record
+   * @param {Object|null} priceSource - Source with getPrice(symbol, currency, date), or null for no fiat values
+   */
+  constructor(tokenRegistry, walletRegistry, priceSource) {
+    this.tokenRegistry = tokenRegistry;
+    this.walletRegistry = walletRegistry;
+    this.priceSource = priceSource;
+  }
+
+  /**
+   * Build a statement, oldest entry first
+   * @param {Object} user - User whose wallets the statement covers
+   * @param {Object} options - Optional from and to dates, currency for fiat values and row limit
+   * @returns {Promise<Object>} - { rows, truncated }, truncated when the period has more than limit entries
+   */
+  async build(user, { from, to, currency, limit }) {
+    const range = { from, to };
+    const [sent, received] = await Promise.all([
+      TransactionRepository.findForStatement(user._id, range, limit + 1),
+      IncomingTransferRepository.findForStatement(user._id, range, limit + 1)
+    ]);
+
+    const rows = [];
+    for (const transaction of sent) {
+      rows.push(await this.sentRow(transaction));
+    }
+    for (const transfer of received) {
+      rows.push(this.receivedRow(transfer));
+    }
+    rows.sort((a, b) => a.date - b.date);
+
+    if (currency) {
+      // One lookup per token and day, however many entries share them
+      const prices = new Map();
+      for (const row of rows) {
+        row.currency = currency.toLowerCase();
+        row.price = await this.getPrice(prices, row.token, currency, row.date);
+        row.value = fiatValue(row.amount, row.price);
+        if (row.gasPaid !== null) {
+          row.gasValue = fiatValue(row.gasPaid, await this.getPrice(prices, row.gasToken, currency, row.date));
+        }
+      }
+    }
+
+    return { rows: rows.slice(0, limit), truncated: rows.length > limit };
+  }
+
+  /**
+   * Turn a send into a statement entry
+   * @param {Object} transaction - Transaction document
+   * @returns {Promise<Object>}
+   */
+  async sentRow(transaction) {
+    const network = this.tokenRegistry.resolveNetwork(transaction.chainId);
+    const token = network ? this.tokenRegistry.getToken(network.chainId, transaction.token) : null;
+    const decimals = token ? token.decimals : null;
+    const reverted = transaction.status === TRANSACTION_STATUS.FAILED;
+
+    let amountRaw = transaction.amountRaw || null;
+    if (!amountRaw && decimals !== null) {
+      try {
+        amountRaw = toUnits(transaction.amount, decimals).toString();
+      } catch (error) {
+        amountRaw = null;
+      }
+    }
+
+    const gasFee = await this.gasFee(network, transaction);
+
+    return this.row({
+      date: transaction.submittedAt || transaction.createdAt,
+      direction: 'out',
+      status: transaction.status,
+      network: network ? network.name : transaction.network,
+      chainId: transaction.chainId,
+      token: transaction.token,
+      tokenAddress: token && token.address !== NATIVE_ADDRESS ? token.address.toLowerCase() : null,
+      decimals,
+      // A reverted send moved nothing; only its gas was spent
+      amount: reverted ? '0' : transaction.amount,
+      amountRaw: reverted ? '0' : amountRaw,
+      counterparty: transaction.contactName,
+      counterpartyAddress: transaction.to,
+      txHash: transaction.txHash,
+      blockNumber: transaction.blockNumber,
+      gasPaid: gasFee ? ethers.utils.formatEther(gasFee) : null,
+      gasToken: (network && network.nativeSymbol) || 'ETH'
+    });
+  }
+
+  /**
+   * Turn an incoming transfer into a statement entry
+   * @param {Object} transfer - IncomingTransfer document
+   * @returns {Object}
+   */
+  receivedRow(transfer) {
+    const tokens = this.tokenRegistry.listTokens(transfer.chainId);
+    const token = transfer.tokenAddress
+      ? tokens.find(candidate => candidate.address.toLowerCase() === transfer.tokenAddress)
+      : tokens.find(candidate => candidate.address === NATIVE_ADDRESS);
+
+    return this.row({
+      date: transfer.blockTimestamp || transfer.createdAt,
+      direction: 'in',
+      status: TRANSACTION_STATUS.CONFIRMED,
+      network: transfer.network,
+      chainId: transfer.chainId,
+      token: transfer.token,
+      tokenAddress: transfer.tokenAddress,
+      decimals: token ? token.decimals : (transfer.tokenAddress ? null : 18),
+      amount: transfer.amount,
+      amountRaw: transfer.amountRaw,
+      counterparty: transfer.contactName,
+      counterpartyAddress: transfer.from,
+      txHash: transfer.txHash,
+      blockNumber: transfer.blockNumber,
+      // The sender paid the gas
+      gasPaid: null,
+      gasToken: null
+    });
+  }
+
+  /**
+   * Fill in every statement column, with null for the missing ones
+   * @param {Object} fields - Known fields
+   * @returns {Object}
+   */
+  row(fields) {
+    const row = {};
+    for (const column of STATEMENT_COLUMNS) {
+      row[column] = fields[column] === undefined || fields[column] === '' ? null : fields[column];
+    }
+    return row;
+  }
+
+  /**
+   * Work out the fee a send paid. Sends recorded before gas prices were kept have theirs
+   * looked up on chain.
+   * @param {Object|null} network - Network the send was made on
+   * @param {Object} transaction - Transaction document
+   * @returns {Promise<ethers.BigNumber|null>} - Fee in wei, or null if it can't be known
+   */
+  async gasFee(network, transaction) {
+    if (!transaction.gasUsed) return null;
+    if (transaction.effectiveGasPrice) {
+      return ethers.BigNumber.from(transaction.gasUsed).mul(transaction.effectiveGasPrice);
+    }
+    if (!network || this.tokenRegistry.getRpcUrls(network).length === 0) return null;
+
+    try {
+      const provider = this.walletRegistry.getProvider(network);
+      const receipt = await provider.getTransactionReceipt(transaction.txHash);
+      let gasPrice = receipt && receipt.effectiveGasPrice;
+      if (!gasPrice) {
+        const sent = await provider.getTransaction(transaction.txHash);
+        gasPrice = sent && sent.gasPrice;
+      }
+      return gasPrice ? ethers.BigNumber.from(transaction.gasUsed).mul(gasPrice) : null;
+    } catch (error) {
+      console.error(`Error looking up the gas price of ${transaction.txHash}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a token's price on a day, remembering it for the rest of the statement. A price
+   * that can't be found leaves the fiat columns empty rather than failing the statement.
+   * @param {Map} prices - Prices found so far
+   * @param {string} symbol - Token symbol
+   * @param {string} currency - Fiat currency code
+   * @param {Date} date - Day of the entry
+   * @returns {Promise<number|null>}
+   */
+  async getPrice(prices, symbol, currency, date) {
+    const key = `${symbol}:${date.toISOString().slice(0, 10)}`;
+    if (!prices.has(key)) {
+      let price = null;
+      try {
+        price = await this.priceSource.getPrice(symbol, currency, date);
+      } catch (error) {
+        console.error(`Error getting the ${currency} price of ${symbol}:`, error.message);
+      }
+      prices.set(key, price);
+    }
+    return prices.get(key);
+  }
+}
+
+/**
+ * Write statement entries as CSV
+ * @param {Object[]} rows - Entries from StatementBuilder.build
+ * @returns {string} - CSV text
+ */
+function statementCsv(rows) {
+  return writeCsv(STATEMENT_COLUMNS, rows.map(row => STATEMENT_COLUMNS.map(column => {
+    const value = row[column];
+    return value instanceof Date ? value.toISOString() : value;
+  })));
+}
+
+module.exports = {
+  StatementBuilder,
+  STATEMENT_COLUMNS,
+  statementCsv
+};
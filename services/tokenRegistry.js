@@ -0,0 +1,185 @@
+// services/tokenRegistry.js
+const { NetworkRepository } = require('../models/Network');
+const { TokenRepository, NATIVE_ADDRESS } = require('../models/Token');
+const { parseRpcUrls } = require('./rpcProvider');
+
+const SEPOLIA_CHAIN_ID = 11155111;
+
+// Network used when a command doesn't name one; its RPC URLs come from RPC_URL
+const DEFAULT_NETWORK = {
+  chainId: parseInt(process.env.CHAIN_ID, 10) || SEPOLIA_CHAIN_ID,
+  name: process.env.NETWORK_NAME || 'sepolia',
+  aliases: ['testnet'],
+  nativeSymbol: 'ETH',
+  isDefault: true
+};
+
+// Token addresses for Sepolia testnet with custom MTK token, seeded on first start
+const SEPOLIA_TOKENS = [
+  { symbol: 'ETH', address: NATIVE_ADDRESS, decimals: 18, aliases: ['ETHER'] },
+  { symbol: 'MTK', address: '0x0E4Dd0bA5a6f1bc0ffFE421dbB8E252dFF0C66f6', decimals: 18, aliases: ['MYTOKEN', 'MY-TOKEN', 'MY_TOKEN'] }, // Replace with your MTK token contract address
+  { symbol: 'USDC', address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', decimals: 6, aliases: [] }, // Example Sepolia USDC address
+  { symbol: 'DAI', address: '0x68194a729C2450ad26072b3D33ADaCbcef39D574', decimals: 18, aliases: [] }, // Example Sepolia DAI address
+  { symbol: 'USDT', address: '0xaA8E23Fb1079EA71e0a56F48a2aA51851D8433D0', decimals: 6, aliases: [] } // Example Sepolia USDT address
+];
+
+/**
+ * Default tokens for the default network: the Sepolia set, or just the native currency elsewhere
+ * @returns {Object[]} Tokens without chainId
+ */
+function defaultTokens() {
+  return DEFAULT_NETWORK.chainId === SEPOLIA_CHAIN_ID
+    ? SEPOLIA_TOKENS
+    : [{ symbol: DEFAULT_NETWORK.nativeSymbol, address: NATIVE_ADDRESS, decimals: 18, aliases: [] }];
+}
+
+/**
+ * In-memory view of the networks and tokens stored in MongoDB. Starts with the
+ * built-in defaults so services work before the database is reachable, and is
+ * reloaded whenever the registry is edited.
+ */
+class TokenRegistry {
+  constructor() {
+    this.setNetworks([DEFAULT_NETWORK]);
+    this.setTokens(defaultTokens().map(token => ({ ...token, chainId: DEFAULT_NETWORK.chainId })));
+  }
+
+  setNetworks(networks) {
+    this.networks = new Map(networks.map(network => [network.chainId, network]));
+  }
+
+  setTokens(tokens) {
+    this.tokens = new Map();
+    for (const token of tokens) {
+      if (!this.tokens.has(token.chainId)) {
+        this.tokens.set(token.chainId, []);
+      }
+      this.tokens.get(token.chainId).push(token);
+    }
+  }
+
+  /**
+   * Create the default network and its tokens in MongoDB on first start
+   * @returns {Promise<void>}
+   */
+  async seed() {
+    await NetworkRepository.seedDefault(DEFAULT_NETWORK);
+    const seeded = await TokenRepository.seed(DEFAULT_NETWORK.chainId, defaultTokens());
+    if (seeded > 0) {
+      console.log(`Seeded ${seeded} tokens for chain ${DEFAULT_NETWORK.chainId}`);
+    }
+  }
+
+  /**
+   * Reload networks and tokens from MongoDB
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const [networks, tokens] = await Promise.all([
+      NetworkRepository.findAll(),
+      TokenRepository.findAll()
+    ]);
+
+    if (networks.length > 0) {
+      this.setNetworks(networks.map(network => network.toObject()));
+    }
+    this.setTokens(tokens.map(token => token.toObject()));
+  }
+
+  /**
+   * Get the network used when none is named
+   * @returns {Object} Network
+   */
+  getDefaultNetwork() {
+    for (const network of this.networks.values()) {
+      if (network.isDefault) return network;
+    }
+    return this.networks.values().next().value;
+  }
+
+  /**
+   * List the registered networks
+   * @returns {Object[]} Networks
+   */
+  listNetworks() {
+    return [...this.networks.values()];
+  }
+
+  /**
+   * Find a network by chain id, name or alias (e.g. 137, "polygon", "matic")
+   * @param {string|number} [nameOrChainId] - Network reference; the default network if empty
+   * @returns {Object|null} Network or null if unknown
+   */
+  resolveNetwork(nameOrChainId) {
+    if (nameOrChainId === undefined || nameOrChainId === null || nameOrChainId === '') {
+      return this.getDefaultNetwork();
+    }
+
+    const chainId = Number(nameOrChainId);
+    if (Number.isInteger(chainId) && this.networks.has(chainId)) {
+      return this.networks.get(chainId);
+    }
+
+    const name = String(nameOrChainId).toLowerCase().trim();
+    for (const network of this.networks.values()) {
+      if (network.name === name || (network.aliases || []).includes(name)) {
+        return network;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the RPC endpoints for a network, in order of preference. The default network
+   * falls back to RPC_URL, which may list several URLs separated by commas.
+   * @param {Object} network - Network
+   * @returns {string[]} RPC URLs, empty if none are configured
+   */
+  getRpcUrls(network) {
+    const urls = [network.rpcUrl, ...(network.rpcUrls || [])].filter(Boolean);
+    if (urls.length === 0 && network.isDefault) {
+      return parseRpcUrls(process.env.RPC_URL);
+    }
+    return urls;
+  }
+
+  /**
+   * Get how many RPC endpoints must agree on a read for a network
+   * @param {Object} network - Network
+   * @returns {number} Quorum; 1 means the endpoints are only used as fallbacks
+   */
+  getRpcQuorum(network) {
+    if (network.rpcQuorum) return network.rpcQuorum;
+    return (network.isDefault && parseInt(process.env.RPC_QUORUM, 10)) || 1;
+  }
+
+  /**
+   * Find a token on a network by symbol or alias
+   * @param {number} chainId - Chain ID
+   * @param {string} symbolOrAlias - Symbol or alias (case-insensitive)
+   * @returns {Object|null} Token or null if unknown
+   */
+  getToken(chainId, symbolOrAlias) {
+    const symbol = (symbolOrAlias || '').toUpperCase();
+    const tokens = this.tokens.get(chainId) || [];
+
+    return tokens.find(token => token.symbol === symbol) ||
+      tokens.find(token => (token.aliases || []).includes(symbol)) ||
+      null;
+  }
+
+  /**
+   * List the tokens registered on a network
+   * @param {number} chainId - Chain ID
+   * @returns {Object[]} Tokens
+   */
+  listTokens(chainId) {
+    return this.tokens.get(chainId) || [];
+  }
+}
+
+module.exports = {
+  TokenRegistry,
+  NATIVE_ADDRESS
+};
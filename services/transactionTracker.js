@@ -0,0 +1,158 @@
+// services/transactionTracker.js
+const { TransactionRepository } = require('../models/Transaction');
+
+// Blocks on top of a transaction's block before it counts as confirmed
+const REQUIRED_CONFIRMATIONS = parseInt(process.env.TX_CONFIRMATIONS, 10) || 1;
+
+// How often pending transactions are checked
+const POLL_INTERVAL_SECONDS = parseInt(process.env.TX_POLL_INTERVAL_SECONDS, 10) || 15;
+
+// How long a transaction may be missing from the node before it counts as dropped
+const DROP_TIMEOUT_MINUTES = parseInt(process.env.TX_DROP_TIMEOUT_MINUTES, 10) || 30;
+
+// Transactions checked per poll, least recently checked first
+const BATCH_SIZE = 50;
+
+/**
+ * Follows broadcast transactions until they settle. Sends return as soon as they are
+ * broadcast; this polls each pending transaction's chain and moves it to confirmed,
+ * failed (reverted), dropped or replaced.
+ */
+class TransactionTracker {
+  /**
+   * @param {TokenRegistry} tokenRegistry - Resolves each transaction's network
+   * @param {WalletRegistry} walletRegistry - Supplies the shared provider for each network
+   */
+  constructor(tokenRegistry, walletRegistry) {
+    this.tokenRegistry = tokenRegistry;
+    this.walletRegistry = walletRegistry;
+    this.requiredConfirmations = REQUIRED_CONFIRMATIONS;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+    console.log(`Transaction tracker started (${REQUIRED_CONFIRMATIONS} confirmations, every ${POLL_INTERVAL_SECONDS}s)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check every pending transaction once. Overlapping polls are skipped.
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const transactions = await TransactionRepository.findTracked(BATCH_SIZE);
+      await TransactionRepository.markChecked(transactions.map(transaction => transaction._id));
+
+      for (const transaction of transactions) {
+        try {
+          await this.check(transaction);
+        } catch (error) {
+          // Leave it pending and try again on the next poll
+          console.error(`Error tracking transaction ${transaction.txHash}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Transaction tracker error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Check one pending transaction on its chain and record any change of status
+   * @param {Object} transaction - Transaction document with a txHash
+   * @returns {Promise<Object|null>} - Updated transaction, or null if nothing changed
+   */
+  async check(transaction) {
+    const network = this.tokenRegistry.resolveNetwork(transaction.chainId);
+    if (!network) {
+      throw new Error(`Unknown network with chain id ${transaction.chainId}`);
+    }
+
+    const provider = this.walletRegistry.getProvider(network);
+    const receipt = await provider.getTransactionReceipt(transaction.txHash);
+
+    if (receipt) {
+      // Mining moved the funds and charged the gas
+      this.walletRegistry.balanceCache.invalidate(transaction.chainId, [transaction.from, transaction.to]);
+
+      const mined = {
+        blockNumber: receipt.blockNumber,
+        confirmations: (await provider.getBlockNumber()) - receipt.blockNumber + 1,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : undefined
+      };
+
+      if (receipt.status === 0) {
+        console.log(`Transaction ${transaction.txHash} reverted`);
+        return TransactionRepository.markFailed(transaction._id, 'Transaction reverted', mined);
+      }
+
+      if (mined.confirmations >= this.requiredConfirmations) {
+        console.log(`Transaction ${transaction.txHash} confirmed in block ${receipt.blockNumber}`);
+        return TransactionRepository.markConfirmed(transaction._id, mined);
+      }
+
+      return TransactionRepository.recordConfirmations(transaction._id, mined);
+    }
+
+    // Still in the mempool
+    if (await provider.getTransaction(transaction.txHash)) {
+      return null;
+    }
+
+    // The node no longer knows it: either another transaction used its nonce,
+    // or it fell out of the mempool
+    const timedOut = Date.now() - transaction.submittedAt.getTime() > DROP_TIMEOUT_MINUTES * 60 * 1000;
+    const minedNonce = await provider.getTransactionCount(transaction.from, 'latest');
+    if (transaction.nonce !== undefined && minedNonce > transaction.nonce) {
+      // It may have been mined since its receipt was fetched above
+      if (await provider.getTransactionReceipt(transaction.txHash)) {
+        return this.check(transaction);
+      }
+
+      for (const replacement of await TransactionRepository.findReplacements(transaction)) {
+        if (await provider.getTransactionReceipt(replacement.txHash)) {
+          console.log(`Transaction ${transaction.txHash} was replaced by ${replacement.txHash}`);
+          return TransactionRepository.markReplaced(transaction._id, replacement.txHash);
+        }
+      }
+
+      // A transaction sent outside the ledger took the nonce. Nodes behind a load balancer
+      // can lag, so only give up on this one once it has been missing for the drop timeout.
+      if (timedOut) {
+        console.log(`Transaction ${transaction.txHash} was replaced`);
+        return TransactionRepository.markReplaced(transaction._id);
+      }
+      return null;
+    }
+
+    if (timedOut) {
+      console.log(`Transaction ${transaction.txHash} was dropped`);
+      return TransactionRepository.markDropped(transaction._id);
+    }
+
+    return null;
+  }
+}
+
+module.exports = TransactionTracker;
@@ -0,0 +1,281 @@
+// services/transferWatcher.js
+const { ethers } = require('ethers');
+const { IncomingTransferRepository, NATIVE_LOG_INDEX } = require('../models/IncomingTransfer');
+const { ScanCursorRepository } = require('../models/ScanCursor');
+const { ContactRepository } = require('../models/Contact');
+const { NATIVE_ADDRESS } = require('./tokenRegistry');
+
+// Name the watcher's progress is stored under
+const SCANNER = 'incoming-transfers';
+
+// How often new blocks are scanned
+const POLL_INTERVAL_SECONDS = parseInt(process.env.TRANSFER_WATCH_INTERVAL_SECONDS, 10) || 15;
+
+// Blocks on top of a transfer's block before it is reported
+const REQUIRED_CONFIRMATIONS = parseInt(process.env.TX_CONFIRMATIONS, 10) || 1;
+
+// Blocks scanned per chain per poll. Native deposits need every block's transactions,
+// so this also bounds how many blocks are fetched; after downtime the watcher catches up
+// in steps of this size.
+const MAX_BLOCKS_PER_POLL = parseInt(process.env.TRANSFER_WATCH_MAX_BLOCKS, 10) || 50;
+
+// Set to "false" to only watch token transfers, e.g. on chains with very large blocks
+const WATCH_NATIVE_DEPOSITS = process.env.WATCH_NATIVE_DEPOSITS !== 'false';
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+/**
+ * Notices money arriving at the wallets EchoPay manages. Every registered network with
+ * an RPC URL is scanned forward block by block for Transfer events of registered tokens
+ * and plain native-currency deposits. New transfers are stored, labelled with the sender
+ * from the receiving user's contact book, and passed to the registered handlers.
+ * Progress is kept in MongoDB, so a restart resumes where the last scan stopped.
+ */
+class TransferWatcher {
+  /**
+   * @param {TokenRegistry} tokenRegistry - Networks and the tokens to watch on each
+   * @param {WalletRegistry} walletRegistry - Shared providers and the managed addresses
+   */
+  constructor(tokenRegistry, walletRegistry) {
+    this.tokenRegistry = tokenRegistry;
+    this.walletRegistry = walletRegistry;
+    this.handlers = [];
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Register a function to call with each newly stored transfer
+   * @param {Function} handler - Receives the IncomingTransfer document; may be async
+   */
+  onTransfer(handler) {
+    this.handlers.push(handler);
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+    console.log(`Transfer watcher started (every ${POLL_INTERVAL_SECONDS}s)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Scan every network once. Overlapping polls are skipped.
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const managed = new Map();
+      for (const holder of await this.walletRegistry.listManagedAddresses()) {
+        managed.set(holder.address, holder);
+      }
+      if (managed.size === 0) return;
+
+      for (const network of this.tokenRegistry.listNetworks()) {
+        if (this.tokenRegistry.getRpcUrls(network).length === 0) continue;
+
+        try {
+          await this.scan(network, managed);
+        } catch (error) {
+          // Keep the cursor where it was and try again on the next poll
+          console.error(`Error watching transfers on ${network.name}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Transfer watcher error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Scan the next range of blocks on one network
+   * @param {Object} network - Network from the token registry
+   * @param {Map} managed - Lower-case address -> { owner, account, address }
+   * @returns {Promise<Object[]>} - Transfers stored by this scan
+   */
+  async scan(network, managed) {
+    // Finish notifying transfers stored by a scan that was cut short
+    for (const transfer of await IncomingTransferRepository.findUnnotified(network.chainId, MAX_BLOCKS_PER_POLL)) {
+      await this.notify(transfer);
+    }
+
+    const provider = this.walletRegistry.getProvider(network);
+    const head = (await provider.getBlockNumber()) - REQUIRED_CONFIRMATIONS + 1;
+
+    // The first scan of a chain starts now rather than at its genesis
+    const cursor = await ScanCursorRepository.get(SCANNER, network.chainId);
+    const fromBlock = cursor === null ? head : cursor;
+    if (fromBlock > head) return [];
+
+    const toBlock = Math.min(head, fromBlock + MAX_BLOCKS_PER_POLL - 1);
+    const addresses = [...managed.keys()];
+
+    const transfers = [
+      ...await this.findTokenTransfers(provider, network, addresses, fromBlock, toBlock),
+      ...(WATCH_NATIVE_DEPOSITS ? await this.findNativeTransfers(provider, network, managed, fromBlock, toBlock) : [])
+    ];
+
+    const stored = [];
+    for (const transfer of transfers) {
+      const incoming = await this.record(network, transfer, managed.get(transfer.to));
+      if (incoming) {
+        stored.push(incoming);
+        await this.notify(incoming);
+      }
+    }
+
+    await ScanCursorRepository.set(SCANNER, network.chainId, toBlock + 1);
+    return stored;
+  }
+
+  /**
+   * Find Transfer events of registered tokens to managed addresses
+   * @param {ethers.providers.Provider} provider - Provider for the network
+   * @param {Object} network - Network from the token registry
+   * @param {string[]} addresses - Lower-case managed addresses
+   * @param {number} fromBlock - First block to scan
+   * @param {number} toBlock - Last block to scan
+   * @returns {Promise<Object[]>} - Transfers with token, amounts, addresses, position on chain and block time
+   */
+  async findTokenTransfers(provider, network, addresses, fromBlock, toBlock) {
+    const tokens = new Map();
+    for (const token of this.tokenRegistry.listTokens(network.chainId)) {
+      if (token.address !== NATIVE_ADDRESS) tokens.set(token.address.toLowerCase(), token);
+    }
+    if (tokens.size === 0) return [];
+
+    // One query for every token; events from unregistered contracts are ignored
+    const logs = await provider.getLogs({
+      topics: [TRANSFER_TOPIC, null, addresses.map(address => ethers.utils.hexZeroPad(address, 32))],
+      fromBlock,
+      toBlock
+    });
+
+    // Logs don't carry their block's time; look each block up once
+    const blockTimes = new Map();
+    const transfers = [];
+    for (const log of logs) {
+      // ERC-721 transfers share the signature but index the token ID as a fourth topic
+      if (log.topics.length !== 3 || !tokens.has(log.address.toLowerCase())) continue;
+
+      if (!blockTimes.has(log.blockNumber)) {
+        const block = await provider.getBlock(log.blockNumber);
+        blockTimes.set(log.blockNumber, new Date(block.timestamp * 1000));
+      }
+
+      const token = tokens.get(log.address.toLowerCase());
+      const value = ethers.BigNumber.from(log.data);
+      transfers.push({
+        token: token.symbol,
+        tokenAddress: log.address.toLowerCase(),
+        amount: ethers.utils.formatUnits(value, token.decimals),
+        amountRaw: value.toString(),
+        from: ethers.utils.hexDataSlice(log.topics[1], 12).toLowerCase(),
+        to: ethers.utils.hexDataSlice(log.topics[2], 12).toLowerCase(),
+        txHash: log.transactionHash.toLowerCase(),
+        logIndex: log.logIndex,
+        blockNumber: log.blockNumber,
+        blockTimestamp: blockTimes.get(log.blockNumber)
+      });
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Find plain native-currency deposits to managed addresses. Value moved by contract
+   * calls (internal transactions) isn't visible this way.
+   * @param {ethers.providers.Provider} provider - Provider for the network
+   * @param {Object} network - Network from the token registry
+   * @param {Map} managed - Lower-case address -> holder
+   * @param {number} fromBlock - First block to scan
+   * @param {number} toBlock - Last block to scan
+   * @returns {Promise<Object[]>} - Transfers with token, amounts, addresses, position on chain and block time
+   */
+  async findNativeTransfers(provider, network, managed, fromBlock, toBlock) {
+    const native = this.tokenRegistry.listTokens(network.chainId).find(token => token.address === NATIVE_ADDRESS);
+    const symbol = native ? native.symbol : (network.nativeSymbol || 'ETH');
+    const decimals = native ? native.decimals : 18;
+
+    const transfers = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+      const block = await provider.getBlockWithTransactions(blockNumber);
+      for (const tx of block.transactions) {
+        if (!tx.to || !managed.has(tx.to.toLowerCase()) || tx.value.isZero()) continue;
+
+        transfers.push({
+          token: symbol,
+          tokenAddress: null,
+          amount: ethers.utils.formatUnits(tx.value, decimals),
+          amountRaw: tx.value.toString(),
+          from: tx.from.toLowerCase(),
+          to: tx.to.toLowerCase(),
+          txHash: tx.hash.toLowerCase(),
+          logIndex: NATIVE_LOG_INDEX,
+          blockNumber,
+          blockTimestamp: new Date(block.timestamp * 1000)
+        });
+      }
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Store a transfer for the user who received it, labelling the sender from their contacts
+   * @param {Object} network - Network from the token registry
+   * @param {Object} transfer - Transfer found on chain
+   * @param {Object} holder - { owner, account } of the receiving address
+   * @returns {Promise<Object|null>} - Stored transfer, or null if it was stored before
+   */
+  async record(network, transfer, holder) {
+    const contact = await ContactRepository.findByAddress(holder.owner, transfer.from);
+
+    return IncomingTransferRepository.record({
+      ...transfer,
+      owner: holder.owner,
+      account: holder.account,
+      chainId: network.chainId,
+      network: network.name,
+      contact: contact ? contact._id : undefined,
+      contactName: contact ? contact.name : undefined
+    });
+  }
+
+  /**
+   * Pass a new transfer to every handler; one failing handler doesn't stop the others.
+   * The transfer is then marked as notified, so it is only passed on again if the
+   * process stops before that.
+   * @param {Object} transfer - Stored transfer
+   * @returns {Promise<void>}
+   */
+  async notify(transfer) {
+    for (const handler of this.handlers) {
+      try {
+        await handler(transfer);
+      } catch (error) {
+        console.error(`Error handling incoming transfer ${transfer.txHash}:`, error.message);
+      }
+    }
+
+    await IncomingTransferRepository.markNotified(transfer._id);
+  }
+}
+
+module.exports = TransferWatcher;
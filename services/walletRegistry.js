@@ -0,0 +1,210 @@
+// services/walletRegistry.js
+const { ethers } = require('ethers');
+const BlockchainService = require('./blockchainService');
+const { WalletAccountRepository } = require('../models/WalletAccount');
+const { UserRepository } = require('../models/User');
+const { NonceManager } = require('./nonceManager');
+const { BalanceCache } = require('./balanceCache');
+const { RpcProvider } = require('./rpcProvider');
+const { ERROR_CODES, InvalidRequestError, NotFoundError, ServiceUnavailableError } = require('../utlis/errors');
+
+/**
+ * Resolves the signing wallet for each request. Wallets on the same chain share one
+ * provider; each user account gets a BlockchainService per chain, bound to its own key
+ * and created on first use. Keystores are decrypted once and the unlocked wallets are
+ * kept in memory. All services share one nonce manager, so concurrent requests signing
+ * for the same address never reuse a nonce, and one balance cache, so a send from any
+ * service clears the balances it changed.
+ */
+class WalletRegistry {
+  /**
+   * @param {TokenRegistry} tokenRegistry - Networks (with their RPC URLs) and tokens
+   * @param {KeystoreService} keystoreService - Used to unlock stored accounts
+   */
+  constructor(tokenRegistry, keystoreService) {
+    this.tokenRegistry = tokenRegistry;
+    this.keystoreService = keystoreService;
+    this.providers = new Map();
+    this.wallets = new Map();
+    this.services = new Map();
+    this.nonceManager = new NonceManager();
+    this.balanceCache = new BalanceCache();
+  }
+
+  /**
+   * Get the shared provider for a network, backed by all of its RPC endpoints
+   * @param {Object} network - Network from the token registry
+   * @returns {RpcProvider} - Provider for the network
+   */
+  getProvider(network) {
+    if (!this.providers.has(network.chainId)) {
+      const rpcUrls = this.tokenRegistry.getRpcUrls(network);
+      if (rpcUrls.length === 0) {
+        throw new ServiceUnavailableError(`No RPC URL configured for network "${network.name}"`, { code: ERROR_CODES.NOT_CONFIGURED });
+      }
+      this.providers.set(network.chainId, new RpcProvider(rpcUrls, {
+        chainId: network.chainId,
+        quorum: this.tokenRegistry.getRpcQuorum(network)
+      }));
+    }
+    return this.providers.get(network.chainId);
+  }
+
+  /**
+   * Get the BlockchainService that signs for a user
+   * @param {Object} user - User document
+   * @param {string} [accountName] - Named account to sign with (defaults to the user's default account)
+   * @param {string|number} [networkName] - Network name, alias or chain ID (defaults to the default network)
+   * @returns {Promise<BlockchainService>} - Service bound to the chosen wallet and network
+   */
+  async getServiceForUser(user, accountName, networkName) {
+    const network = this.tokenRegistry.resolveNetwork(networkName);
+    if (!network) {
+      throw new InvalidRequestError(`Unknown network "${networkName}"`, { code: ERROR_CODES.UNKNOWN_NETWORK });
+    }
+
+    return this.getService(await this.getWallet(user, accountName), network);
+  }
+
+  /**
+   * Get the BlockchainService that signs for one of a user's addresses, e.g. to replace
+   * a transaction it sent
+   * @param {Object} user - User document
+   * @param {string} address - Address of one of the user's wallets
+   * @param {string|number} [networkName] - Network name, alias or chain ID (defaults to the default network)
+   * @returns {Promise<BlockchainService>} - Service bound to the wallet and network
+   */
+  async getServiceForAddress(user, address, networkName) {
+    const network = this.tokenRegistry.resolveNetwork(networkName);
+    if (!network) {
+      throw new InvalidRequestError(`Unknown network "${networkName}"`, { code: ERROR_CODES.UNKNOWN_NETWORK });
+    }
+
+    const account = await WalletAccountRepository.findByAddress(user._id, address);
+    const wallet = account
+      ? await this.getWallet(user, account.name)
+      : await this.getWallet(user, null).catch(() => null);
+
+    if (!wallet || wallet.signer.address.toLowerCase() !== address.toLowerCase()) {
+      throw new NotFoundError(`No wallet for address ${address}`, { code: ERROR_CODES.WALLET_NOT_FOUND });
+    }
+
+    return this.getService(wallet, network);
+  }
+
+  /**
+   * List every address EchoPay holds keys for: stored accounts, plus the environment
+   * key of each user without stored accounts
+   * @returns {Promise<Object[]>} - { owner, account, address } with lower-case addresses;
+   *   account is null for environment keys
+   */
+  async listManagedAddresses() {
+    const accounts = await WalletAccountRepository.findAllAddresses();
+    const managed = accounts.map(account => ({
+      owner: account.owner,
+      account: account.name,
+      address: account.address.toLowerCase()
+    }));
+
+    const withAccounts = new Set(accounts.map(account => account.owner.toString()));
+    for (const user of await UserRepository.findAll()) {
+      if (withAccounts.has(user._id.toString()) || !user.walletKeyEnv) continue;
+
+      try {
+        const { signer } = await this.getWallet(user, null);
+        managed.push({ owner: user._id, account: null, address: signer.address.toLowerCase() });
+      } catch (error) {
+        // The variable isn't set; the user has no wallet to watch
+      }
+    }
+
+    return managed;
+  }
+
+  /**
+   * Get or create the service for an unlocked wallet on a network
+   * @param {Object} wallet - { key, signer } from getWallet
+   * @param {Object} network - Network from the token registry
+   * @returns {BlockchainService} - Service bound to the wallet and network
+   */
+  getService(wallet, network) {
+    const key = `${wallet.key}:${network.chainId}`;
+    if (!this.services.has(key)) {
+      this.services.set(key, new BlockchainService(this.getProvider(network), wallet.signer, {
+        tokenRegistry: this.tokenRegistry,
+        chainId: network.chainId,
+        nonceManager: this.nonceManager,
+        balanceCache: this.balanceCache
+      }));
+    }
+
+    return this.services.get(key);
+  }
+
+  /**
+   * Get the unlocked signer for a user, independent of network
+   * @param {Object} user - User document
+   * @param {string} [accountName] - Named account (defaults to the user's default account)
+   * @returns {Promise<Object>} - { key, signer } where key identifies the user and account
+   */
+  async getWallet(user, accountName) {
+    const name = accountName || user.defaultAccount;
+    const account = name
+      ? await WalletAccountRepository.findByName(user._id, name)
+      : await WalletAccountRepository.findFirst(user._id);
+
+    if (name && !account) {
+      throw new NotFoundError(`Wallet account "${name}" not found`, { code: ERROR_CODES.WALLET_NOT_FOUND });
+    }
+
+    if (account) {
+      const key = `${user._id}:${account.name}`;
+      if (!this.wallets.has(key)) {
+        this.wallets.set(key, await this.keystoreService.unlock(account));
+      }
+      return { key, signer: this.wallets.get(key) };
+    }
+
+    // Users without stored accounts fall back to a key from the environment
+    const key = `${user._id}:env`;
+    if (!this.wallets.has(key)) {
+      const privateKey = user.walletKeyEnv && process.env[user.walletKeyEnv];
+      if (!privateKey) {
+        throw new ServiceUnavailableError(`No wallet configured for user "${user.username}"`, { code: ERROR_CODES.NOT_CONFIGURED });
+      }
+
+      this.wallets.set(key, new ethers.Wallet(privateKey));
+    }
+
+    return { key, signer: this.wallets.get(key) };
+  }
+
+  /**
+   * Drop providers and services after the network registry changes, so new RPC URLs take effect
+   */
+  resetNetworks() {
+    this.providers.clear();
+    this.services.clear();
+  }
+
+  /**
+   * Drop cached wallets and services, e.g. after a user's accounts change
+   * @param {Object} user - User document
+   * @param {string} [accountName] - Only drop this account's wallet and services
+   */
+  evict(user, accountName) {
+    const prefix = accountName
+      ? `${user._id}:${accountName.toLowerCase()}`
+      : `${user._id}:`;
+
+    for (const cache of [this.wallets, this.services]) {
+      for (const key of cache.keys()) {
+        if (accountName ? key === prefix || key.startsWith(`${prefix}:`) : key.startsWith(prefix)) {
+          cache.delete(key);
+        }
+      }
+    }
+  }
+}
+
+module.exports = WalletRegistry;
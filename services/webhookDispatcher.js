@@ -0,0 +1,199 @@
+// services/webhookDispatcher.js
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { checkUrl, publicLookup } = require('../utlis/publicUrl');
+const { WebhookRepository } = require('../models/Webhook');
+const { WebhookDeliveryRepository } = require('../models/WebhookDelivery');
+
+// How often due deliveries are looked for
+const POLL_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS, 10) || 10;
+
+// Attempts per delivery before it is given up, including the first
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+
+// Wait before the first retry; it doubles after each failure, up to MAX_RETRY_DELAY_SECONDS
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// How long an endpoint has to answer
+const TIMEOUT_SECONDS = parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10;
+
+// Deliveries sent per poll
+const BATCH_SIZE = 50;
+
+/**
+ * Sign a delivery body. Receivers recompute this over the X-EchoPay-Timestamp header,
+ * a dot and the raw request body, and compare it with X-EchoPay-Signature.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=" followed by the hex HMAC
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * POST a body to a URL without following redirects. Hosts are resolved with publicLookup,
+ * so the request never reaches an internal address, whatever DNS said at registration.
+ * @param {string} url - Endpoint; IP literals must already have passed checkUrl
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<number>} - HTTP status of the answer
+ */
+function post(url, headers, body, signal) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal
+    }, (response) => {
+      // Only the status matters
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Delay before the next attempt after a failure
+ * @param {number} attempts - Attempts made so far, including the one that just failed
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS) * 1000;
+}
+
+/**
+ * Delivers events to the webhooks users register. Every event is stored as a delivery
+ * per subscribed webhook and POSTed as signed JSON; failed deliveries are retried with
+ * exponential backoff until MAX_ATTEMPTS. Deliveries survive restarts, and a receiver may
+ * see one more than once, so it should ignore repeated event IDs.
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+    console.log(`Webhook dispatcher started (every ${POLL_INTERVAL_SECONDS}s, up to ${MAX_ATTEMPTS} attempts)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue an event for every webhook of its owner that subscribes to it, and start
+   * sending right away
+   * @param {string} ownerId - ID of the user the event concerns
+   * @param {string} event - Event name (see WEBHOOK_EVENTS)
+   * @param {Object} data - Event data
+   * @returns {Promise<number>} - Number of deliveries queued
+   */
+  async dispatch(ownerId, event, data) {
+    const webhooks = await WebhookRepository.findSubscribed(ownerId, event);
+    for (const webhook of webhooks) {
+      await WebhookDeliveryRepository.create(webhook, event, data);
+    }
+
+    if (webhooks.length > 0 && this.timer) {
+      this.poll();
+    }
+    return webhooks.length;
+  }
+
+  /**
+   * Send every due delivery once. Overlapping polls are skipped.
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      // Claims last longer than an attempt can take, so a crash mid-send only delays a retry
+      const leaseMs = (TIMEOUT_SECONDS + POLL_INTERVAL_SECONDS) * 2 * 1000;
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const delivery = await WebhookDeliveryRepository.claimDue(leaseMs);
+        if (!delivery) break;
+
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      console.error('Webhook dispatcher error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Make one attempt at a delivery and record the outcome
+   * @param {Object} delivery - Claimed delivery
+   * @returns {Promise<Object|null>} - Updated delivery
+   */
+  async deliver(delivery) {
+    const webhook = await WebhookRepository.findById(delivery.owner, delivery.webhook);
+    if (!webhook || !webhook.active) {
+      return WebhookDeliveryRepository.markAttemptFailed(delivery._id, { error: 'Webhook was deleted or disabled' });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signal = AbortSignal.timeout(TIMEOUT_SECONDS * 1000);
+    let responseStatus;
+    let error = checkUrl(webhook.url);
+
+    if (!error) {
+      try {
+        responseStatus = await post(webhook.url, {
+          'Content-Type': 'application/json',
+          'User-Agent': 'EchoPay-Webhooks/1.0',
+          'X-EchoPay-Event': delivery.event,
+          'X-EchoPay-Delivery': delivery._id.toString(),
+          'X-EchoPay-Timestamp': String(timestamp),
+          'X-EchoPay-Signature': signPayload(webhook.secret, timestamp, body)
+        }, body, signal);
+
+        if (responseStatus >= 200 && responseStatus < 300) {
+          return WebhookDeliveryRepository.markDelivered(delivery._id, responseStatus);
+        }
+        error = `Endpoint answered with HTTP ${responseStatus}`;
+      } catch (requestError) {
+        error = signal.aborted
+          ? `No answer within ${TIMEOUT_SECONDS}s`
+          : requestError.message;
+      }
+    }
+
+    const attempts = delivery.attempts + 1;
+    const nextAttemptAt = attempts < MAX_ATTEMPTS ? new Date(Date.now() + retryDelay(attempts)) : undefined;
+    console.error(`Webhook delivery ${delivery._id} to ${webhook.url} failed (attempt ${attempts}): ${error}`);
+
+    return WebhookDeliveryRepository.markAttemptFailed(delivery._id, { error, responseStatus, nextAttemptAt });
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  signPayload
+};
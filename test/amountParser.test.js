@@ -0,0 +1,107 @@
+// test/amountParser.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAmount, checkAmountPrecision, splitAmount, toUnits, fromUnits } = require('../utlis/amountParser');
+
+/**
+ * Assert that a phrase normalizes to an amount
+ * @param {string} text - Amount as spoken/typed
+ * @param {string} expected - Decimal string
+ */
+function reads(text, expected) {
+  assert.deepEqual(normalizeAmount(text), { amount: expected }, text);
+}
+
+/**
+ * Assert that a phrase is rejected
+ * @param {string} text - Amount as spoken/typed
+ */
+function rejects(text) {
+  assert.ok(normalizeAmount(text).error, `"${text}" should be rejected`);
+}
+
+test('reads digits, separators and suffixes', () => {
+  reads('5', '5');
+  reads('5.5', '5.5');
+  reads('1,000', '1000');
+  reads('1,000.25', '1000.25');
+  reads('.5', '0.5');
+  reads('1.5k', '1500');
+  reads('2m', '2000000');
+});
+
+test('reads spoken whole numbers', () => {
+  reads('five', '5');
+  reads('twenty one', '21');
+  reads('twenty-one', '21');
+  reads('a hundred', '100');
+  reads('fifteen hundred', '1500');
+  reads('two hundred twenty one', '221');
+  reads('two hundred fifty thousand', '250000');
+  reads('two million five hundred thousand', '2500000');
+  reads('nine hundred ninety nine thousand nine hundred ninety nine', '999999');
+  reads('1.5 million', '1500000');
+});
+
+test('reads "and" between groups and before fractions', () => {
+  reads('three hundred and fifty', '350');
+  reads('one thousand and five', '1005');
+  reads('one and a half', '1.5');
+  reads('two and three quarters', '2.75');
+});
+
+test('reads points and fractions', () => {
+  reads('five point five', '5.5');
+  reads('zero point two five', '0.25');
+  reads('half an', '0.5');
+  reads('a quarter of a', '0.25');
+  reads('three quarters', '0.75');
+  reads('3/4', '0.75');
+});
+
+test('rejects repeated scales', () => {
+  rejects('two hundred two hundred');
+  rejects('one thousand one thousand');
+  rejects('five million five million');
+  rejects('one thousand one million');
+  rejects('two million 1500 thousand');
+});
+
+test('rejects more than one value after a hundreds group', () => {
+  rejects('100 100');
+  rejects('one hundred 100');
+  rejects('two hundred five five');
+  rejects('five five');
+  rejects('two thousand 5000');
+  rejects('two million 1.5');
+});
+
+test('rejects trailing, leading and doubled "and"', () => {
+  rejects('five and');
+  rejects('and five');
+  rejects('one and and a half');
+  rejects('five and six');
+});
+
+test('rejects zero, nonsense and non-terminating amounts', () => {
+  rejects('');
+  rejects('zero');
+  rejects('lots');
+  rejects('a third');
+});
+
+test('checks precision against token decimals', () => {
+  assert.equal(checkAmountPrecision('1.123456', 6, 'USDC'), null);
+  assert.match(checkAmountPrecision('1.1234567', 6, 'USDC'), /more decimal places/);
+});
+
+test('converts to and from smallest units', () => {
+  assert.equal(toUnits('1.5', 6), 1500000n);
+  assert.equal(fromUnits(1500000n, 6), '1.5');
+  assert.equal(fromUnits(1n, 18), '0.000000000000000001');
+});
+
+test('splits amounts exactly', () => {
+  assert.deepEqual(splitAmount('10', [1, 1, 1], 6), ['3.333334', '3.333333', '3.333333']);
+  assert.deepEqual(splitAmount('90', [2, 1], 18), ['60', '30']);
+});
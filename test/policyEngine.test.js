@@ -0,0 +1,140 @@
+// test/policyEngine.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Policy, PolicyRepository } = require('../models/Policy');
+const { TransactionRepository } = require('../models/Transaction');
+const { PolicyEngine, PolicyViolationError, VIOLATIONS } = require('../services/policyEngine');
+const { ERROR_CODES } = require('../utlis/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const alice = { _id: new mongoose.Types.ObjectId(), name: 'alice', address: '0x1111111111111111111111111111111111111111' };
+
+/**
+ * Serve a policy and the ledger's recent sends without a database
+ * @param {Object} t - Test context, which restores the repositories afterwards
+ * @param {Object} fields - Policy fields
+ * @param {Object} [sent] - Amounts sent in the last day and week: { day: [...], week: [...] }
+ * @returns {Object[]} - Arguments of every findAmountsSince call
+ */
+function usePolicy(t, fields, sent = {}) {
+  const lookups = [];
+  t.mock.method(PolicyRepository, 'findForOwner', async () => new Policy({ owner: user._id, ...fields }));
+  t.mock.method(TransactionRepository, 'findAmountsSince', async (ownerId, token, since, excluding) => {
+    lookups.push({ ownerId, token, since, excluding });
+    return Date.now() - since.getTime() > 2 * DAY_MS ? (sent.week || []) : (sent.day || []);
+  });
+  return lookups;
+}
+
+/**
+ * Evaluate a USDC send to alice
+ * @param {string} amount - Decimal amount
+ * @param {Object} [extra] - Other evaluate() parameters
+ * @returns {Promise<Object[]>} - Violations
+ */
+function evaluate(amount, extra = {}) {
+  return PolicyEngine.evaluate({ user, token: 'USDC', amount, decimals: 6, contact: alice, ...extra });
+}
+
+test('allows anything without a policy', async (t) => {
+  usePolicy(t, {});
+  assert.deepEqual(await evaluate('1000000'), []);
+});
+
+test('caps single sends per token', async (t) => {
+  usePolicy(t, { perTransactionCaps: { USDC: '100' } });
+
+  assert.deepEqual(await evaluate('100'), []);
+
+  const [violation] = await evaluate('100.000001');
+  assert.equal(violation.code, VIOLATIONS.PER_TRANSACTION_CAP);
+  assert.equal(violation.limit, '100');
+
+  assert.deepEqual(await PolicyEngine.evaluate({ user, token: 'DAI', amount: '500', decimals: 18, contact: alice }), []);
+});
+
+test('counts the last day\'s sends towards the daily limit', async (t) => {
+  const lookups = usePolicy(t, { dailyLimits: { USDC: '100' } }, { day: ['40', '20.5'] });
+
+  assert.deepEqual(await evaluate('39.5'), []);
+
+  const [violation] = await evaluate('39.500001');
+  assert.equal(violation.code, VIOLATIONS.DAILY_LIMIT);
+  assert.equal(violation.spent, '60.5');
+
+  const { token, since } = lookups[0];
+  assert.equal(token, 'USDC');
+  assert.ok(Math.abs(Date.now() - DAY_MS - since.getTime()) < 1000);
+});
+
+test('counts the last week\'s sends towards the weekly limit', async (t) => {
+  const lookups = usePolicy(t, { dailyLimits: { USDC: '100' }, weeklyLimits: { USDC: '300' } }, { day: ['10'], week: ['250'] });
+
+  const violations = await evaluate('60');
+  assert.deepEqual(violations.map(violation => violation.code), [VIOLATIONS.WEEKLY_LIMIT]);
+  assert.equal(violations[0].spent, '250.0');
+  assert.ok(Math.abs(Date.now() - 7 * DAY_MS - lookups[1].since.getTime()) < 1000);
+});
+
+test('leaves a send\'s own reservation out of what was spent', async (t) => {
+  const lookups = usePolicy(t, { dailyLimits: { USDC: '100' } });
+  const reservation = new mongoose.Types.ObjectId();
+
+  await evaluate('10', { reservation });
+  assert.equal(lookups[0].excluding, reservation);
+});
+
+test('counts earlier payments of a batch towards the limits', async (t) => {
+  usePolicy(t, { dailyLimits: { USDC: '100' } }, { day: ['30'] });
+  const bob = { ...alice, name: 'bob' };
+  const carol = { ...alice, name: 'carol' };
+
+  const violations = await PolicyEngine.evaluateBatch({
+    user,
+    token: 'USDC',
+    decimals: 6,
+    payments: [
+      { amount: '30', contact: alice },
+      { amount: '40', contact: bob },
+      { amount: '0.01', contact: carol }
+    ]
+  });
+
+  assert.deepEqual(violations.map(({ code, recipient, spent }) => ({ code, recipient, spent })), [
+    { code: VIOLATIONS.DAILY_LIMIT, recipient: 'carol', spent: '100.0' }
+  ]);
+});
+
+test('only pays allowlisted recipients when the allowlist is on', async (t) => {
+  usePolicy(t, { allowlistOnly: true, allowlist: [alice.address] });
+  assert.deepEqual(await evaluate('1'), []);
+
+  const stranger = { name: 'mallory', address: '0x2222222222222222222222222222222222222222' };
+  const [violation] = await evaluate('1', { contact: stranger });
+  assert.equal(violation.code, VIOLATIONS.NOT_ALLOWLISTED);
+});
+
+test('holds payments to new contacts until the cooldown ends', async (t) => {
+  usePolicy(t, { newContactCooldownMinutes: 60 });
+
+  const [violation] = await evaluate('1', { contact: { ...alice, createdAt: new Date(Date.now() - 59 * 60 * 1000) } });
+  assert.equal(violation.code, VIOLATIONS.NEW_CONTACT_COOLDOWN);
+
+  assert.deepEqual(await evaluate('1', { contact: { ...alice, createdAt: new Date(Date.now() - 61 * 60 * 1000) } }), []);
+  assert.deepEqual(await evaluate('1', { contact: alice }), []);
+});
+
+test('enforce throws every violation at once', async (t) => {
+  usePolicy(t, { perTransactionCaps: { USDC: '10' }, dailyLimits: { USDC: '10' } });
+
+  await assert.rejects(PolicyEngine.enforce({ user, token: 'USDC', amount: '11', decimals: 6, contact: alice }), (error) => {
+    assert.ok(error instanceof PolicyViolationError);
+    assert.equal(error.status, 403);
+    assert.equal(error.code, ERROR_CODES.POLICY_VIOLATION);
+    assert.deepEqual(error.violations.map(violation => violation.code), [VIOLATIONS.PER_TRANSACTION_CAP, VIOLATIONS.DAILY_LIMIT]);
+    return true;
+  });
+});
@@ -0,0 +1,96 @@
+// test/publicUrl.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPublicAddress, checkUrl, checkResolvedUrl, publicLookup } = require('../utlis/publicUrl');
+
+/**
+ * Resolve a host through publicLookup
+ * @param {string} hostname - Host to resolve
+ * @returns {Promise<Object>} - { error, address }
+ */
+function lookup(hostname) {
+  return new Promise(resolve => {
+    publicLookup(hostname, {}, (error, address) => resolve({ error, address }));
+  });
+}
+
+test('treats public addresses as public', () => {
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+  assert.equal(isPublicAddress('1.1.1.1'), true);
+  assert.equal(isPublicAddress('2606:4700:4700::1111'), true);
+});
+
+test('refuses loopback, private, link-local and other internal addresses', () => {
+  for (const address of [
+    '127.0.0.1',
+    '127.255.0.1',
+    '0.0.0.0',
+    '10.1.2.3',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '224.0.0.1',
+    '::',
+    '::1',
+    '::ffff:127.0.0.1',
+    '::ffff:10.0.0.1',
+    '64:ff9b::7f00:1',
+    'fd00::1',
+    'fe80::1',
+    'ff02::1'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('does not treat host names as addresses', () => {
+  assert.equal(isPublicAddress('example.com'), false);
+  assert.equal(isPublicAddress(''), false);
+});
+
+test('accepts https URLs on public hosts', () => {
+  assert.equal(checkUrl('https://example.com/hooks/echopay'), null);
+  assert.equal(checkUrl('https://8.8.8.8:8443/hook'), null);
+  assert.equal(checkUrl('https://[2606:4700:4700::1111]/hook'), null);
+});
+
+test('refuses URLs that point at the server or its network', () => {
+  for (const url of [
+    'https://localhost/hook',
+    'https://LOCALHOST:3000/hook',
+    'https://api.localhost/hook',
+    'https://127.0.0.1/hook',
+    'https://127.1/hook',
+    'https://0x7f000001/hook',
+    'https://2130706433/hook',
+    'https://10.0.0.5/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/hook',
+    'https://[::ffff:127.0.0.1]/hook',
+    'https://[fe80::1]/hook'
+  ]) {
+    assert.equal(checkUrl(url), 'url must point at a public address', url);
+  }
+});
+
+test('refuses other protocols and malformed URLs', { skip: process.env.NODE_ENV === 'development' }, () => {
+  assert.match(checkUrl('http://example.com/hook'), /https URL/);
+  assert.match(checkUrl('ftp://example.com/hook'), /https URL/);
+  assert.match(checkUrl('file:///etc/passwd'), /https URL/);
+  assert.equal(checkUrl('not a url'), 'url must be a valid URL');
+});
+
+test('checks resolved addresses only for host names', async () => {
+  assert.equal(await checkResolvedUrl('https://8.8.8.8/hook'), null);
+  assert.equal(await checkResolvedUrl('https://127.0.0.1/hook'), 'url must point at a public address');
+});
+
+test('refuses host names that resolve to internal addresses', async () => {
+  // localhost resolves through the hosts file, so no DNS server is needed
+  const { error, address } = await lookup('localhost');
+  assert.ok(error, 'localhost should not resolve');
+  assert.match(error.message, /not a public address/);
+  assert.equal(address, undefined);
+});
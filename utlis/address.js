@@ -0,0 +1,51 @@
+// utlis/address.js
+/**
+ * Address checks for contacts: EIP-55 checksums and ENS names
+ */
+
+const { ethers } = require('ethers');
+
+const HEX_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+
+// "alice.eth", "pay.alice.eth", "alice.xyz" (DNS names imported into ENS)
+const ENS_NAME = /^(?:[a-z0-9-]+\.)+[a-z]{2,}$/i;
+
+/**
+ * Check whether a string is shaped like an address, whatever its checksum
+ * @param {string} value - Candidate address
+ * @returns {boolean}
+ */
+function isHexAddress(value) {
+  return typeof value === 'string' && HEX_ADDRESS.test(value);
+}
+
+/**
+ * Convert an address to its EIP-55 checksummed form. All-lowercase and all-uppercase
+ * addresses carry no checksum and are accepted; mixed-case addresses must match theirs.
+ * @param {string} value - Address
+ * @returns {string|null} - Checksummed address, or null if it is malformed or the checksum is wrong
+ */
+function toChecksumAddress(value) {
+  if (!isHexAddress(value)) return null;
+
+  try {
+    return ethers.utils.getAddress(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a string looks like an ENS name
+ * @param {string} value - Candidate name
+ * @returns {boolean}
+ */
+function isEnsName(value) {
+  return typeof value === 'string' && !value.startsWith('0x') && ENS_NAME.test(value);
+}
+
+module.exports = {
+  isHexAddress,
+  toChecksumAddress,
+  isEnsName
+};
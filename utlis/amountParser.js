@@ -0,0 +1,371 @@
+// utlis/amountParser.js
+/**
+ * Normalizes spoken or typed amounts ("five point five", "half an", "1,000", "1.5k")
+ * into exact decimal strings that ethers.utils.parseUnits can consume.
+ * All arithmetic is done on BigInt fractions so nothing is rounded or truncated.
+ */
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const SCALES = {
+  thousand: 1000n,
+  k: 1000n,
+  million: 1000000n,
+  m: 1000000n,
+  billion: 1000000000n
+};
+
+// Denominators for spoken fractions ("half", "three quarters", "a tenth")
+const FRACTIONS = {
+  half: 2n, halves: 2n,
+  third: 3n, thirds: 3n,
+  quarter: 4n, quarters: 4n, fourth: 4n, fourths: 4n,
+  fifth: 5n, fifths: 5n,
+  eighth: 8n, eighths: 8n,
+  tenth: 10n, tenths: 10n,
+  hundredth: 100n, hundredths: 100n,
+  thousandth: 1000n, thousandths: 1000n
+};
+
+// Filler words that can surround an amount ("half an eth", "a quarter of a dai")
+const FILLER = new Set(['a', 'an', 'of']);
+
+/**
+ * Build a reduced fraction
+ * @param {bigint} n - Numerator
+ * @param {bigint} [d] - Denominator
+ * @returns {Object} { n, d }
+ */
+function fraction(n, d = 1n) {
+  const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+  const g = gcd(n < 0n ? -n : n, d) || 1n;
+  return { n: n / g, d: d / g };
+}
+
+function add(a, b) {
+  return fraction(a.n * b.d + b.n * a.d, a.d * b.d);
+}
+
+function mul(a, b) {
+  return fraction(a.n * b.n, a.d * b.d);
+}
+
+/**
+ * Parse a plain digit string ("5", "5.5", "1,000", "1,000.25")
+ * @param {string} text - Numeric text
+ * @returns {Object|null} Fraction or null if not numeric
+ */
+function parseDigits(text) {
+  if (!/^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$|^\.\d+$/.test(text)) {
+    return null;
+  }
+
+  const [whole, decimals = ''] = text.replace(/,/g, '').split('.');
+  return fraction(BigInt((whole || '0') + decimals), 10n ** BigInt(decimals.length));
+}
+
+/**
+ * Parse a single word or numeric token into a fraction
+ * @param {string} word - Token
+ * @returns {Object|null} Fraction or null if not a number
+ */
+function parseNumberWord(word) {
+  if (word in UNITS) return fraction(BigInt(UNITS[word]));
+  if (word in TENS) return fraction(BigInt(TENS[word]));
+  return parseDigits(word);
+}
+
+/**
+ * Check whether a fraction is a whole number below a limit
+ * @param {Object} value - Fraction
+ * @param {bigint} limit - Exclusive upper bound
+ * @returns {boolean}
+ */
+function isWholeBelow(value, limit) {
+  return value.d === 1n && value.n < limit;
+}
+
+/**
+ * Parse a whole-number phrase such as "two hundred fifty thousand" or "1.5 million".
+ * Amounts move money, so anything that doesn't read one way only ("two hundred two
+ * hundred", "100 100", "five million five million") is rejected rather than guessed at.
+ * @param {string[]} words - Tokens
+ * @returns {Object|null} Fraction or null if the phrase isn't a number
+ */
+function parseCardinal(words) {
+  if (words.length === 0) return null;
+
+  let total = fraction(0n);
+  let current = null;      // Group being read, e.g. "two hundred fifty" before "thousand"
+  let hasHundred = false;  // Whether the group has had its "hundred"
+  let lastScale = null;    // Last scale added to the total; each one after must be smaller
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const previous = words[i - 1];
+
+    // "a hundred", "a thousand"
+    if ((word === 'a' || word === 'an') && i === 0 && words.length > 1) {
+      current = fraction(1n);
+      continue;
+    }
+
+    // "two hundred", "fifteen hundred", or "hundred" on its own
+    if (word === 'hundred') {
+      if (hasHundred || (current ? !isWholeBelow(current, 100n) : i > 0)) return null;
+      current = mul(current || fraction(1n), fraction(100n));
+      hasHundred = true;
+      continue;
+    }
+
+    if (word in SCALES) {
+      const scale = SCALES[word];
+      if (!current && i > 0) return null;
+      if (lastScale !== null && (scale >= lastScale || !isWholeBelow(current, lastScale / scale))) {
+        return null;
+      }
+      total = add(total, mul(current || fraction(1n), fraction(scale)));
+      current = null;
+      hasHundred = false;
+      lastScale = scale;
+      continue;
+    }
+
+    const value = parseNumberWord(word);
+    if (!value) return null;
+
+    if (current) {
+      // Only "two hundred" + one value under 100 and "twenty" + "one" combine;
+      // "five five" and "100 100" are not numbers
+      const afterHundred = previous === 'hundred' && isWholeBelow(value, 100n);
+      const afterTens = previous in TENS && word in UNITS && UNITS[word] < 10;
+      if (!afterHundred && !afterTens) return null;
+    } else if (lastScale !== null && value.d !== 1n) {
+      // "two million 1.5"
+      return null;
+    }
+
+    current = current ? add(current, value) : value;
+  }
+
+  // What follows a scale must be smaller than it: "two thousand 5000" is not a number
+  if (current && lastScale !== null && !isWholeBelow(current, lastScale)) return null;
+
+  return current ? add(total, current) : total;
+}
+
+/**
+ * Parse a fraction phrase such as "half", "a quarter", "three quarters" or "3/4"
+ * @param {string[]} words - Tokens
+ * @returns {Object|null} Fraction or null if the phrase isn't a fraction
+ */
+function parseFractionPhrase(words) {
+  if (words.length === 1) {
+    const slash = words[0].match(/^(\d+)\/(\d+)$/);
+    if (slash && BigInt(slash[2]) !== 0n) {
+      return fraction(BigInt(slash[1]), BigInt(slash[2]));
+    }
+  }
+
+  const last = words[words.length - 1];
+  if (!(last in FRACTIONS)) return null;
+
+  const countWords = words.slice(0, -1);
+  const count = countWords.length === 0 || (countWords.length === 1 && FILLER.has(countWords[0]))
+    ? fraction(1n)
+    : parseCardinal(countWords);
+
+  return count ? mul(count, fraction(1n, FRACTIONS[last])) : null;
+}
+
+/**
+ * Parse "<whole> point <digit> <digit> ..." ("five point five", "0 point 2 5")
+ * @param {string[]} words - Tokens
+ * @returns {Object|null} Fraction or null if the phrase doesn't use "point"
+ */
+function parsePointPhrase(words) {
+  const index = words.indexOf('point');
+  if (index === -1) return null;
+
+  const whole = index === 0 ? fraction(0n) : parseCardinal(words.slice(0, index));
+  const digitWords = words.slice(index + 1);
+  if (!whole || digitWords.length === 0) return null;
+
+  let digits = '';
+  for (const word of digitWords) {
+    if (word in UNITS && UNITS[word] < 10) {
+      digits += UNITS[word];
+    } else if (/^\d+$/.test(word)) {
+      digits += word;
+    } else {
+      return null;
+    }
+  }
+
+  return add(whole, fraction(BigInt(digits), 10n ** BigInt(digits.length)));
+}
+
+/**
+ * Turn a fraction into an exact decimal string
+ * @param {Object} value - Fraction
+ * @returns {string|null} Decimal string or null if it doesn't terminate (e.g. one third)
+ */
+function toDecimalString(value) {
+  // Find the smallest power of ten the denominator divides; none exists for thirds etc.
+  let scale = 0;
+  while (10n ** BigInt(scale) % value.d !== 0n) {
+    scale++;
+    if (scale > 77) return null;
+  }
+
+  const digits = (value.n * (10n ** BigInt(scale) / value.d)).toString().padStart(scale + 1, '0');
+  if (scale === 0) return digits;
+
+  const whole = digits.slice(0, digits.length - scale);
+  const decimals = digits.slice(digits.length - scale).replace(/0+$/, '');
+  return decimals ? `${whole}.${decimals}` : whole;
+}
+
+/**
+ * Normalize a spoken or typed amount into an exact decimal string
+ * @param {string} text - Amount text (e.g. "five point five", "half an", "1,000", "1.5k")
+ * @returns {Object} { amount } on success or { error } describing why it was rejected
+ */
+function normalizeAmount(text) {
+  if (!text || typeof text !== 'string') {
+    return { error: 'Amount is required' };
+  }
+
+  const cleaned = text.toLowerCase().trim()
+    .replace(/(\d)\s*([km])$/, '$1 $2') // "1.5k" -> "1.5 k"
+    .replace(/-/g, ' ');
+
+  let words = cleaned.split(/\s+/);
+
+  // Drop trailing filler that belongs to the token ("half an eth", "a quarter of a dai")
+  while (words.length > 1 && FILLER.has(words[words.length - 1])) {
+    words = words.slice(0, -1);
+  }
+
+  let value;
+  const andIndex = words.indexOf('and');
+  const andCount = words.filter(word => word === 'and').length;
+
+  if (andCount > 1 || (andIndex !== -1 && andIndex === words.length - 1)) {
+    // "five and", "one and and a half"
+    value = null;
+  } else if (andIndex > 0) {
+    // "one and a half", "two and three quarters", or "three hundred and fifty"
+    const whole = parseCardinal(words.slice(0, andIndex));
+    const part = parseFractionPhrase(words.slice(andIndex + 1));
+    const joinsGroups = words[andIndex - 1] === 'hundred' || words[andIndex - 1] in SCALES;
+    if (whole && part) {
+      value = add(whole, part);
+    } else {
+      value = joinsGroups ? parseCardinal(words.filter((word, i) => i !== andIndex)) : null;
+    }
+  } else {
+    value = parsePointPhrase(words) || parseFractionPhrase(words) || parseCardinal(words);
+  }
+
+  if (!value) {
+    return { error: `Could not understand amount "${text.trim()}"` };
+  }
+
+  if (value.n <= 0n) {
+    return { error: 'Amount must be greater than zero' };
+  }
+
+  const amount = toDecimalString(value);
+  if (!amount) {
+    return { error: `Amount "${text.trim()}" cannot be represented as an exact decimal` };
+  }
+
+  return { amount };
+}
+
+/**
+ * Count the decimal places in a normalized amount
+ * @param {string} amount - Decimal string
+ * @returns {number} Number of digits after the decimal point
+ */
+function countDecimals(amount) {
+  const [, decimals = ''] = amount.split('.');
+  return decimals.length;
+}
+
+/**
+ * Check that an amount fits within a token's decimals, rather than letting parseUnits fail or truncate
+ * @param {string} amount - Decimal string
+ * @param {number} decimals - Token decimals
+ * @param {string} tokenSymbol - Token symbol for the error message
+ * @returns {string|null} Error message or null if the amount is representable
+ */
+function checkAmountPrecision(amount, decimals, tokenSymbol) {
+  if (countDecimals(amount) > decimals) {
+    return `Amount ${amount} has more decimal places than ${tokenSymbol} supports (${decimals})`;
+  }
+  return null;
+}
+
+/**
+ * Convert a decimal string to integer units of a token
+ * @param {string} amount - Decimal string that fits in the token's decimals
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in the smallest unit
+ */
+function toUnits(amount, decimals) {
+  const [whole, frac = ''] = amount.split('.');
+  return BigInt(whole + frac.padEnd(decimals, '0'));
+}
+
+/**
+ * Convert integer units of a token back to a decimal string
+ * @param {bigint} units - Amount in the smallest unit
+ * @param {number} decimals - Token decimals
+ * @returns {string} Decimal string without trailing zeros
+ */
+function fromUnits(units, decimals) {
+  const digits = units.toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const frac = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return frac ? `${whole}.${frac}` : whole;
+}
+
+/**
+ * Split an amount by weights, exactly, in a token's smallest unit. Any remainder left
+ * by rounding down goes one unit at a time to the first shares, so the shares always
+ * add up to the total.
+ * @param {string} total - Decimal string that fits in the token's decimals
+ * @param {number[]} weights - Positive integer weights, one per share
+ * @param {number} decimals - Token decimals
+ * @returns {string[]} Decimal share per weight
+ */
+function splitAmount(total, weights, decimals) {
+  const totalUnits = toUnits(total, decimals);
+  const weightSum = weights.reduce((sum, weight) => sum + BigInt(weight), 0n);
+
+  const shares = weights.map(weight => totalUnits * BigInt(weight) / weightSum);
+  let remainder = totalUnits - shares.reduce((sum, share) => sum + share, 0n);
+  for (let i = 0; remainder > 0n; i = (i + 1) % shares.length, remainder--) {
+    shares[i] += 1n;
+  }
+
+  return shares.map(share => fromUnits(share, decimals));
+}
+
+module.exports = {
+  normalizeAmount,
+  checkAmountPrecision,
+  splitAmount,
+  toUnits,
+  fromUnits
+};
@@ -1,17 +1,156 @@
 // utils/commandParser.js
 /**
  * Advanced command parser for handling various transaction-related commands
- * Including support for MTK custom token
+ * on any registered network
  */
 
+const { normalizeAmount } = require('./amountParser');
+const { splitSchedule, describeSchedule } = require('./schedule');
+const { isEnsName } = require('./address');
+
 // Standard patterns for common commands
 const PATTERNS = {
-    SEND: /^send\s+(\d+(?:\.\d+)?)\s+([a-zA-Z]+)\s+to\s+(.+)$/i,
+    // Amount may be digits or words ("5.5", "five point five", "half an", "1,000", "1.5k")
+    SEND: /^send\s+(.+?)\s+([a-zA-Z]+)\s+to\s+(.+)$/i,
+    SEND_EACH: /^send\s+(.+?)\s+([a-zA-Z]+)\s+each\s+to\s+(.+)$/i,
+    SPLIT: /^split\s+(.+?)\s+([a-zA-Z]+)\s+(?:between|among|amongst)\s+(.+)$/i,
+    // Payer and memo are optional; quote a memo that ends in "on ..." ('for "lunch on friday"')
+    REQUEST: /^request\s+(.+?)\s+([a-zA-Z]+)(?:\s+from\s+(.+?))?(?:\s+for\s+(.+))?$/i,
     CHECK_BALANCE: /^(?:check|show|view)\s+(?:my)?\s*balance(?:\s+of\s+([a-zA-Z]+))?$/i,
-    ADD_CONTACT: /^add\s+contact\s+([a-zA-Z0-9_]+)\s+(?:with\s+address\s+|as\s+)?(0x[a-fA-F0-9]{40})$/i,
+    // The address may be an ENS name ("add contact alice as alice.eth")
+    ADD_CONTACT: /^add\s+contact\s+([a-zA-Z0-9_]+)\s+(?:with\s+(?:address|ens(?:\s+name)?)\s+|as\s+)?(0x[a-fA-F0-9]{40}|[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+)$/i,
     LIST_CONTACTS: /^(?:list|show|view)\s+(?:my)?\s*contacts$/i
   };
   
+  // Optional trailing network for sends and balance checks ("... on polygon", "... on arbitrum one").
+  // Only the last "on" counts, so "on friday on polygon" leaves "on friday" for the schedule.
+  const NETWORK_SUFFIX = /\s+on\s+([a-zA-Z][a-zA-Z0-9-]*(?:\s+(?!on\b)[a-zA-Z0-9-]+)*)$/i;
+  
+  /**
+   * Split a trailing "on <network>" off a command
+   * @param {string} command - The command text
+   * @returns {Object} { text, network } where network is null if none was named
+   */
+  function splitNetwork(command) {
+    const match = command.match(NETWORK_SUFFIX);
+    if (!match) {
+      return { text: command, network: null };
+    }
+    
+    return {
+      text: command.slice(0, match.index),
+      network: match[1].trim().toLowerCase()
+    };
+  }
+  
+  /**
+   * Split the trailing network and schedule phrases off a command, in either order
+   * ("... every friday on polygon" or "... on polygon every friday")
+   * @param {string} command - The command text
+   * @returns {Object} { text, network, recurrence, scheduleError }
+   */
+  function splitSuffixes(command) {
+    let text = command;
+    let network = null;
+    let recurrence = null;
+    let scheduleError = null;
+    
+    for (let i = 0; i < 2; i++) {
+      // Schedules first, so "on friday" isn't taken for a network
+      if (!recurrence && !scheduleError) {
+        const schedule = splitSchedule(text);
+        text = schedule.text;
+        recurrence = schedule.recurrence;
+        scheduleError = schedule.error || null;
+      }
+      
+      if (!network) {
+        const split = splitNetwork(text);
+        text = split.text;
+        network = split.network;
+      }
+    }
+    
+    return { text, network, recurrence, scheduleError };
+  }
+  
+  // Most recipients a single batch command may pay
+  const MAX_BATCH_RECIPIENTS = 20;
+  
+  // Trailing ratio for weighted splits ("... between alice and bob 2:1")
+  const RATIO_SUFFIX = /\s+(?:in\s+(?:the|a)\s+ratio\s+(?:of\s+)?)?(\d+(?:\s*:\s*\d+)+)$/i;
+  
+  // Per-recipient percentage for weighted splits ("alice 60%")
+  const PERCENT_SUFFIX = /^(.+?)\s+(\d+)\s*%$/;
+  
+  /**
+   * Parse a list of recipients such as "alice, bob and carol", with optional weights
+   * given as a trailing ratio ("alice and bob 2:1") or percentages ("alice 60% and bob 40%")
+   * @param {string} text - Recipient list
+   * @param {boolean} allowWeights - Whether weights are allowed (splits only)
+   * @returns {Object} { recipients, weights } where weights is null if none were given, or { error }
+   */
+  function parseRecipientList(text, allowWeights) {
+    let list = text.trim();
+    let weights = null;
+    
+    const ratio = list.match(RATIO_SUFFIX);
+    if (ratio && allowWeights) {
+      weights = ratio[1].split(':').map(part => parseInt(part.trim(), 10));
+      list = list.slice(0, ratio.index);
+    }
+    
+    const entries = list.split(/\s*,\s*(?:and\s+)?|\s+and\s+/i).filter(Boolean);
+    const percents = entries.map(entry => entry.match(PERCENT_SUFFIX));
+    const recipients = entries.map((entry, i) => (percents[i] ? percents[i][1] : entry).trim());
+    
+    if (recipients.length > MAX_BATCH_RECIPIENTS) {
+      return { error: `A batch can pay at most ${MAX_BATCH_RECIPIENTS} recipients` };
+    }
+    
+    const names = recipients.map(name => name.toLowerCase());
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+      return { error: `${duplicate} is listed more than once` };
+    }
+    
+    if (percents.some(Boolean)) {
+      if (!allowWeights) {
+        return { error: 'Percentages can only be used when splitting an amount' };
+      }
+      if (weights || !percents.every(Boolean)) {
+        return { error: 'Give a percentage for every recipient, or a ratio, but not both' };
+      }
+      
+      weights = percents.map(percent => parseInt(percent[2], 10));
+      if (weights.reduce((sum, weight) => sum + weight, 0) !== 100) {
+        return { error: 'Percentages must add up to 100' };
+      }
+    }
+    
+    if (weights) {
+      if (weights.length !== recipients.length) {
+        return { error: `The ratio ${weights.join(':')} has ${weights.length} parts but there are ${recipients.length} recipients` };
+      }
+      if (weights.some(weight => weight <= 0)) {
+        return { error: 'Every share of a split must be greater than zero' };
+      }
+    }
+    
+    return { recipients, weights };
+  }
+  
+  /**
+   * Join names for display: "alice, bob and carol"
+   * @param {string[]} names - Names
+   * @returns {string} Joined names
+   */
+  function joinNames(names) {
+    return names.length > 1
+      ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+      : names.join('');
+  }
+  
   /**
    * Parse a command string into structured data
    * @param {string} commandString - The command to parse
@@ -27,55 +166,120 @@ const PATTERNS = {
     // Try to match each pattern
     let match;
     
-    // 1. Send tokens
-    if ((match = command.match(PATTERNS.SEND))) {
-      // Extract token from the command, normalize it to uppercase
-      let token = match[2].toUpperCase();
+    // Sends and balance checks may name a network; token aliases are resolved
+    // against the token registry for that network by the caller. Sends may also
+    // carry a schedule ("every friday", "on 2026-11-01").
+    const { text, network, recurrence, scheduleError } = splitSuffixes(command);
+    const scheduled = Boolean(recurrence || scheduleError);
+    
+    // 1. Batch sends: the same amount to each recipient, or one amount split between them.
+    // Checked before SEND, which would otherwise read "10 usdc each" as the amount.
+    const batchMatch = text.match(PATTERNS.SEND_EACH) || text.match(PATTERNS.SPLIT);
+    if (batchMatch) {
+      const mode = PATTERNS.SEND_EACH.test(text) ? 'each' : 'split';
+      const { amount, error: amountError } = normalizeAmount(batchMatch[1]);
+      const { recipients, weights, error: listError } = parseRecipientList(batchMatch[3], mode === 'split');
+      
+      const parsed = {
+        type: 'BATCH_SEND',
+        payload: {
+          mode: mode,
+          amount: amount,
+          token: batchMatch[2].toUpperCase(),
+          recipients: recipients || [],
+          // Splits without a ratio are even
+          weights: mode === 'split' && recipients ? weights || recipients.map(() => 1) : null,
+          network: network
+        }
+      };
       
-      // Handle token aliases/variations
-      if (token === 'MYTOKEN' || token === 'MY-TOKEN' || token === 'MY_TOKEN') {
-        token = 'MTK'; // Map various forms to your standard MTK token symbol
+      if (amountError || listError || scheduled) {
+        parsed.error = amountError || listError || 'Batch payments cannot be scheduled';
+        parsed.originalCommand = command;
       }
       
-      return {
-        type: 'SEND',
+      return parsed;
+    }
+    
+    // 2. Send tokens
+    if ((match = text.match(PATTERNS.SEND))) {
+      // Extract token from the command, normalize it to uppercase
+      const token = match[2].toUpperCase();
+      
+      const { amount, error } = normalizeAmount(match[1]);
+      
+      const parsed = {
+        type: scheduled ? 'SCHEDULE_SEND' : 'SEND',
         payload: {
-          amount: match[1],
+          amount: amount,
           token: token,
-          recipient: match[3].trim()
+          recipient: match[3].trim(),
+          network: network
         }
       };
+      
+      if (recurrence) {
+        parsed.payload.recurrence = recurrence;
+      }
+      
+      // Keep the SEND type so callers can report the amount problem specifically
+      if (error || scheduleError) {
+        parsed.error = error || scheduleError;
+        parsed.originalCommand = command;
+      }
+      
+      return parsed;
     }
     
-    // 2. Check balance
-    if ((match = command.match(PATTERNS.CHECK_BALANCE))) {
-      let token = match[1] ? match[1].toUpperCase() : 'ALL';
+    // 3. Request a payment
+    if ((match = text.match(PATTERNS.REQUEST))) {
+      const { amount, error } = normalizeAmount(match[1]);
+      
+      const parsed = {
+        type: 'REQUEST_PAYMENT',
+        payload: {
+          amount: amount,
+          token: match[2].toUpperCase(),
+          payer: match[3] ? match[3].trim() : null,
+          memo: match[4] ? match[4].trim().replace(/^"(.*)"$/, '$1') : null,
+          network: network
+        }
+      };
       
-      // Handle token aliases for balance check
-      if (token === 'MYTOKEN' || token === 'MY-TOKEN' || token === 'MY_TOKEN') {
-        token = 'MTK';
+      if (error || scheduled) {
+        parsed.error = error || 'Payment requests cannot be scheduled';
+        parsed.originalCommand = command;
       }
       
+      return parsed;
+    }
+    
+    // 4. Check balance
+    if (!scheduled && (match = text.match(PATTERNS.CHECK_BALANCE))) {
+      const token = match[1] ? match[1].toUpperCase() : 'ALL';
+      
       return {
         type: 'CHECK_BALANCE',
         payload: {
-          token: token
+          token: token,
+          network: network
         }
       };
     }
     
-    // 3. Add contact
+    // 5. Add contact
     if ((match = command.match(PATTERNS.ADD_CONTACT))) {
       return {
         type: 'ADD_CONTACT',
         payload: {
           name: match[1].trim(),
-          address: match[2]
+          address: isEnsName(match[2]) ? null : match[2],
+          ensName: isEnsName(match[2]) ? match[2].toLowerCase() : null
         }
       };
     }
     
-    // 4. List contacts
+    // 6. List contacts
     if ((match = command.match(PATTERNS.LIST_CONTACTS))) {
       return {
         type: 'LIST_CONTACTS',
@@ -98,35 +302,135 @@ const PATTERNS = {
   function getCommandDescription(parsedCommand) {
     if (!parsedCommand) return 'Invalid command';
     
+    const onNetwork = parsedCommand.payload && parsedCommand.payload.network
+      ? ` on ${parsedCommand.payload.network}`
+      : '';
+    
     switch (parsedCommand.type) {
       case 'SEND':
-        return `Send ${parsedCommand.payload.amount} ${parsedCommand.payload.token} to ${parsedCommand.payload.recipient}`;
+        return `Send ${parsedCommand.payload.amount} ${parsedCommand.payload.token} to ${parsedCommand.payload.recipient}${onNetwork}`;
+      
+      case 'SCHEDULE_SEND': {
+        const { amount, token, recipient, recurrence } = parsedCommand.payload;
+        const when = recurrence ? ` ${describeSchedule(recurrence)}` : '';
+        return `Send ${amount} ${token} to ${recipient}${when}${onNetwork}`;
+      }
+      
+      case 'BATCH_SEND': {
+        const { mode, amount, token, recipients, weights } = parsedCommand.payload;
+        if (mode === 'each') {
+          return `Send ${amount} ${token} each to ${joinNames(recipients)}${onNetwork}`;
+        }
+        const ratio = weights && weights.some(weight => weight !== weights[0]) ? ` (${weights.join(':')})` : '';
+        return `Split ${amount} ${token} between ${joinNames(recipients)}${ratio}${onNetwork}`;
+      }
+      
+      case 'REQUEST_PAYMENT': {
+        const { amount, token, payer, memo } = parsedCommand.payload;
+        const from = payer ? ` from ${payer}` : '';
+        const forMemo = memo ? ` for "${memo}"` : '';
+        return `Request ${amount} ${token}${from}${forMemo}${onNetwork}`;
+      }
       
       case 'CHECK_BALANCE':
         return parsedCommand.payload.token === 'ALL' 
-          ? 'Check balance of all tokens' 
-          : `Check balance of ${parsedCommand.payload.token}`;
+          ? `Check balance of all tokens${onNetwork}` 
+          : `Check balance of ${parsedCommand.payload.token}${onNetwork}`;
       
       case 'ADD_CONTACT':
-        return `Add contact "${parsedCommand.payload.name}" with address ${parsedCommand.payload.address}`;
+        return parsedCommand.payload.ensName
+          ? `Add contact "${parsedCommand.payload.name}" with ENS name ${parsedCommand.payload.ensName}`
+          : `Add contact "${parsedCommand.payload.name}" with address ${parsedCommand.payload.address}`;
       
       case 'LIST_CONTACTS':
         return 'List all contacts';
       
+      case 'CONFIRM':
+        return 'Confirm the command waiting for confirmation';
+      
+      case 'CANCEL':
+        return 'Cancel the command waiting for confirmation';
+      
       case 'UNKNOWN':
       default:
         return `Unknown command: "${parsedCommand.originalCommand}"`;
     }
   }
   
+  /**
+   * Describe the supported phrasings so clients can show help for unknown commands
+   * @returns {Object[]} List of { type, description, examples }
+   */
+  function getSupportedCommands() {
+    return [
+      {
+        type: 'SEND',
+        description: 'Send tokens to a saved contact',
+        examples: ['send 5 USDC to alice', 'send five point five DAI to alice', 'send half an ETH to bob', 'send 1,000 USDC to carol', 'send 5 USDC to alice on polygon']
+      },
+      {
+        type: 'SCHEDULE_SEND',
+        description: 'Schedule a one-time or recurring payment (times are UTC)',
+        examples: ['send 50 USDC to alice every friday', 'send 0.1 ETH to bob on 2026-11-01', 'send 20 DAI to carol every 2 weeks at 14:00', 'send 100 USDC to dave monthly']
+      },
+      {
+        type: 'BATCH_SEND',
+        description: 'Pay several contacts at once, the same amount each or one amount split between them',
+        examples: ['send 10 USDC each to alice, bob and carol', 'split 90 DAI between alice and bob', 'split 90 DAI between alice and bob 2:1', 'split 100 USDC between alice 60% and bob 40%']
+      },
+      {
+        type: 'REQUEST_PAYMENT',
+        description: 'Ask to be paid; returns a payment link that is marked paid once the transfer arrives',
+        examples: ['request 20 USDC from alice', 'request 20 USDC from alice for dinner', 'request 0.05 ETH for "tickets on friday" on base']
+      },
+      {
+        type: 'CHECK_BALANCE',
+        description: 'Check your balance for one or all tokens',
+        examples: ['check my balance', 'check my balance of USDC', 'check my balance of USDC on base']
+      },
+      {
+        type: 'ADD_CONTACT',
+        description: 'Save a new contact',
+        examples: ['add contact bob as 0x...', 'add contact bob with address 0x...', 'add contact alice as alice.eth']
+      },
+      {
+        type: 'LIST_CONTACTS',
+        description: 'List your saved contacts',
+        examples: ['list my contacts', 'show contacts']
+      },
+      {
+        type: 'FOLLOW_UP',
+        description: 'In a session, repeat or change the last command, or refer to the last contact',
+        examples: ['and the same to bob', 'make it 10 instead', '20 DAI instead', 'on polygon instead', 'send 5 USDC to her']
+      },
+      {
+        type: 'CONFIRM',
+        description: 'In a session, confirm the previewed command',
+        examples: ['yes', 'go ahead', 'send it']
+      },
+      {
+        type: 'CANCEL',
+        description: 'In a session, cancel the previewed command',
+        examples: ['cancel that', 'never mind']
+      }
+    ];
+  }
+  
   module.exports = {
     parseCommand,
+    splitNetwork,
     getCommandDescription,
+    getSupportedCommands,
     COMMAND_TYPES: {
       SEND: 'SEND',
+      SCHEDULE_SEND: 'SCHEDULE_SEND',
+      BATCH_SEND: 'BATCH_SEND',
+      REQUEST_PAYMENT: 'REQUEST_PAYMENT',
       CHECK_BALANCE: 'CHECK_BALANCE',
       ADD_CONTACT: 'ADD_CONTACT',
       LIST_CONTACTS: 'LIST_CONTACTS',
+      CONFIRM: 'CONFIRM',
+      CANCEL: 'CANCEL',
       UNKNOWN: 'UNKNOWN'
     }
   };
\ No newline at end of file
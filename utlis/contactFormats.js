@@ -0,0 +1,332 @@
+// utlis/contactFormats.js
+/**
+ * Contact files: CSV with a header row, and vCards (3.0 or 4.0) carrying Ethereum
+ * addresses. Parsed entries are plain contact fields; they are validated on import.
+ */
+
+const { readCsvRecords, writeCsv } = require('./csv');
+
+const CONTACT_FORMATS = {
+  CSV: 'csv',
+  VCARD: 'vcard'
+};
+
+// Columns written on export, in order
+const CSV_COLUMNS = ['name', 'address', 'ensName', 'aliases', 'tags', 'notes', 'preferredToken', 'preferredNetwork'];
+
+// Header names other tools use for each field, compared without case, spaces or punctuation
+const CSV_HEADERS = {
+  name: ['name', 'fullname', 'displayname', 'contact', 'contactname'],
+  address: ['address', 'ethereumaddress', 'ethaddress', 'walletaddress', 'wallet', 'eth'],
+  ensName: ['ens', 'ensname'],
+  aliases: ['aliases', 'alias', 'nicknames', 'nickname'],
+  tags: ['tags', 'tag', 'groups', 'categories'],
+  notes: ['notes', 'note'],
+  preferredToken: ['preferredtoken', 'token'],
+  preferredNetwork: ['preferrednetwork', 'network', 'chain']
+};
+
+// vCard properties that hold a bare Ethereum address
+const VCARD_ADDRESS_PROPERTIES = ['X-ETHEREUM', 'X-ETH', 'X-ETH-ADDRESS', 'X-ETHEREUM-ADDRESS'];
+
+// vCard properties that hold an address of a currency named by their TYPE parameter
+const VCARD_CRYPTO_PROPERTIES = ['X-CRYPTO', 'X-CRYPTOCURRENCY', 'X-WALLET'];
+
+// "ethereum:0x..." or "ethereum:pay-0x...@1" as found in URL and IMPP properties
+const ETHEREUM_URI = /^ethereum:(?:pay-)?(0x[0-9a-fA-F]{40})(?:@\d+)?(?:\?.*)?$/i;
+
+// Longest vCard line in octets before it is folded
+const VCARD_LINE_LENGTH = 75;
+
+/**
+ * Split a list cell such as "work; family" or "ali, al"
+ * @param {string} value - Cell value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return value.split(/[;,]/).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Guess the format of a contact file
+ * @param {string} data - File contents
+ * @param {string} [contentType] - Content-Type it was uploaded with
+ * @returns {string} - One of CONTACT_FORMATS
+ */
+function detectContactFormat(data, contentType) {
+  if (contentType && /vcard|directory/i.test(contentType)) return CONTACT_FORMATS.VCARD;
+  if (/^\uFEFF?\s*BEGIN:VCARD/i.test(data)) return CONTACT_FORMATS.VCARD;
+  return CONTACT_FORMATS.CSV;
+}
+
+/**
+ * Parse a CSV contact file. The first row names the columns; a name column and an
+ * address or ENS column are required, and columns it doesn't know are ignored.
+ * @param {string} text - CSV text
+ * @returns {Object[]} - Contact fields per data row, with its 1-based row number
+ */
+function parseCsv(text) {
+  const [header, ...records] = readCsvRecords(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('CSV file is empty');
+  }
+
+  const columns = header.map(title => {
+    const key = title.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.keys(CSV_HEADERS).find(field => CSV_HEADERS[field].includes(key)) || null;
+  });
+  if (!columns.includes('name') || !(columns.includes('address') || columns.includes('ensName'))) {
+    throw new Error('CSV header needs a "name" column and an "address" or "ensName" column');
+  }
+
+  return records.map((cells, index) => {
+    const entry = { row: index + 1, aliases: [], tags: [] };
+
+    columns.forEach((field, column) => {
+      // Undo the quote the export puts in front of values a spreadsheet would run
+      const value = (cells[column] || '').trim().replace(/^'(?=[=+\-@])/, '');
+      if (!field || value === '') return;
+
+      if (field === 'aliases' || field === 'tags') {
+        entry[field].push(...splitList(value));
+      } else {
+        entry[field] = value;
+      }
+    });
+
+    return entry;
+  });
+}
+
+/**
+ * Write contacts as CSV with a header row
+ * @param {Object[]} contacts - Contacts
+ * @returns {string} - CSV text
+ */
+function toCsv(contacts) {
+  return writeCsv(CSV_COLUMNS, contacts.map(contact => CSV_COLUMNS.map(field => {
+    const value = contact[field];
+    return Array.isArray(value) ? value.join(';') : value;
+  })));
+}
+
+/**
+ * Undo vCard text escaping
+ * @param {string} value - Escaped value
+ * @returns {string}
+ */
+function unescapeVcard(value) {
+  return value.replace(/\\([nN,;:\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a vCard list value on unescaped commas
+ * @param {string} value - Escaped value
+ * @returns {string[]} - Unescaped items
+ */
+function splitVcardList(value) {
+  return value.split(/(?<!\\),/).map(item => unescapeVcard(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse one vCard content line such as "item1.X-CRYPTO;TYPE=ethereum:0x..."
+ * @param {string} line - Unfolded line
+ * @returns {Object|null} - { name, params, value }, or null if it isn't a property
+ */
+function readVcardLine(line) {
+  // The value starts at the first colon outside a quoted parameter
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [property, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, value = ''] = part.split('=');
+    params[key.toUpperCase()] = value.replace(/"/g, '').toLowerCase();
+  }
+
+  return {
+    name: property.replace(/^[^.]*\./, '').toUpperCase(),
+    params,
+    value: line.slice(colon + 1)
+  };
+}
+
+/**
+ * Find the Ethereum address in a vCard property, if it holds one
+ * @param {Object} property - Parsed content line
+ * @returns {string|null}
+ */
+function vcardAddress(property) {
+  const value = property.value.trim();
+  const uri = value.match(ETHEREUM_URI);
+
+  if (VCARD_ADDRESS_PROPERTIES.includes(property.name)) {
+    return uri ? uri[1] : value;
+  }
+  if (VCARD_CRYPTO_PROPERTIES.includes(property.name)) {
+    if (uri) return uri[1];
+    return /^(eth|ethereum)$/.test(property.params.TYPE || '') ? value : null;
+  }
+  if (property.name === 'URL' || property.name === 'IMPP') {
+    return uri ? uri[1] : null;
+  }
+  return null;
+}
+
+/**
+ * Parse a vCard file. Addresses are read from X-ETHEREUM-style properties, X-CRYPTO
+ * properties of type "ethereum", and "ethereum:" URLs; cards without one are still
+ * returned so the import can report them.
+ * @param {string} text - One or more vCards
+ * @returns {Object[]} - Contact fields per card, with its 1-based position as the row number
+ */
+function parseVcard(text) {
+  // Lines starting with a space or tab continue the previous one
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  const entries = [];
+  let entry = null;
+
+  for (const line of lines) {
+    const property = readVcardLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && /^vcard$/i.test(property.value.trim())) {
+      entry = { row: entries.length + 1, aliases: [], tags: [] };
+      continue;
+    }
+    if (!entry) continue;
+
+    if (property.name === 'END') {
+      entries.push(entry);
+      entry = null;
+      continue;
+    }
+
+    const address = vcardAddress(property);
+    if (address) {
+      entry.address = entry.address || address;
+      continue;
+    }
+
+    switch (property.name) {
+      case 'FN':
+        entry.name = unescapeVcard(property.value).trim();
+        break;
+      case 'N':
+        // Family;Given;Additional;Prefix;Suffix, only used when there is no FN
+        if (!entry.name) {
+          const [family = '', given = ''] = property.value.split(/(?<!\\);/).map(unescapeVcard);
+          entry.name = [given, family].map(part => part.trim()).filter(Boolean).join(' ') || undefined;
+        }
+        break;
+      case 'NICKNAME':
+        entry.aliases.push(...splitVcardList(property.value));
+        break;
+      case 'CATEGORIES':
+        entry.tags.push(...splitVcardList(property.value));
+        break;
+      case 'NOTE':
+        entry.notes = unescapeVcard(property.value).trim();
+        break;
+      case 'X-ENS':
+      case 'X-ENS-NAME':
+        entry.ensName = unescapeVcard(property.value).trim();
+        break;
+      case 'X-ECHOPAY-PREFERRED-TOKEN':
+        entry.preferredToken = unescapeVcard(property.value).trim();
+        break;
+      case 'X-ECHOPAY-PREFERRED-NETWORK':
+        entry.preferredNetwork = unescapeVcard(property.value).trim();
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (entry) {
+    throw new Error(`vCard ${entry.row} has no END:VCARD`);
+  }
+  if (entries.length === 0) {
+    throw new Error('No vCards found; each contact must be wrapped in BEGIN:VCARD and END:VCARD');
+  }
+  return entries;
+}
+
+/**
+ * Escape a vCard text value
+ * @param {string} value - Text
+ * @returns {string}
+ */
+function escapeVcard(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Fold a content line into 75-octet pieces
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+function foldVcardLine(line) {
+  const pieces = [];
+  let piece = '';
+
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their length
+    const limit = pieces.length === 0 ? VCARD_LINE_LENGTH : VCARD_LINE_LENGTH - 1;
+    if (Buffer.byteLength(piece + char) > limit) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += char;
+  }
+  pieces.push(piece);
+
+  return pieces.join('\r\n ');
+}
+
+/**
+ * Write contacts as vCard 3.0
+ * @param {Object[]} contacts - Contacts
+ * @returns {string} - vCard text
+ */
+function toVcard(contacts) {
+  const lines = [];
+
+  for (const contact of contacts) {
+    lines.push('BEGIN:VCARD', 'VERSION:3.0');
+    lines.push(`FN:${escapeVcard(contact.name)}`, `N:;${escapeVcard(contact.name)};;;`);
+    lines.push(`X-ETHEREUM:${contact.address}`, `URL:ethereum:${contact.address}`);
+    if (contact.ensName) lines.push(`X-ENS-NAME:${escapeVcard(contact.ensName)}`);
+    if (contact.aliases && contact.aliases.length > 0) {
+      lines.push(`NICKNAME:${contact.aliases.map(escapeVcard).join(',')}`);
+    }
+    if (contact.tags && contact.tags.length > 0) {
+      lines.push(`CATEGORIES:${contact.tags.map(escapeVcard).join(',')}`);
+    }
+    if (contact.notes) lines.push(`NOTE:${escapeVcard(contact.notes)}`);
+    if (contact.preferredToken) lines.push(`X-ECHOPAY-PREFERRED-TOKEN:${escapeVcard(contact.preferredToken)}`);
+    if (contact.preferredNetwork) lines.push(`X-ECHOPAY-PREFERRED-NETWORK:${escapeVcard(contact.preferredNetwork)}`);
+    lines.push('END:VCARD');
+  }
+
+  return lines.map(foldVcardLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  CONTACT_FORMATS,
+  detectContactFormat,
+  parseCsv,
+  toCsv,
+  parseVcard,
+  toVcard
+};
@@ -0,0 +1,84 @@
+// utlis/csv.js
+/**
+ * Reading and writing CSV (RFC 4180) for contact files and statements
+ */
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Split CSV text into records of cells. Quoted cells may hold commas, doubled quotes
+ * and line breaks.
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Records, blank lines left out
+ */
+function readCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has a quoted value that is never closed');
+  }
+  record.push(cell);
+  records.push(record);
+
+  return records.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Write one CSV cell, quoting it when needed. Text a spreadsheet would run as a formula
+ * gets a leading quote.
+ * @param {*} value - Cell value; null and undefined are written as empty cells
+ * @returns {string}
+ */
+function csvCell(value) {
+  let cell = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Write a header row and records as CSV
+ * @param {string[]} columns - Column names
+ * @param {Array[]} records - Cell values per record, in column order
+ * @returns {string} - CSV text with CRLF line endings
+ */
+function writeCsv(columns, records) {
+  const lines = [columns, ...records].map(cells => cells.map(csvCell).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  readCsvRecords,
+  writeCsv
+};
@@ -0,0 +1,349 @@
+// utlis/errors.js
+/**
+ * Error types with stable codes and HTTP statuses, and decoding of the errors ethers
+ * throws for RPC failures, reverts and rejected transactions
+ */
+
+const { ethers } = require('ethers');
+
+// Machine-readable error codes; clients should match on these rather than on messages
+const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  INVALID_ADDRESS: 'INVALID_ADDRESS',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  UNSUPPORTED_TOKEN: 'UNSUPPORTED_TOKEN',
+  UNKNOWN_NETWORK: 'UNKNOWN_NETWORK',
+  NO_SESSION_CONTEXT: 'NO_SESSION_CONTEXT',
+  INVALID_KEYSTORE: 'INVALID_KEYSTORE',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  FORBIDDEN: 'FORBIDDEN',
+  POLICY_VIOLATION: 'POLICY_VIOLATION',
+  NOT_FOUND: 'NOT_FOUND',
+  TRANSACTION_NOT_FOUND: 'TRANSACTION_NOT_FOUND',
+  WALLET_NOT_FOUND: 'WALLET_NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  ALREADY_EXISTS: 'ALREADY_EXISTS',
+  DUPLICATE_CONTACT: 'DUPLICATE_CONTACT',
+  TRANSACTION_ALREADY_MINED: 'TRANSACTION_ALREADY_MINED',
+  REPLACEMENT_REJECTED: 'REPLACEMENT_REJECTED',
+  NONCE_CONFLICT: 'NONCE_CONFLICT',
+  GONE: 'GONE',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  TRANSACTION_REVERTED: 'TRANSACTION_REVERTED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  RPC_ERROR: 'RPC_ERROR',
+  NETWORK_UNAVAILABLE: 'NETWORK_UNAVAILABLE',
+  NOT_CONFIGURED: 'NOT_CONFIGURED'
+};
+
+// Code for error responses that don't name one, by HTTP status
+const STATUS_CODES = {
+  400: ERROR_CODES.INVALID_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  402: ERROR_CODES.INSUFFICIENT_FUNDS,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  410: ERROR_CODES.GONE,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  422: ERROR_CODES.TRANSACTION_REVERTED,
+  500: ERROR_CODES.INTERNAL_ERROR,
+  502: ERROR_CODES.RPC_ERROR,
+  503: ERROR_CODES.NETWORK_UNAVAILABLE
+};
+
+// Codes ethers gives its errors, and codes Node gives failed connections
+const ETHERS_ERROR_CODES = new Set(Object.values(ethers.utils.Logger.errors));
+const CONNECTION_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+// ethers codes for calls that got no usable answer from the node
+const UNANSWERED_CODES = new Set(['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR']);
+
+// Selectors of Solidity's built-in revert payloads
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x31: 'pop from an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function'
+};
+
+/**
+ * Base class for errors that know their HTTP status and error code
+ */
+class EchoPayError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [options] - status, code, suggestion, details (extra data for clients) and cause
+   */
+  constructor(message, { status = 500, code = ERROR_CODES.INTERNAL_ERROR, suggestion, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.suggestion = suggestion;
+    this.details = details;
+  }
+}
+
+/**
+ * The request can't be carried out as sent (400)
+ */
+class InvalidRequestError extends EchoPayError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.INVALID_REQUEST, ...options, status: 400 });
+  }
+}
+
+/**
+ * The wallet can't cover an amount and its gas (402)
+ */
+class InsufficientFundsError extends EchoPayError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.INSUFFICIENT_FUNDS, ...options, status: 402 });
+  }
+}
+
+/**
+ * Something the request names doesn't exist (404)
+ */
+class NotFoundError extends EchoPayError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.NOT_FOUND, ...options, status: 404 });
+  }
+}
+
+/**
+ * The request clashes with the current state, e.g. a duplicate name (409)
+ */
+class ConflictError extends EchoPayError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.CONFLICT, ...options, status: 409 });
+  }
+}
+
+/**
+ * The chain rejected a transaction or call in execution (422). details.reason holds the
+ * decoded revert reason when there is one, details.revertData the raw revert payload.
+ */
+class TransactionRevertedError extends EchoPayError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.TRANSACTION_REVERTED, ...options, status: 422 });
+  }
+}
+
+/**
+ * The RPC node answered with an error (502)
+ */
+class RpcError extends EchoPayError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.RPC_ERROR, ...options, status: 502 });
+  }
+}
+
+/**
+ * The RPC node can't be reached, or a service EchoPay needs isn't configured (503)
+ */
+class ServiceUnavailableError extends EchoPayError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.NETWORK_UNAVAILABLE, ...options, status: 503 });
+  }
+}
+
+/**
+ * Find the JSON-RPC error ({ code, message, data }) a node returned, which ethers nests
+ * inside its own errors or leaves as the raw response body
+ * @param {Error} error - Error thrown by ethers
+ * @returns {Object|null}
+ */
+function findRpcError(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.error, depth++) {
+    if (typeof current.body === 'string') {
+      try {
+        const body = JSON.parse(current.body);
+        if (body && body.error) return body.error;
+      } catch (parseError) {
+        // Not JSON, e.g. an HTML error page from a proxy
+      }
+    }
+    if (current !== error && typeof current.code === 'number') {
+      return { code: current.code, message: current.message, data: current.data };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the revert payload in an ethers error
+ * @param {Error} error - Error thrown by ethers
+ * @param {Object|null} rpcError - JSON-RPC error from findRpcError
+ * @returns {string|null} - Hex data, or null if there is none
+ */
+function findRevertData(error, rpcError) {
+  for (const data of [error.data, error.error && error.error.data, rpcError && rpcError.data]) {
+    const hex = data && typeof data === 'object' ? data.data : data;
+    if (typeof hex === 'string' && /^0x[0-9a-f]{8}/i.test(hex)) return hex;
+  }
+  return null;
+}
+
+/**
+ * Decode a revert payload into a readable reason
+ * @param {string|null} data - Revert data
+ * @returns {string|null} - Reason, or null for custom errors and empty reverts
+ */
+function decodeRevertReason(data) {
+  if (!data) return null;
+
+  try {
+    const selector = data.slice(0, 10).toLowerCase();
+    if (selector === ERROR_STRING_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const code = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0].toNumber();
+      return `panic 0x${code.toString(16)} (${PANIC_REASONS[code] || 'unknown panic'})`;
+    }
+  } catch (error) {
+    // Malformed payload; fall back to the raw data
+  }
+  return null;
+}
+
+/**
+ * Turn an error from ethers (or the node behind it) into a typed error. Errors that are
+ * already typed are returned as they are.
+ * @param {Error} error - Error thrown while talking to the chain
+ * @param {string} [context] - What was being done, e.g. "Failed to send USDC"; prefixes the message
+ * @returns {EchoPayError}
+ */
+function fromEthersError(error, context) {
+  if (error instanceof EchoPayError) return error;
+
+  // ethers v5 reports any failed eth_call as a revert without data, even when the node
+  // never answered; judge those by what actually went wrong
+  if (error.code === 'CALL_EXCEPTION' && error.error && UNANSWERED_CODES.has(error.error.code)) {
+    const cause = findRpcError(error.error);
+    if (!(cause && /revert/i.test(cause.message || '')) && !findRevertData(error.error, cause)) {
+      return fromEthersError(error.error, context);
+    }
+  }
+
+  const rpcError = findRpcError(error);
+  const details = {};
+  if (typeof error.code === 'string') details.ethersCode = error.code;
+  if (rpcError) {
+    details.rpcCode = rpcError.code;
+    details.rpcMessage = rpcError.message;
+  }
+
+  const summary = (rpcError && rpcError.message) || error.reason || error.message || 'Unknown error';
+  const describe = (text) => (context ? `${context}: ${text}` : text.charAt(0).toUpperCase() + text.slice(1));
+  const options = { details, cause: error };
+
+  const revertData = findRevertData(error, rpcError);
+  const reverted = error.code === 'CALL_EXCEPTION' || revertData !== null || /execution reverted/i.test(summary);
+
+  if (error.code === 'INSUFFICIENT_FUNDS' || /insufficient funds/i.test(summary)) {
+    return new InsufficientFundsError(describe('the wallet cannot cover the amount and gas'), options);
+  }
+
+  if (reverted || error.code === 'UNPREDICTABLE_GAS_LIMIT') {
+    const reason = decodeRevertReason(revertData) || (error.code === 'CALL_EXCEPTION' ? error.reason : null);
+    return new TransactionRevertedError(
+      describe(reason ? `execution reverted: ${reason}` : 'execution reverted'),
+      { ...options, details: { ...details, reason, revertData } }
+    );
+  }
+
+  if (CONNECTION_ERROR_CODES.has(error.code)) {
+    return new ServiceUnavailableError(describe(`the network is unreachable (${summary})`), options);
+  }
+
+  switch (error.code) {
+    case 'NONCE_EXPIRED':
+    case 'REPLACEMENT_UNDERPRICED':
+    case 'TRANSACTION_REPLACED':
+      return new ConflictError(describe(summary), { ...options, code: ERROR_CODES.NONCE_CONFLICT });
+    case 'NETWORK_ERROR':
+    case 'TIMEOUT':
+      return new ServiceUnavailableError(describe(`the network is unreachable (${summary})`), options);
+    case 'SERVER_ERROR':
+      // No JSON-RPC error means the node didn't answer properly at all
+      return rpcError
+        ? new RpcError(describe(summary), options)
+        : new ServiceUnavailableError(describe(`the RPC node is unavailable (${summary})`), options);
+    case 'INVALID_ARGUMENT':
+      return new InvalidRequestError(describe(summary), options);
+    default:
+      break;
+  }
+
+  if (rpcError) {
+    return new RpcError(describe(summary), options);
+  }
+  return new EchoPayError(describe(summary), options);
+}
+
+/**
+ * Build the error envelope every route responds with:
+ * { error, code, suggestion?, details? } and the status to send it with
+ * @param {Error} error - Any error
+ * @returns {Object} - { status, body }
+ */
+function describeError(error) {
+  if (error instanceof EchoPayError) {
+    const body = { error: error.message, code: error.code };
+    if (error.suggestion) body.suggestion = error.suggestion;
+    if (error.details) body.details = error.details;
+    return { status: error.status, body };
+  }
+
+  // Mongoose schema validation and malformed IDs
+  if (error.name === 'ValidationError') {
+    return { status: 400, body: { error: error.message, code: ERROR_CODES.VALIDATION_FAILED } };
+  }
+  if (error.name === 'CastError') {
+    return { status: 400, body: { error: error.message, code: ERROR_CODES.INVALID_REQUEST } };
+  }
+  if (error.code === 11000) {
+    return { status: 409, body: { error: error.message, code: ERROR_CODES.ALREADY_EXISTS } };
+  }
+
+  // Failed calls to the node that no service wrapped
+  if (ETHERS_ERROR_CODES.has(error.code) || CONNECTION_ERROR_CODES.has(error.code)) {
+    return describeError(fromEthersError(error));
+  }
+
+  // Body parsing errors (malformed JSON, oversized bodies) carry their own 4xx status
+  const status = error.status || error.statusCode;
+  if (error.expose && status >= 400 && status < 500) {
+    return { status, body: { error: error.message, code: STATUS_CODES[status] || ERROR_CODES.INVALID_REQUEST } };
+  }
+
+  return { status: 500, body: { error: error.message, code: ERROR_CODES.INTERNAL_ERROR } };
+}
+
+module.exports = {
+  ERROR_CODES,
+  STATUS_CODES,
+  EchoPayError,
+  InvalidRequestError,
+  InsufficientFundsError,
+  NotFoundError,
+  ConflictError,
+  TransactionRevertedError,
+  RpcError,
+  ServiceUnavailableError,
+  decodeRevertReason,
+  fromEthersError,
+  describeError
+};
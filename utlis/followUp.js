@@ -0,0 +1,233 @@
+// utlis/followUp.js
+/**
+ * Follow-ups: utterances that only make sense after an earlier command in the same
+ * conversation ("and the same to bob", "make it 10 instead", "cancel that"), and
+ * pronouns standing for the last contact ("send 5 USDC to her")
+ */
+
+const { normalizeAmount } = require('./amountParser');
+const { splitNetwork, getCommandDescription, COMMAND_TYPES } = require('./commandParser');
+
+// Type of follow-ups that change the last command rather than being commands of their own
+const AMEND = 'AMEND';
+
+// Leading words that don't change what a follow-up means ("no, make it 10", "actually, 20 instead")
+const HEDGE = '(?:(?:no|actually|sorry|wait|oh),?\\s+)*';
+
+const PATTERNS = {
+  CANCEL: new RegExp(`^${HEDGE}(?:(?:cancel|abort|stop|forget)(?:\\s+(?:that|it|this))?|never\\s*mind)(?:,?\\s+please)?$`, 'i'),
+  CONFIRM: /^(?:yes|yeah|yep|confirm|go\s+ahead|do\s+it|send\s+it)(?:,?\s+(?:please|confirm|go\s+ahead|do\s+it|send\s+it))?$/i,
+  // "and the same to bob", "same for bob on polygon"
+  SAME_TO: /^(?:and\s+)?(?:(?:do|send)\s+)?(?:the\s+)?same\s+(?:to|for|from)\s+(.+)$/i,
+  // "and bob too", "and to bob as well"
+  ALSO: /^and\s+(?:to\s+|from\s+)?(.+?)(?:\s+(?:too|as\s+well))?$/i,
+  // "make it 10", "change it to 20 DAI instead"
+  MAKE_IT: new RegExp(`^${HEDGE}(?:make\\s+(?:it|that)|change\\s+(?:it|that)\\s+to)\\s+(.+?)(?:\\s+instead)?$`, 'i'),
+  // "10 instead", "send it to bob instead", "on polygon instead"
+  INSTEAD: new RegExp(`^${HEDGE}(?:(?:send|make)\\s+(?:it|that)\\s+)?(.+?)\\s+instead$`, 'i')
+};
+
+// Object pronouns that stand for the last contact mentioned
+const PRONOUNS = new Set(['him', 'her', 'them']);
+
+// A contact name, ENS name or address of up to three words, as in "and bob smith too"
+const BARE_NAME = /^[\p{L}\p{N}][\p{L}\p{N}'._-]*(?:\s+[\p{L}\p{N}][\p{L}\p{N}'._-]*){0,2}$/u;
+
+// Where each command type keeps the one contact it involves
+const COUNTERPARTY_FIELDS = {
+  [COMMAND_TYPES.SEND]: 'recipient',
+  [COMMAND_TYPES.SCHEDULE_SEND]: 'recipient',
+  [COMMAND_TYPES.REQUEST_PAYMENT]: 'payer'
+};
+
+/**
+ * Check whether a recipient is a pronoun rather than a name
+ * @param {string} name - Recipient as spoken/typed
+ * @returns {boolean}
+ */
+function isPronoun(name) {
+  return typeof name === 'string' && PRONOUNS.has(name.trim().toLowerCase());
+}
+
+/**
+ * Split a trailing network off a follow-up; "on polygon" on its own is just a network
+ * @param {string} text - Follow-up text after the leading phrase
+ * @returns {Object} { text, network }
+ */
+function splitFollowUpNetwork(text) {
+  const alone = text.match(/^on\s+(.+)$/i);
+  if (alone) {
+    return { text: '', network: alone[1].trim().toLowerCase() };
+  }
+  const { text: rest, network } = splitNetwork(text);
+  return { text: rest.trim(), network };
+}
+
+/**
+ * Work out what a "make it ..." or "... instead" follow-up changes: the recipient
+ * ("to bob"), the network ("on polygon"), or the amount and maybe the token ("20 DAI")
+ * @param {string} text - What the last command should have said instead
+ * @returns {Object} { changes } or { error }
+ */
+function parseChange(text) {
+  const { text: rest, network } = splitFollowUpNetwork(text);
+  if (!rest) {
+    return { changes: { network } };
+  }
+
+  const to = rest.match(/^(?:to|for|from)\s+(.+)$/i);
+  if (to) {
+    return { changes: { recipient: to[1].trim(), network } };
+  }
+
+  let { amount, error } = normalizeAmount(rest);
+  let token = null;
+
+  // "20 DAI": the last word may be a token
+  const words = rest.split(/\s+/);
+  if (error && words.length > 1 && /^[a-z]+$/i.test(words[words.length - 1])) {
+    const withoutToken = normalizeAmount(words.slice(0, -1).join(' '));
+    if (!withoutToken.error) {
+      ({ amount, error } = withoutToken);
+      token = words[words.length - 1].toUpperCase();
+    }
+  }
+
+  if (error) {
+    return { error };
+  }
+  return { changes: { amount, token, network } };
+}
+
+/**
+ * Parse an utterance that follows up on an earlier command
+ * @param {string} commandString - The utterance
+ * @returns {Object|null} A CONFIRM or CANCEL command, { type: AMEND, changes } or
+ * { type: AMEND, error }, or null if it isn't a follow-up
+ */
+function parseFollowUp(commandString) {
+  if (!commandString || typeof commandString !== 'string') {
+    return null;
+  }
+
+  // Speech-to-text likes to end sentences
+  const command = commandString.trim().replace(/[.!?]+$/, '');
+  let match;
+
+  if (PATTERNS.CANCEL.test(command)) {
+    return { type: COMMAND_TYPES.CANCEL, payload: {} };
+  }
+
+  if (PATTERNS.CONFIRM.test(command)) {
+    return { type: COMMAND_TYPES.CONFIRM, payload: {} };
+  }
+
+  if ((match = command.match(PATTERNS.SAME_TO))) {
+    const { text, network } = splitFollowUpNetwork(match[1]);
+    return text ? { type: AMEND, changes: { recipient: text, network } } : null;
+  }
+
+  // "and ..." only adds a recipient when all that follows is one
+  if ((match = command.match(PATTERNS.ALSO))) {
+    const { text, network } = splitFollowUpNetwork(match[1]);
+    return BARE_NAME.test(text) ? { type: AMEND, changes: { recipient: text, network } } : null;
+  }
+
+  if ((match = command.match(PATTERNS.MAKE_IT) || command.match(PATTERNS.INSTEAD))) {
+    return { type: AMEND, ...parseChange(match[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Apply a follow-up's changes to the command it follows
+ * @param {Object|null} previous - Last parsed command in the conversation
+ * @param {Object} changes - { recipient, amount, token, network }, any of which may be missing
+ * @returns {Object} { parsedCommand } or { error }
+ */
+function applyFollowUp(previous, changes) {
+  if (!previous) {
+    return { error: 'There is no earlier command to change' };
+  }
+
+  const description = getCommandDescription(previous);
+  const payload = { ...previous.payload };
+
+  if (changes.recipient) {
+    if (previous.type === COMMAND_TYPES.BATCH_SEND) {
+      return { error: `Name every recipient again to change who "${description}" pays` };
+    }
+    const field = COUNTERPARTY_FIELDS[previous.type];
+    if (!field) {
+      return { error: `"${description}" doesn't involve a contact` };
+    }
+    payload[field] = changes.recipient;
+  }
+
+  if (changes.amount) {
+    if (!('amount' in payload)) {
+      return { error: `"${description}" doesn't have an amount to change` };
+    }
+    payload.amount = changes.amount;
+    if (changes.token) {
+      payload.token = changes.token;
+    }
+  }
+
+  if (changes.network) {
+    if (!('network' in payload)) {
+      return { error: `"${description}" isn't tied to a network` };
+    }
+    payload.network = changes.network;
+  }
+
+  return { parsedCommand: { type: previous.type, payload } };
+}
+
+/**
+ * Replace pronouns in a command's recipients with the last contact mentioned
+ * @param {Object} parsedCommand - Parsed command
+ * @param {Object|null} contact - { id, name } of the last contact, or null if there isn't one
+ * @returns {Object} { parsedCommand, contactId } where contactId is set when the one
+ * contact of the command is the last contact, or { error }
+ */
+function resolvePronouns(parsedCommand, contact) {
+  if (!parsedCommand || !parsedCommand.payload) {
+    return { parsedCommand };
+  }
+
+  const { payload } = parsedCommand;
+  const field = COUNTERPARTY_FIELDS[parsedCommand.type];
+  const pronoun = field && isPronoun(payload[field])
+    ? payload[field]
+    : (payload.recipients || []).find(isPronoun);
+
+  if (!pronoun) {
+    return { parsedCommand };
+  }
+  if (!contact) {
+    return { error: `Who is "${pronoun}"? No contact has come up in this conversation yet` };
+  }
+
+  if (field) {
+    return {
+      parsedCommand: { ...parsedCommand, payload: { ...payload, [field]: contact.name } },
+      contactId: contact.id
+    };
+  }
+  return {
+    parsedCommand: {
+      ...parsedCommand,
+      payload: { ...payload, recipients: payload.recipients.map(name => (isPronoun(name) ? contact.name : name)) }
+    }
+  };
+}
+
+module.exports = {
+  parseFollowUp,
+  applyFollowUp,
+  resolvePronouns,
+  isPronoun,
+  AMEND
+};
@@ -0,0 +1,137 @@
+// utlis/fuzzyMatch.js
+/**
+ * Fuzzy name matching for contact lookup. Combines edit distance (typos such as
+ * "alise") with Soundex codes (speech-to-text mishearings such as "jon" / "john").
+ */
+
+// Weight of edit-distance similarity vs. phonetic similarity in a score
+const EDIT_WEIGHT = 0.7;
+const PHONETIC_WEIGHT = 0.3;
+
+// Matching a single word of a longer phrase ("alice" in "alice smith") scores a little lower
+const PARTIAL_WORD_PENALTY = 0.9;
+
+// Leading words that refer to a contact without being part of its name ("my brother")
+const LEADING_FILLER = /^(?:my|our|the)\s+/;
+
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6
+};
+
+/**
+ * Normalize a spoken or typed name for comparison
+ * @param {string} name - Raw name
+ * @returns {string} Lowercase name without punctuation or leading filler
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(LEADING_FILLER, '');
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * American Soundex code for a single word
+ * @param {string} word - Word to encode
+ * @returns {string} Four-character code (e.g. "A420") or '' for non-alphabetic input
+ */
+function soundex(word) {
+  const letters = (word || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return '';
+
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]];
+
+  for (let i = 1; i < letters.length && code.length < 4; i++) {
+    const letter = letters[i];
+    const digit = SOUNDEX_CODES[letter];
+
+    if (digit && digit !== previous) {
+      code += digit;
+    }
+
+    // 'h' and 'w' don't separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') {
+      previous = digit;
+    }
+  }
+
+  return code.padEnd(4, '0');
+}
+
+/**
+ * Similarity of two normalized strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Score between 0 and 1
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+
+  const editScore = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  const phoneticScore = soundex(a) && soundex(a) === soundex(b) ? 1 : 0;
+
+  return EDIT_WEIGHT * editScore + PHONETIC_WEIGHT * phoneticScore;
+}
+
+/**
+ * Score how well a query matches a name, including word-level matches
+ * @param {string} query - Normalized query (e.g. "alice smith")
+ * @param {string} name - Normalized name or alias (e.g. "alice")
+ * @returns {number} Score between 0 and 1
+ */
+function scoreName(query, name) {
+  let best = similarity(query, name);
+
+  const queryWords = query.split(' ');
+  const nameWords = name.split(' ');
+
+  if (queryWords.length > 1 || nameWords.length > 1) {
+    for (const q of queryWords) {
+      for (const n of nameWords) {
+        best = Math.max(best, similarity(q, n) * PARTIAL_WORD_PENALTY);
+      }
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  normalizeName,
+  levenshtein,
+  soundex,
+  scoreName
+};
@@ -0,0 +1,27 @@
+// utlis/paymentUri.js
+/**
+ * EIP-681 payment URIs ("ethereum:0x...@137?value=..."), which wallets open as a
+ * prefilled transfer
+ */
+
+/**
+ * Build the payment URI for a transfer
+ * @param {Object} params - Transfer details
+ * @param {string} params.to - Address to be paid
+ * @param {number} params.chainId - Chain the payment should be made on
+ * @param {string|null} params.tokenAddress - ERC-20 contract, or null for the native currency
+ * @param {string} params.amountRaw - Amount in the token's smallest unit
+ * @returns {string} - EIP-681 URI
+ */
+function buildPaymentUri({ to, chainId, tokenAddress, amountRaw }) {
+  if (!tokenAddress) {
+    return `ethereum:${to}@${chainId}?value=${amountRaw}`;
+  }
+
+  // ERC-20 payments call transfer(address, uint256) on the token contract
+  return `ethereum:${tokenAddress}@${chainId}/transfer?address=${to}&uint256=${amountRaw}`;
+}
+
+module.exports = {
+  buildPaymentUri
+};
@@ -0,0 +1,128 @@
+// utlis/publicUrl.js
+/**
+ * Checks for URLs the server calls on users' behalf (webhooks), so a user can't point
+ * one at the server itself or at anything else on its private network
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Plain http is only accepted while developing
+const ALLOWED_PROTOCOLS = process.env.NODE_ENV === 'development' ? ['https:', 'http:'] : ['https:'];
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges. BlockList
+// also applies the IPv4 ranges to IPv4-mapped IPv6 addresses (::ffff:127.0.0.1).
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127],          // Unspecified and loopback
+  ['64:ff9b::', 96],    // NAT64, which embeds IPv4 addresses
+  ['fc00::', 7],        // Unique local
+  ['fe80::', 10],       // Link-local
+  ['ff00::', 8]         // Multicast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for private, loopback and other internal addresses, and for non-IPs
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check a URL's protocol and host without resolving it
+ * @param {string} value - URL
+ * @returns {string|null} Why the URL can't be called, or null if it can
+ */
+function checkUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'url must be a valid URL';
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(url.protocol)) {
+    return `url must be an ${ALLOWED_PROTOCOLS.map(protocol => protocol.slice(0, -1)).join(' or ')} URL`;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+    return 'url must point at a public address';
+  }
+
+  return null;
+}
+
+/**
+ * Check a URL, including every address its host resolves to
+ * @param {string} value - URL
+ * @returns {Promise<string|null>} Why the URL can't be called, or null if it can
+ */
+async function checkResolvedUrl(value) {
+  const error = checkUrl(value);
+  if (error) return error;
+
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (lookupError) {
+    return `url host ${host} could not be resolved`;
+  }
+
+  return addresses.every(({ address }) => isPublicAddress(address))
+    ? null
+    : 'url must point at a public address';
+}
+
+/**
+ * dns.lookup replacement for http(s).request that refuses internal addresses. Checking
+ * the addresses actually connected to means a host can't pass the check and then
+ * resolve somewhere else (DNS rebinding).
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  checkUrl,
+  checkResolvedUrl,
+  publicLookup
+};
@@ -0,0 +1,235 @@
+// utlis/schedule.js
+/**
+ * Schedule phrases for payments ("every friday", "every 2 weeks at 14:00", "on 2026-11-01")
+ * and the dates they fall on. All times are UTC.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const FREQUENCIES = {
+  ONCE: 'once',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+// Time of day used when a schedule doesn't give one
+const DEFAULT_TIME = '09:00';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_PATTERN = WEEKDAYS.join('|');
+
+// "every friday", "every day", "every 2 weeks", "weekly", optionally "at 14:30"
+const RECURRING_SUFFIX = new RegExp(
+  `\\s+(?:every\\s+(?:(${WEEKDAY_PATTERN})|(day|week|month)|(\\d+)\\s+(days|weeks|months))|(daily|weekly|monthly))` +
+  '(?:\\s+at\\s+(\\d{1,2}):(\\d{2}))?$',
+  'i'
+);
+
+// "on 2026-11-01", "on friday", optionally "at 14:30"
+const ONCE_SUFFIX = new RegExp(
+  `\\s+on\\s+(\\d{4}-\\d{2}-\\d{2}|${WEEKDAY_PATTERN})(?:\\s+at\\s+(\\d{1,2}):(\\d{2}))?$`,
+  'i'
+);
+
+const UNIT_FREQUENCIES = {
+  day: FREQUENCIES.DAILY,
+  days: FREQUENCIES.DAILY,
+  daily: FREQUENCIES.DAILY,
+  week: FREQUENCIES.WEEKLY,
+  weeks: FREQUENCIES.WEEKLY,
+  weekly: FREQUENCIES.WEEKLY,
+  month: FREQUENCIES.MONTHLY,
+  months: FREQUENCIES.MONTHLY,
+  monthly: FREQUENCIES.MONTHLY
+};
+
+/**
+ * Format an hour and minute as HH:MM, or report an invalid time
+ * @param {string} [hours] - Hours (0-23)
+ * @param {string} [minutes] - Minutes (0-59)
+ * @returns {Object} { time } or { error }
+ */
+function parseTime(hours, minutes) {
+  if (hours === undefined) return { time: DEFAULT_TIME };
+
+  const h = parseInt(hours, 10);
+  const m = parseInt(minutes, 10);
+  if (h > 23 || m > 59) {
+    return { error: `Invalid time ${hours}:${minutes}` };
+  }
+  return { time: `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}` };
+}
+
+/**
+ * Split a trailing schedule phrase off a command
+ * @param {string} command - The command text
+ * @returns {Object} { text, recurrence } where recurrence is null if there is no schedule, or { text, error }
+ */
+function splitSchedule(command) {
+  let match = command.match(RECURRING_SUFFIX);
+  if (match) {
+    const [, weekday, unit, count, countUnit, adverb, hours, minutes] = match;
+    const { time, error } = parseTime(hours, minutes);
+    const text = command.slice(0, match.index);
+    if (error) return { text, error };
+
+    const interval = count ? parseInt(count, 10) : 1;
+    if (interval < 1) {
+      return { text, error: 'A schedule must repeat at least every 1 day' };
+    }
+
+    return {
+      text,
+      recurrence: {
+        frequency: weekday ? FREQUENCIES.WEEKLY : UNIT_FREQUENCIES[(unit || countUnit || adverb).toLowerCase()],
+        interval,
+        weekday: weekday ? WEEKDAYS.indexOf(weekday.toLowerCase()) : null,
+        date: null,
+        time
+      }
+    };
+  }
+
+  match = command.match(ONCE_SUFFIX);
+  if (match) {
+    const [, day, hours, minutes] = match;
+    const { time, error } = parseTime(hours, minutes);
+    const text = command.slice(0, match.index);
+    if (error) return { text, error };
+
+    const isWeekday = WEEKDAYS.includes(day.toLowerCase());
+    if (!isWeekday && isNaN(Date.parse(`${day}T${time}:00Z`))) {
+      return { text, error: `Invalid date ${day}` };
+    }
+    // Date.parse rolls 2026-02-30 over to March; reject it instead
+    if (!isWeekday && new Date(`${day}T00:00:00Z`).toISOString().slice(0, 10) !== day) {
+      return { text, error: `Invalid date ${day}` };
+    }
+
+    return {
+      text,
+      recurrence: {
+        frequency: FREQUENCIES.ONCE,
+        interval: 1,
+        weekday: isWeekday ? WEEKDAYS.indexOf(day.toLowerCase()) : null,
+        date: isWeekday ? null : day,
+        time
+      }
+    };
+  }
+
+  return { text: command, recurrence: null };
+}
+
+/**
+ * Set a date's UTC time of day
+ * @param {Date} date - Date
+ * @param {string} time - HH:MM
+ * @returns {Date} New date
+ */
+function atTime(date, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setUTCHours(hours, minutes, 0, 0);
+  return result;
+}
+
+/**
+ * Add months, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28)
+ * @param {Date} date - Date
+ * @param {number} months - Months to add
+ * @param {number} [day] - Day of the month to land on (defaults to the date's own day)
+ * @returns {Date} New date
+ */
+function addMonths(date, months, day = date.getUTCDate()) {
+  const result = new Date(date);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Get the first time a schedule is due
+ * @param {Object} recurrence - Recurrence from splitSchedule
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} First run, or null if a one-time date has already passed
+ */
+function firstRun(recurrence, now = new Date()) {
+  if (recurrence.date) {
+    const run = new Date(`${recurrence.date}T${recurrence.time}:00Z`);
+    return run > now ? run : null;
+  }
+
+  let run = atTime(now, recurrence.time);
+  if (recurrence.weekday !== null && recurrence.weekday !== undefined) {
+    run = new Date(run.getTime() + ((recurrence.weekday - run.getUTCDay() + 7) % 7) * DAY_MS);
+  }
+  if (run <= now) {
+    run = recurrence.weekday !== null && recurrence.weekday !== undefined
+      ? new Date(run.getTime() + 7 * DAY_MS)
+      : new Date(run.getTime() + DAY_MS);
+  }
+  return run;
+}
+
+/**
+ * Get the next time a recurring schedule is due after a run. Runs missed while the
+ * server was down are skipped rather than fired in a burst.
+ * @param {Object} recurrence - Recurrence from splitSchedule
+ * @param {Date} previous - When the last run was due
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Next run, or null for one-time schedules
+ */
+function followingRun(recurrence, previous, now = new Date()) {
+  if (recurrence.frequency === FREQUENCIES.ONCE) return null;
+
+  const step = (date) => {
+    // Monthly schedules keep their original day, so Jan 31 -> Feb 28 -> Mar 31
+    if (recurrence.frequency === FREQUENCIES.MONTHLY) return addMonths(date, recurrence.interval, recurrence.dayOfMonth || undefined);
+    const days = recurrence.frequency === FREQUENCIES.WEEKLY ? 7 : 1;
+    return new Date(date.getTime() + recurrence.interval * days * DAY_MS);
+  };
+
+  let run = step(previous);
+  while (run <= now) {
+    run = step(run);
+  }
+  return run;
+}
+
+/**
+ * Describe a schedule for people: "every friday at 09:00 UTC"
+ * @param {Object} recurrence - Recurrence from splitSchedule
+ * @returns {string} Description
+ */
+function describeSchedule(recurrence) {
+  const at = `at ${recurrence.time} UTC`;
+  const weekday = recurrence.weekday !== null && recurrence.weekday !== undefined
+    ? WEEKDAYS[recurrence.weekday]
+    : null;
+
+  if (recurrence.frequency === FREQUENCIES.ONCE) {
+    return `on ${recurrence.date || weekday} ${at}`;
+  }
+
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[recurrence.frequency];
+  if (weekday && recurrence.interval === 1) {
+    return `every ${weekday} ${at}`;
+  }
+
+  const every = recurrence.interval === 1 ? `every ${unit}` : `every ${recurrence.interval} ${unit}s`;
+  return weekday ? `${every} on ${weekday} ${at}` : `${every} ${at}`;
+}
+
+module.exports = {
+  splitSchedule,
+  firstRun,
+  followingRun,
+  describeSchedule,
+  FREQUENCIES,
+  WEEKDAYS
+};